@@ -0,0 +1,245 @@
+// lib/admin.js — support API under /admin: customers, keys, entitlement refresh, key email, lookups and their audit lines,
+// data-subject export and erasure
+// Authorization: Bearer VATFIX_ADMIN_TOKEN (no token set = every route answers 404).
+// VATFIX_ADMIN_IPS optionally limits callers to a comma list of IPs (Fly-Client-IP on Fly, else the socket address).
+// Every call that gets past the token check is appended to admin/audit/{YYYY-MM-DD}/{ts}-{rand}.json;
+// X-Admin-User names the person acting.
+
+import crypto from 'crypto';
+import express from 'express';
+import storage from './storage.js';
+import createStripe from './stripe.js';
+import { invalidateEntitlement } from './entitlement.js';
+import { syncCustomer } from './sync.js';
+import { emailKey } from './mailer.js';
+import { recentLookups, usageReport } from './meter.js';
+import { queryAudit, getAuditEntry, QUERY_MAX_DAYS } from './audit.js';
+import { exportCustomer, eraseCustomer } from './privacy.js';
+import {
+  emailIndexKey, getCustomer, primaryEntry, publicKey, revokeKey, reactivateKey, rotateKey,
+} from './keys.js';
+
+const {
+  STRIPE_SECRET_KEY,
+  VATFIX_ADMIN_TOKEN = '',
+  VATFIX_ADMIN_IPS = '',
+  FLY_MACHINE_ID,
+} = process.env;
+
+const ALLOWED_IPS = new Set(VATFIX_ADMIN_IPS.split(',').map((s) => s.trim()).filter(Boolean));
+const AUDIT_SHOWN_MAX = 500;
+
+let stripe = null;
+function client() {
+  if (!stripe) stripe = createStripe(STRIPE_SECRET_KEY);
+  return stripe;
+}
+
+/* ---------------- Access ---------------- */
+// Fly's proxy sets Fly-Client-IP; anywhere else that header is client-controlled and ignored
+function clientIp(req) {
+  const ip = (FLY_MACHINE_ID && req.headers['fly-client-ip']) || req.socket.remoteAddress || '';
+  return String(ip).replace(/^::ffff:/, '');
+}
+
+function tokenMatches(presented) {
+  const a = crypto.createHash('sha256').update(String(presented)).digest();
+  const b = crypto.createHash('sha256').update(VATFIX_ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  res.set('Cache-Control', 'no-store');
+  if (!VATFIX_ADMIN_TOKEN) return res.status(404).json({ error: 'not_found' });
+  if (ALLOWED_IPS.size && !ALLOWED_IPS.has(clientIp(req))) {
+    console.warn('[admin] refused ip', clientIp(req));
+    return res.status(403).json({ error: 'ip_not_allowed' });
+  }
+  const m = /^Bearer\s+(.+)$/i.exec(req.header('authorization') || '');
+  if (!m || !tokenMatches(m[1])) return res.status(401).json({ error: 'invalid_admin_token' });
+  next();
+}
+
+/* ---------------- Audit trail ---------------- */
+async function audit(req, action, details = {}) {
+  const at = new Date().toISOString();
+  const entry = {
+    at,
+    actor: String(req.header('x-admin-user') || 'unknown').slice(0, 100),
+    ip: clientIp(req),
+    action,
+    ...details,
+  };
+  const id = `${at.replace(/[:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await storage.putJSON(`admin/audit/${at.slice(0, 10)}/${id}.json`, entry);
+  } catch (e) {
+    // Never silently lose an audit line: at least it lands in the log
+    console.error('[admin] audit write failed:', e?.message || e, JSON.stringify(entry));
+  }
+}
+
+// Wrap a handler: audit the action (with outcome), map key errors, never leak stack traces
+const ADMIN_ERRORS = {
+  no_customer: 404, key_not_found: 404, lookup_not_found: 404,
+  too_many_keys: 409, last_active_key: 409, customer_active: 409,
+  customer_busy: 503,
+  invalid_date_range: 400, range_too_large: 400, missing_query: 400,
+};
+function action(name, fn) {
+  return async (req, res) => {
+    const target = { customerId: req.params.customerId || null, keyId: req.params.keyId || null };
+    try {
+      const { status = 200, body, details } = await fn(req);
+      if (name) await audit(req, name, { ...target, ...details, outcome: 'ok' });
+      return res.status(status).json(body);
+    } catch (err) {
+      const code = String(err?.message || '');
+      if (name) await audit(req, name, { ...target, outcome: 'error', error: code });
+      if (ADMIN_ERRORS[code]) {
+        return res.status(ADMIN_ERRORS[code]).json({ error: code, ...(code === 'range_too_large' ? { maxDays: QUERY_MAX_DAYS } : {}) });
+      }
+      console.error('[admin]', name, err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  };
+}
+
+/* ---------------- Views ---------------- */
+function customerView(rec) {
+  const { keys = [], ...account } = rec;
+  return { ...account, keys: keys.map(publicKey) };
+}
+
+async function mustGetCustomer(customerId) {
+  const rec = await getCustomer(customerId);
+  if (!rec) throw new Error('no_customer');
+  return rec;
+}
+
+/* ---------------- Routes ---------------- */
+const router = express.Router();
+router.use(requireAdmin);
+
+// Search: ?email= (index, then Stripe) or ?customerId=
+router.get('/customers', action('customers.search', async (req) => {
+  const email = String(req.query.email || '').trim().toLowerCase();
+  const customerId = String(req.query.customerId || '').trim();
+  if (!email && !customerId) return { status: 400, body: { error: 'missing_query' } };
+
+  const ids = new Set(customerId ? [customerId] : []);
+  if (email) {
+    const idx = await storage.getJSON(emailIndexKey(email));
+    if (idx?.customerId) ids.add(idx.customerId);
+    if (STRIPE_SECRET_KEY) {
+      const found = await client().customers.list({ email, limit: 10 }).catch(() => ({ data: [] }));
+      for (const c of found.data) ids.add(c.id);
+    }
+  }
+  const records = await Promise.all([...ids].map(async (id) => (await getCustomer(id)) || { customerId: id, record: null }));
+  return {
+    body: { customers: records.map((r) => (r.keys ? customerView(r) : r)) },
+    details: { query: email ? { email } : { customerId } },
+  };
+}));
+
+router.get('/customers/:customerId', action('customers.get', async (req) => {
+  const rec = await mustGetCustomer(req.params.customerId);
+  return { body: customerView(rec) };
+}));
+
+router.post('/customers/:customerId/keys/:keyId/revoke', action('keys.revoke', async (req) => {
+  const entry = await revokeKey(req.params.customerId, req.params.keyId);
+  invalidateEntitlement(req.params.customerId);
+  return { body: publicKey(entry), details: { reason: req.body?.reason || null } };
+}));
+
+router.post('/customers/:customerId/keys/:keyId/reactivate', action('keys.reactivate', async (req) => {
+  const entry = await reactivateKey(req.params.customerId, req.params.keyId);
+  invalidateEntitlement(req.params.customerId);
+  return { body: publicKey(entry), details: { reason: req.body?.reason || null } };
+}));
+
+// The new secret is in this response only (hand it over, or let the customer rotate in the dashboard)
+router.post('/customers/:customerId/keys/:keyId/rotate', action('keys.rotate', async (req) => {
+  const hours = Number(req.body?.overlapHours);
+  const options = Number.isFinite(hours) && hours >= 0 ? { overlapMs: Math.min(hours, 24 * 30) * 3600000 } : {};
+  const { entry, secret } = await rotateKey(req.params.customerId, req.params.keyId, options);
+  invalidateEntitlement(req.params.customerId);
+  return { body: { ...publicKey(entry), key: secret }, details: { overlapHours: Number.isFinite(hours) ? hours : null } };
+}));
+
+// Re-read subscriptions from Stripe and apply them (same path as the webhook)
+router.post('/customers/:customerId/refresh', action('customers.refresh', async (req) => {
+  const before = await getCustomer(req.params.customerId);
+  const state = await syncCustomer(req.params.customerId);
+  invalidateEntitlement(req.params.customerId);
+  const after = await getCustomer(req.params.customerId);
+  return {
+    body: { state, customer: after ? customerView(after) : null },
+    details: { state, activeBefore: before?.active ?? null, activeAfter: after?.active ?? null },
+  };
+}));
+
+// The welcome email names the key by prefix (full keys are never stored)
+router.post('/customers/:customerId/resend-key-email', action('customers.resend_key_email', async (req) => {
+  const rec = await mustGetCustomer(req.params.customerId);
+  const entry = primaryEntry(rec);
+  if (!entry) throw new Error('key_not_found');
+  const sent = await emailKey(rec.email, entry.prefix);
+  return { body: { sent, to: rec.email, prefix: entry.prefix }, details: { to: rec.email, sent } };
+}));
+
+router.get('/keys/:keyId/lookups', action('keys.lookups', async (req) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  const today = new Date().toISOString().slice(0, 10);
+  const [lookups, usage] = await Promise.all([
+    recentLookups(req.params.keyId, limit),
+    usageReport(req.params.keyId, { from: `${today.slice(0, 7)}-01`, to: today }),
+  ]);
+  return { body: { keyId: req.params.keyId, lookups, monthToDate: usage.totals } };
+}));
+
+// Lookup audit lines: ?keyId= &customerId= &countryCode= &vatNumber= &from= &to= (UTC days) &limit=
+router.get('/lookups', action('lookups.search', async (req) => {
+  const query = {};
+  for (const f of ['keyId', 'customerId', 'countryCode', 'vatNumber', 'from', 'to']) {
+    if (req.query[f]) query[f] = String(req.query[f]).trim();
+  }
+  const lookups = await queryAudit({ ...query, limit: req.query.limit });
+  return { body: { count: lookups.length, lookups }, details: { query } };
+}));
+
+router.get('/lookups/:lookupId', action('lookups.get', async (req) => {
+  const entry = await getAuditEntry(req.params.lookupId);
+  if (!entry) throw new Error('lookup_not_found');
+  return { body: entry, details: { lookupId: req.params.lookupId } };
+}));
+
+// Data-subject requests: ?customerId= or ?email= (export), { customerId | email, dryRun, force } (erase)
+const subjectOf = (src) => ({
+  customerId: String(src?.customerId || '').trim() || undefined,
+  email: String(src?.email || '').trim().toLowerCase() || undefined,
+});
+
+router.get('/privacy/export', action('privacy.export', async (req) => {
+  const subject = subjectOf(req.query);
+  const bundle = await exportCustomer(subject);
+  return { body: bundle, details: { query: subject.email ? { email: subject.email } : { customerId: subject.customerId } } };
+}));
+
+// The trail of an erasure names only the pseudonym (the erasure scrubs earlier entries for the customer)
+router.post('/privacy/erase', action('privacy.erase', async (req) => {
+  const report = await eraseCustomer({ ...subjectOf(req.body), dryRun: req.body?.dryRun === true, force: req.body?.force === true });
+  return { body: report, details: { pseudonym: report.pseudonym, dryRun: report.dryRun, counts: report.counts } };
+}));
+
+// Reading the trail is not itself audited
+router.get('/audit', action(null, async (req) => {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.day)) ? req.query.day : new Date().toISOString().slice(0, 10);
+  const keys = (await storage.list(`admin/audit/${day}/`)).sort().reverse().slice(0, AUDIT_SHOWN_MAX);
+  const entries = (await Promise.all(keys.map((k) => storage.getJSON(k)))).filter(Boolean);
+  return { body: { day, entries } };
+}));
+
+export default router;
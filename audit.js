@@ -0,0 +1,313 @@
+// lib/audit.js — one audit line per lookup, keyed by lookupId: who asked (key, customer, email, IP), what, and the answer
+// Lines are buffered in process and written every VATFIX_AUDIT_FLUSH_MS as NDJSON parts:
+//   audit/{YYYY-MM-DD}/parts/{instance}-{seq}.ndjson
+// Finished days are compacted into one sorted partition (parts are removed once it is written):
+//   audit/{YYYY-MM-DD}/day.ndjson
+// Queries read the partitions of the requested days plus whatever this process has not written yet.
+// Compaction and privacy rewrites hold the same storage lease; lines pass a registered scrubber (lib/privacy.js:
+// erased customers) on every flush and compaction.
+// Best‑effort: a failed write keeps the lines for the next flush; lookups never wait on the audit log.
+
+import os from 'node:os';
+import crypto from 'crypto';
+import storage, { takeLease, releaseLease } from './storage.js';
+
+const {
+  VATFIX_AUDIT_FLUSH_MS = '60000',     // how often buffered lines are written
+  VATFIX_AUDIT_BUFFER_MAX = '5000',    // lines that trigger an early flush
+  VATFIX_AUDIT_COMPACT_MS = '3600000', // how often finished days are compacted
+  VATFIX_AUDIT_QUERY_MAX_DAYS = '31',  // widest from..to range for queryAudit
+  FLY_MACHINE_ID,
+} = process.env;
+
+const FLUSH_MS = Number(VATFIX_AUDIT_FLUSH_MS) || 60000;
+const BUFFER_MAX = Number(VATFIX_AUDIT_BUFFER_MAX) || 5000;
+const COMPACT_MS = Number(VATFIX_AUDIT_COMPACT_MS) || 3600000;
+export const QUERY_MAX_DAYS = Number(VATFIX_AUDIT_QUERY_MAX_DAYS) || 31;
+const DAY_MS = 86400000;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const LOCK_PATH = 'audit/compact-lock.json';
+const LEASE_MS = 10 * 60 * 1000; // renewed per day by long rewrites
+
+// Part names are unique per process, so flushes never overwrite another instance's lines
+const INSTANCE = `${FLY_MACHINE_ID || os.hostname()}-${Date.now().toString(36)}`;
+let seq = 0;
+
+/* ---------------- Ids ---------------- */
+/** `{CC}-{number}-{ms base36}-{rand}`: unique per lookup, and the day it was made can be read back from it. */
+export function newLookupId(countryCode, vatNumber) {
+  return `${countryCode || 'XX'}-${vatNumber || 'unknown'}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// UTC day of a lookupId (older ids have no random suffix), or null
+export function lookupDay(lookupId) {
+  const m = /-([0-9a-z]{8,9})(?:-[0-9a-f]{6})?$/.exec(String(lookupId || ''));
+  const ms = m ? parseInt(m[1], 36) : NaN;
+  return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString().slice(0, 10) : null;
+}
+
+/* ---------------- Buffer ---------------- */
+let buffer = [];
+const inflight = new Set(); // batches being written, still visible to queries
+
+// Fly's proxy sets Fly-Client-IP; elsewhere use the socket (X-Forwarded-For is client-controlled)
+function clientIp(req) {
+  const ip = (FLY_MACHINE_ID && req.headers['fly-client-ip']) || req.socket?.remoteAddress || '';
+  return String(ip).replace(/^::ffff:/, '') || null;
+}
+
+const pick = (obj, fields) => Object.fromEntries(fields.filter((f) => obj?.[f] !== undefined).map((f) => [f, obj[f]]));
+// Only the options actually used (no null requester, empty trader or zero max age)
+const given = (v) => v != null && v !== 0 && !(typeof v === 'object' && !Object.keys(v).length);
+
+/**
+ * Record one answered lookup. `result` is the checkVAT (or syntax) answer and must carry lookupId;
+ * `request` is what the caller asked for (countryCode, vatNumber, requester?, trader?, maxAgeMs?);
+ * `receipt` the signed receipt of the answer, copied here as audit evidence (served from receipts/, lib/receipts.js).
+ * Lookups made without a request (watchlist re-checks) name their `endpoint` instead.
+ */
+export function auditLookup({ req, endpoint = null, keyId, customerId, email, request = {}, result = {}, status = null, receipt = null }) {
+  if (!result.lookupId) return;
+  const extra = Object.fromEntries(['requester', 'trader', 'maxAgeMs'].filter((f) => given(request[f])).map((f) => [f, request[f]]));
+  recordAudit({
+    lookupId: result.lookupId,
+    at: new Date().toISOString(),
+    endpoint: req ? req.originalUrl.split('?')[0] : endpoint,
+    keyId: keyId || null,
+    customerId: customerId || null,
+    email: email || null,
+    ip: req ? clientIp(req) : null,
+    userAgent: req ? String(req.header('user-agent') || '').slice(0, 200) || null : null,
+    countryCode: result.countryCode ?? request.countryCode ?? null,
+    vatNumber: result.vatNumber ?? request.vatNumber ?? null,
+    ...(Object.keys(extra).length ? { request: extra } : {}),
+    status,
+    valid: result.valid ?? null,
+    source: result.source || null,
+    error: result.error || null,
+    ...pick(result, ['name', 'address', 'requestDate', 'cached', 'cachedAt', 'requestIdentifier', 'match']),
+    ...(receipt ? { receipt } : {}),
+  });
+}
+
+/** Append a prepared line ({ lookupId, at, … }); written on the next flush. */
+export function recordAudit(entry) {
+  buffer.push(entry);
+  if (buffer.length >= BUFFER_MAX) flushAudit().catch(() => {});
+}
+
+// Applied to lines before they are written (flush, compaction, rewrite); see setAuditScrubber
+let scrub = async (entries) => entries;
+
+/** Register async fn(entries) -> entries, run on every line before it is stored. */
+export function setAuditScrubber(fn) {
+  scrub = fn;
+}
+
+const toNdjson = (entries) => entries.map((e) => JSON.stringify(e)).join('\n') + '\n';
+
+function parseNdjson(text) {
+  const out = [];
+  for (const line of String(text || '').split('\n')) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // torn line: skip it
+    }
+  }
+  return out;
+}
+
+/** Write everything buffered as one part per day. Lines of a failed write go back into the buffer. */
+export async function flushAudit() {
+  if (!buffer.length) return;
+  const batch = buffer;
+  buffer = [];
+  inflight.add(batch);
+
+  const byDay = new Map();
+  for (const e of batch) {
+    const day = e.at.slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(e);
+  }
+  try {
+    for (const [day, entries] of byDay) {
+      try {
+        const lines = toNdjson(await scrub(entries));
+        await storage.putText(`audit/${day}/parts/${INSTANCE}-${String(++seq).padStart(6, '0')}.ndjson`, lines, 'application/x-ndjson');
+      } catch (e) {
+        buffer.unshift(...entries);
+        console.error('[audit] flush failed:', e?.message || e);
+      }
+    }
+  } finally {
+    inflight.delete(batch);
+  }
+}
+
+const flushTimer = setInterval(() => {
+  flushAudit().catch((e) => console.error('[audit] flush failed:', e?.message || e));
+}, FLUSH_MS);
+flushTimer.unref();
+
+/* ---------------- Read ---------------- */
+// Every line of one day: compacted partition, parts not yet compacted, and this process's unwritten lines
+async function readDay(day) {
+  const entries = [];
+  for (const k of await storage.list(`audit/${day}/`)) {
+    if (k.endsWith('.ndjson')) entries.push(...parseNdjson(await storage.getText(k)));
+  }
+  for (const batch of [buffer, ...inflight]) {
+    for (const e of batch) if (e.at.startsWith(day)) entries.push(e);
+  }
+  // A part written just before compaction removed it may be read twice
+  const byId = new Map();
+  for (const e of entries) byId.set(e.lookupId, e);
+  return [...byId.values()];
+}
+
+/** The audit line of one lookup, or null. */
+export async function getAuditEntry(lookupId) {
+  const day = lookupDay(lookupId);
+  if (!day) return null;
+  // Lines are dated when answered, which can be just past midnight of the id's day
+  const next = new Date(Date.parse(day) + DAY_MS).toISOString().slice(0, 10);
+  for (const d of [day, next]) {
+    const hit = (await readDay(d)).find((e) => e.lookupId === lookupId);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * Audit lines newest first. from/to are UTC days (YYYY-MM-DD, default today), at most QUERY_MAX_DAYS apart.
+ * Filters: keyId (or keyIds), customerId, countryCode, vatNumber. Throws 'invalid_date_range' | 'range_too_large'.
+ */
+export async function queryAudit({ from, to, keyId, keyIds, customerId, countryCode, vatNumber, limit = 100 } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  from = from || to || today;
+  to = to || (from > today ? from : today);
+  if (!DAY_RE.test(from) || !DAY_RE.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to)) || from > to) {
+    throw new Error('invalid_date_range');
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > QUERY_MAX_DAYS) throw new Error('range_too_large');
+
+  const keys = new Set(keyIds || (keyId ? [keyId] : []));
+  const vn = vatNumber ? String(vatNumber).toUpperCase().replace(/[^0-9A-Z]/g, '') : null;
+  const cc = countryCode ? String(countryCode).toUpperCase() : null;
+  const match = (e) =>
+    (!keys.size || keys.has(e.keyId)) &&
+    (!customerId || e.customerId === customerId) &&
+    (!cc || e.countryCode === cc) &&
+    (!vn || e.vatNumber === vn || `${e.countryCode}${e.vatNumber}` === vn);
+
+  const max = Math.min(Math.max(Number(limit) || 100, 1), 1000);
+  const found = [];
+  // Newest day first, so a small limit reads few partitions
+  for (let t = Date.parse(to); t >= Date.parse(from) && found.length < max; t -= DAY_MS) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    const hits = (await readDay(day)).filter(match).sort((a, b) => b.at.localeCompare(a.at));
+    found.push(...hits.slice(0, max - found.length));
+  }
+  return found;
+}
+
+// Stored lines of one day (compacted partition + parts), deduplicated, and the parts they came from
+async function loadStoredDay(day) {
+  const parts = (await storage.list(`audit/${day}/parts/`)).filter((k) => k.endsWith('.ndjson'));
+  const byId = new Map();
+  for (const k of [`audit/${day}/day.ndjson`, ...parts]) {
+    for (const e of parseNdjson(await storage.getText(k))) byId.set(e.lookupId, e);
+  }
+  return { entries: [...byId.values()], parts };
+}
+
+// Only the parts merged into the partition are removed: a part written meanwhile waits for the next run
+async function writeDay(day, entries, parts) {
+  const sorted = [...(await scrub(entries))].sort((a, b) => a.at.localeCompare(b.at));
+  await storage.putText(`audit/${day}/day.ndjson`, toNdjson(sorted), 'application/x-ndjson');
+  for (const k of parts) await storage.remove(k);
+}
+
+/** Every UTC day with audit partitions, oldest first. */
+export async function auditDays() {
+  const days = new Set();
+  for (const k of await storage.list('audit/')) {
+    const m = /^audit\/(\d{4}-\d{2}-\d{2})\//.exec(k);
+    if (m) days.add(m[1]);
+  }
+  return [...days].sort();
+}
+
+export { readDay as readAuditDay };
+
+/**
+ * Run fn(renew) holding the compaction lease, so no compaction merges parts while fn rewrites days.
+ * Waits up to `waitMs` for a running compaction; `renew()` extends the lease (false once it was lost).
+ * Throws 'audit_busy' | 'audit_lease_lost'.
+ */
+export async function withAuditLease(fn, { waitMs = 120000 } = {}) {
+  const giveUpAt = Date.now() + waitMs;
+  while (!(await takeLease(LOCK_PATH, LEASE_MS))) {
+    if (Date.now() > giveUpAt) throw new Error('audit_busy');
+    await new Promise((r) => setTimeout(r, 2000));
+  }
+  try {
+    return await fn(async () => {
+      if (!(await takeLease(LOCK_PATH, LEASE_MS))) throw new Error('audit_lease_lost');
+    });
+  } finally {
+    await releaseLease(LOCK_PATH).catch(() => {});
+  }
+}
+
+/**
+ * Rewrite the lines of one day through fn(entry) -> entry (privacy erasure). The day is compacted on the way:
+ * day.ndjson gets every line, the parts read are removed. Returns how many lines fn changed.
+ * Call it inside withAuditLease. Lines still buffered in another process are caught by the scrubber when written.
+ */
+export async function rewriteAuditDay(day, fn) {
+  const { entries, parts } = await loadStoredDay(day);
+  let changed = 0;
+  const out = entries.map((e) => {
+    const next = fn(e);
+    if (next !== e) changed++;
+    return next;
+  });
+  if (changed) await writeDay(day, out, parts);
+  return changed;
+}
+
+/* ---------------- Compaction ---------------- */
+/**
+ * Merge the parts of every finished day into audit/{day}/day.ndjson. Returns the days compacted.
+ * Run it inside withAuditLease (pass its renew, called before each day).
+ */
+export async function compactAudit({ renew = async () => {} } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const days = new Set();
+  for (const k of await storage.list('audit/')) {
+    const m = /^audit\/(\d{4}-\d{2}-\d{2})\/parts\//.exec(k);
+    if (m && m[1] < today) days.add(m[1]);
+  }
+
+  const done = [];
+  for (const day of [...days].sort()) {
+    await renew();
+    const { entries, parts } = await loadStoredDay(day);
+    await writeDay(day, entries, parts);
+    done.push(day);
+  }
+  return done;
+}
+
+const compactTimer = setInterval(async () => {
+  try {
+    await withAuditLease((renew) => compactAudit({ renew }), { waitMs: 0 });
+  } catch (e) {
+    if (e?.message !== 'audit_busy') console.error('[audit] compaction failed:', e?.message || e);
+  }
+}, COMPACT_MS);
+compactTimer.unref();
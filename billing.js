@@ -0,0 +1,228 @@
+// lib/billing.js — metered Stripe billing: billable lookups → usage records on STRIPE_METERED_PRICE_ID
+// Counts are aggregated in memory per subscription item and billing period, and flushed every VATFIX_BILLING_FLUSH_MS:
+//   1) each flush freezes the counts into pending batches  billing/pending/{batchId}.json, stamped with the time
+//      of their latest lookup, so a batch flushed after its period ended still lands in that period
+//   2) every pending batch is reported with idempotency key vatfix-usage-{batchId}, then moved to
+//      billing/reported/{itemId}/{batchId}.json — a retried or crashed flush re-sends the same key,
+//      so Stripe never counts a batch twice. Whoever reports a batch first takes its claim
+//      (billing/claims/{batchId}.json, a storage lease), so a flush and a reconcile never both send it.
+//      A batch Stripe rejects outright (4xx other than auth, 409 and 429) is parked in billing/failed/{batchId}.json
+//      for someone to look at instead of being re-sent forever
+//   3) at period end (invoice.created) reconcileInvoice() reports the period's pending batches through the
+//      same claim, compares the total with Stripe's summary (logged, never re-reported as a delta),
+//      then folds the batches into billing/periods/{itemId}/{start}.json
+// The base allowance lives in Stripe: give the metered price a free first tier (graduated pricing).
+// Best‑effort: a billing failure never blocks a lookup; unsent counts wait for the next flush.
+
+import os from 'node:os';
+import storage, { takeLease } from './storage.js';
+import createStripe from './stripe.js';
+
+const {
+  STRIPE_SECRET_KEY,
+  STRIPE_METERED_PRICE_ID = '',        // metered price added to every checkout; empty = billing off
+  VATFIX_BILLING_FLUSH_MS = '300000',  // how often usage is reported to Stripe
+  FLY_MACHINE_ID,
+} = process.env;
+
+const FLUSH_MS = Number(VATFIX_BILLING_FLUSH_MS) || 300000;
+const CLAIM_MS = 10 * 60 * 1000; // a claim left by a crashed reporter is taken over after this (same idempotency key)
+const INSTANCE = `${FLY_MACHINE_ID || os.hostname()}-${Date.now().toString(36)}`;
+
+export const METERED_PRICE_ID = STRIPE_METERED_PRICE_ID.trim();
+
+let stripe = null;
+function client() {
+  if (!stripe) stripe = createStripe(STRIPE_SECRET_KEY);
+  return stripe;
+}
+
+/**
+ * The metered subscription item among a customer's subscriptions (items expanded), or null.
+ * Returns { id, subscriptionId, periodStart, periodEnd } (unix seconds of the current billing period)
+ */
+export function meteredItemFrom(subscriptions = []) {
+  if (!METERED_PRICE_ID) return null;
+  for (const sub of subscriptions) {
+    const item = sub.items?.data?.find((i) => i.price?.id === METERED_PRICE_ID);
+    if (!item) continue;
+    return {
+      id: item.id,
+      subscriptionId: sub.id,
+      periodStart: sub.current_period_start || null,
+      periodEnd: sub.current_period_end || null,
+    };
+  }
+  return null;
+}
+
+// ----- aggregation -----
+const counts = new Map(); // "{itemId}:{periodStart}" -> { itemId, quantity, at } not yet frozen into a batch
+let seq = 0;
+
+/** Count billable lookups for an entitlement (no-op without a metered subscription item). */
+export function recordBillable(entitlement, n = 1) {
+  const item = entitlement?.meteredItem;
+  if (!item?.id || !(n > 0)) return;
+  const at = Math.floor(Date.now() / 1000);
+  // A cached entitlement can still name the period that just ended: later lookups open the next one
+  const period = item.periodEnd && at >= item.periodEnd ? item.periodEnd : item.periodStart || 0;
+  addCount(`${item.id}:${period}`, { itemId: item.id, quantity: n, at });
+}
+
+function addCount(key, { itemId, quantity, at }) {
+  const c = counts.get(key);
+  counts.set(key, { itemId, quantity: (c?.quantity || 0) + quantity, at: Math.max(c?.at || 0, at) });
+}
+
+// Stripe refused the request itself (unknown item, timestamp outside any open period, reused key): the same
+// request can never succeed. Auth, lock (409) and rate-limit (429) errors and outages are retried.
+function batchRejected(e) {
+  if ([409, 429].includes(Number(e?.statusCode))) return false;
+  return ['StripeInvalidRequestError', 'StripeCardError', 'StripeIdempotencyError'].includes(e?.type);
+}
+
+/**
+ * Report one pending batch under its claim. Returns 'busy' when another reporter holds the claim (the batch is
+ * theirs to finish), 'reported' once the batch is reported or was already gone, 'parked' when Stripe rejected it.
+ */
+async function reportBatch(batch) {
+  const claimPath = `billing/claims/${batch.id}.json`;
+  if (!(await takeLease(claimPath, CLAIM_MS))) return 'busy';
+  // Re-read under the claim: the previous owner may have finished between our list and our claim
+  if (!(await storage.getJSON(`billing/pending/${batch.id}.json`))) {
+    await storage.remove(claimPath);
+    return 'reported';
+  }
+  try {
+    await client().subscriptionItems.createUsageRecord(
+      batch.subscriptionItemId,
+      { quantity: batch.quantity, timestamp: batch.timestamp, action: 'increment' },
+      { idempotencyKey: `vatfix-usage-${batch.id}` }
+    );
+  } catch (e) {
+    if (!batchRejected(e)) throw e;
+    const error = { type: e.type, code: e.code || null, statusCode: e.statusCode || null, message: e.message };
+    await storage.putJSON(`billing/failed/${batch.id}.json`, { ...batch, error, failedAt: new Date().toISOString() });
+    await storage.remove(`billing/pending/${batch.id}.json`);
+    await storage.remove(claimPath);
+    console.error('[billing] Stripe rejected usage batch, parked in billing/failed/:', batch.id, e.message);
+    return 'parked';
+  }
+  await storage.putJSON(`billing/reported/${batch.subscriptionItemId}/${batch.id}.json`, {
+    ...batch,
+    reportedAt: new Date().toISOString(),
+  });
+  await storage.remove(`billing/pending/${batch.id}.json`);
+  await storage.remove(claimPath);
+  return 'reported';
+}
+
+/**
+ * Freeze in-memory counts into pending batches, then report every pending batch
+ * (including ones left behind by failed flushes or stopped machines).
+ */
+export async function flushBilling() {
+  if (!METERED_PRICE_ID) return;
+
+  for (const [key, c] of [...counts]) {
+    counts.delete(key);
+    const batch = {
+      id: `${INSTANCE}-${(seq++).toString(36)}`,
+      subscriptionItemId: c.itemId,
+      quantity: c.quantity,
+      timestamp: c.at,
+      createdAt: new Date().toISOString(),
+    };
+    try {
+      await storage.putJSON(`billing/pending/${batch.id}.json`, batch);
+    } catch (e) {
+      addCount(key, c);
+      console.error('[billing] could not persist batch:', e?.message || e);
+    }
+  }
+
+  for (const key of await storage.list('billing/pending/')) {
+    const batch = await storage.getJSON(key);
+    if (!batch?.subscriptionItemId) continue;
+    try {
+      await reportBatch(batch);
+    } catch (e) {
+      // Stays pending; the same idempotency key is used on the next attempt
+      console.error('[billing] usage report failed:', batch.id, e?.message || e);
+    }
+  }
+}
+
+/**
+ * Period-end reconciliation for a subscription invoice (Stripe `invoice.created`).
+ * The period's still-pending batches are reported (each under its claim, with its own idempotency key);
+ * while another machine is reporting one of them this throws 'billing_batches_in_flight', so the webhook
+ * answers 500 and Stripe redelivers. Our total is then compared with Stripe's summary for the record only:
+ * summaries lag, so a delta computed from them could bill twice.
+ * Batches Stripe rejects are parked (billing/failed/) and counted in `parked`, not in `local`.
+ * Returns { subscriptionItemId, periodStart, periodEnd, local, stripe, reported, parked, status } or null.
+ */
+export async function reconcileInvoice(invoice) {
+  if (!METERED_PRICE_ID) return null;
+  const line = invoice?.lines?.data?.find((l) => l.price?.id === METERED_PRICE_ID && l.subscription_item);
+  if (!line) return null;
+
+  const itemId = line.subscription_item;
+  const { start, end } = line.period || {};
+  const inPeriod = (b) => b.timestamp >= start && b.timestamp < end;
+
+  const summaryPath = `billing/periods/${itemId}/${start}.json`;
+  const done = await storage.getJSON(summaryPath);
+  if (done) return done;
+
+  // Report this period's pending batches first; a batch another machine is reporting is left to it
+  let reported = 0;
+  let parked = 0;
+  let inFlight = 0;
+  for (const key of await storage.list('billing/pending/')) {
+    const b = await storage.getJSON(key);
+    if (b?.subscriptionItemId !== itemId || !inPeriod(b)) continue;
+    const outcome = await reportBatch(b);
+    if (outcome === 'reported') reported += Number(b.quantity) || 0;
+    else if (outcome === 'parked') parked += Number(b.quantity) || 0;
+    else inFlight++;
+  }
+  if (inFlight) throw new Error('billing_batches_in_flight');
+
+  const batches = [];
+  for (const key of await storage.list(`billing/reported/${itemId}/`)) {
+    const b = await storage.getJSON(key);
+    if (b?.subscriptionItemId === itemId && inPeriod(b)) batches.push({ key, ...b });
+  }
+  const local = batches.reduce((sum, b) => sum + (Number(b.quantity) || 0), 0);
+
+  const summaries = await client().subscriptionItems.listUsageRecordSummaries(itemId, { limit: 100 });
+  const seen = summaries.data.find((s) => s.period?.start === start)?.total_usage || 0;
+  if (seen !== local) {
+    console.warn('[billing] Stripe usage differs from our batches:', itemId, { local, stripe: seen });
+  }
+
+  const summary = {
+    subscriptionItemId: itemId,
+    invoiceId: invoice.id,
+    periodStart: new Date(start * 1000).toISOString(),
+    periodEnd: new Date(end * 1000).toISOString(),
+    local,
+    stripe: seen,
+    reported,
+    parked,
+    status: seen > local ? 'stripe_ahead' : seen < local ? 'stripe_behind' : 'ok',
+    reconciledAt: new Date().toISOString(),
+  };
+  await storage.putJSON(summaryPath, summary);
+  for (const b of batches) await storage.remove(b.key);
+  return summary;
+}
+
+const flushTimer = setInterval(() => {
+  flushBilling().catch((e) => console.error('[billing]', e?.message || e));
+}, FLUSH_MS);
+flushTimer.unref();
+
+export default flushBilling;
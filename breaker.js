@@ -0,0 +1,72 @@
+// lib/breaker.js — keyed circuit breakers (closed → open → half‑open probe → closed)
+// One breaker per key (e.g. member state). After `threshold` consecutive failures the key opens;
+// once `cooldownMs` has passed a single probe call is let through and decides the next state.
+
+export function createBreakers({ threshold = 5, cooldownMs = 30000 } = {}) {
+  const breakers = new Map(); // key -> { state, failures, openedAt, probing, lastError }
+
+  function get(key) {
+    let b = breakers.get(key);
+    if (!b) {
+      b = { state: 'closed', failures: 0, openedAt: null, probing: false, lastError: null };
+      breakers.set(key, b);
+    }
+    return b;
+  }
+
+  return {
+    // May a call for `key` go out now? In half-open only one probe is in flight at a time.
+    allow(key) {
+      const b = get(key);
+      if (b.state === 'open' && Date.now() - b.openedAt >= cooldownMs) {
+        b.state = 'half_open';
+        b.probing = false;
+      }
+      if (b.state === 'closed') return true;
+      if (b.state === 'half_open' && !b.probing) {
+        b.probing = true;
+        return true;
+      }
+      return false;
+    },
+    success(key) {
+      const b = get(key);
+      b.state = 'closed';
+      b.failures = 0;
+      b.openedAt = null;
+      b.probing = false;
+    },
+    failure(key, err) {
+      const b = get(key);
+      b.failures++;
+      b.lastError = String(err?.message || err || 'error').slice(0, 200);
+      if (b.state === 'half_open' || b.failures >= threshold) {
+        b.state = 'open';
+        b.openedAt = Date.now();
+        b.probing = false;
+      }
+    },
+    // Open right now (cooldown not yet elapsed)
+    isOpen(key) {
+      const b = breakers.get(key);
+      return !!b && b.state === 'open' && Date.now() - b.openedAt < cooldownMs;
+    },
+    // Every key that has seen a failure, for status pages
+    snapshot() {
+      const out = {};
+      for (const [key, b] of breakers) {
+        if (b.state === 'closed' && !b.failures) continue;
+        out[key] = {
+          state: b.state,
+          failures: b.failures,
+          openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+          retryAt: b.state === 'open' ? new Date(b.openedAt + cooldownMs).toISOString() : null,
+          lastError: b.lastError,
+        };
+      }
+      return out;
+    },
+  };
+}
+
+export default createBreakers;
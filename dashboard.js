@@ -0,0 +1,380 @@
+// lib/dashboard.js — customer dashboard behind a magic-link email sign-in (the billing portal's return_url)
+//   GET  /dashboard          sign-in form, or the dashboard for a valid session cookie
+//   POST /dashboard/login    email a one-time link (same answer whether or not the address is known)
+//   GET  /dashboard/login    confirm page for the link — mail scanners prefetch GETs, so this does not sign in
+//   POST /dashboard/session  consume the link, set the session cookie
+//   POST /dashboard/portal   hand over to the Stripe billing portal
+//   GET  /dashboard/receipts/:lookupId  printable signed receipt of one lookup (works after the subscription ends)
+//   POST /dashboard/logout
+// Links and sessions are stored only as sha256 digests: auth/magic/{digest}.json, auth/sessions/{digest}.json
+
+import crypto from 'crypto';
+import express from 'express';
+import storage from './storage.js';
+import createStripe from './stripe.js';
+import { assertActivePlus, invalidateEntitlement } from './entitlement.js';
+import { emailIndexKey, getCustomer, publicKey, createKey, rotateKey } from './keys.js';
+import { usageReport, quotaStatus, recentLookups } from './meter.js';
+import { mailConfigured, emailMagicLink } from './mailer.js';
+import { getReceipt, renderReceiptHtml } from './receipts.js';
+import { createLru } from './lru.js';
+import { esc } from './html.js';
+
+const {
+  STRIPE_SECRET_KEY,
+  ENFORCE_STRIPE = '1',
+  MARKETING_ORIGIN = 'https://plus.vatfix.eu',
+  VATFIX_MAGIC_LINK_TTL_MIN = '15',     // sign-in link lifetime
+  VATFIX_SESSION_TTL_HOURS = '168',     // dashboard session lifetime (7 days)
+} = process.env;
+
+const MAGIC_TTL_MS = (Number(VATFIX_MAGIC_LINK_TTL_MIN) || 15) * 60000;
+const SESSION_TTL_MS = (Number(VATFIX_SESSION_TTL_HOURS) || 168) * 3600000;
+const LOGIN_EVERY_MS = 60000; // one link per address per minute (per instance)
+const COOKIE = 'vatfix_session';
+const RECENT_SHOWN = 20;
+
+let stripe = null;
+function client() {
+  if (!stripe) stripe = createStripe(STRIPE_SECRET_KEY);
+  return stripe;
+}
+
+/* ---------------- Helpers ---------------- */
+const digest = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k !== name) continue;
+    try {
+      return decodeURIComponent(v.join('='));
+    } catch {
+      return null; // malformed escape (e.g. %E0): treat as no cookie
+    }
+  }
+  return null;
+}
+
+function setSessionCookie(res, value, maxAgeMs) {
+  res.set('Set-Cookie', `${COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}`);
+}
+
+function setDashboardCsp(res) {
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Frame-Options', 'DENY');
+  res.set('Content-Security-Policy', "default-src 'self'; style-src 'unsafe-inline'; form-action 'self' https://billing.stripe.com; frame-ancestors 'none'");
+}
+
+async function customerIdForEmail(email) {
+  const idx = await storage.getJSON(emailIndexKey(email));
+  if (idx?.customerId) return idx.customerId;
+  // Records written before the email index existed
+  if (!STRIPE_SECRET_KEY) return null;
+  try {
+    const customers = await client().customers.list({ email, limit: 1 });
+    return customers.data[0]?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+async function currentSession(req) {
+  const sid = readCookie(req, COOKIE);
+  if (!sid) return null;
+  const session = await storage.getJSON(`auth/sessions/${digest(sid)}.json`);
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+  return { ...session, sid };
+}
+
+/* ---------------- Pages ---------------- */
+function page(title, body) {
+  return `<!doctype html><meta charset="utf-8">
+<title>VATFix Plus — ${esc(title)}</title>
+<style>
+  body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px;color:#111}
+  .card{border:1px solid #e5e7eb;border-radius:14px;padding:18px;margin:12px 0}
+  .btn{display:inline-block;background:#111;color:#fff;padding:10px 14px;border-radius:10px;border:0;font:inherit;cursor:pointer;text-decoration:none}
+  .link{background:none;border:0;padding:0;color:#555;text-decoration:underline;font:inherit;cursor:pointer}
+  input{font:inherit;padding:9px 12px;border:1px solid #d1d5db;border-radius:10px;min-width:280px}
+  code{background:#f6f7f9;padding:2px 6px;border-radius:6px}
+  table{border-collapse:collapse;width:100%;font-size:14px}
+  td,th{text-align:left;padding:6px 8px;border-bottom:1px solid #f1f1f1}
+  .ok{color:#16a34a}.warn{color:#d97706}.bad{color:#dc2626}.muted{color:#6b7280}
+</style>
+${body}`;
+}
+
+function renderLogin(base, notice = '') {
+  return page('Dashboard sign-in', `<h1>📟 Dashboard</h1>
+${notice ? `<p class="muted">${esc(notice)}</p>` : ''}
+<form method="post" action="${base}/login">
+  <p>We'll email you a one-time sign-in link.</p>
+  <p><input type="email" name="email" required placeholder="billing email" autocomplete="email"> <button class="btn">Email me a link</button></p>
+</form>`);
+}
+
+function renderConfirm(base, token) {
+  return page('Sign in', `<h1>📟 Sign in</h1>
+<form method="post" action="${base}/session">
+  <input type="hidden" name="token" value="${esc(token)}">
+  <p><button class="btn">Continue to dashboard</button></p>
+</form>`);
+}
+
+function keyStatus(rec) {
+  const now = Date.now();
+  const until = (iso) => iso && Date.parse(iso) > now;
+  if (rec.active !== false) {
+    if (rec.dunning) {
+      return until(rec.dunning.accessUntil)
+        ? ['warn', `Payment failed — access until ${rec.dunning.accessUntil.slice(0, 10)}`]
+        : ['bad', 'Payment overdue'];
+    }
+    return until(rec.trialUntil) ? ['warn', `Trial until ${rec.trialUntil.slice(0, 10)}`] : ['ok', 'Active'];
+  }
+  return until(rec.graceUntil) ? ['warn', `Inactive — grace until ${rec.graceUntil.slice(0, 10)}`] : ['bad', 'Inactive'];
+}
+
+function renderKeyRow(base, k) {
+  const state = k.revokedAt
+    ? `<span class="bad">revoked ${esc(k.revokedAt.slice(0, 10))}</span>`
+    : k.previousKeyExpiresAt && Date.parse(k.previousKeyExpiresAt) > Date.now()
+      ? `<span class="warn">rotated — old secret works until ${esc(k.previousKeyExpiresAt.replace('T', ' ').slice(0, 16))}</span>`
+      : '<span class="ok">live</span>';
+  const rotate = k.revokedAt
+    ? ''
+    : `<form method="post" action="${base}/keys/${esc(k.id)}/rotate"><button class="link">Rotate</button></form>`;
+  return `<tr><td>${esc(k.name)}</td><td><code>${esc(k.prefix)}</code></td><td>${esc(k.createdAt.slice(0, 10))}</td><td>${state}</td><td>${rotate}</td></tr>`;
+}
+
+// A new secret exists only in this response — it is not stored anywhere readable
+function renderNewSecret(base, { entry, secret }, rotated) {
+  return page('New API key', `<h1>📟 ${rotated ? 'Key rotated' : 'New API key'}</h1>
+<div class="card">
+  <p><b>${esc(entry.name)}</b> — copy it now, it will not be shown again:</p>
+  <p><code>${esc(secret)}</code></p>
+  ${rotated && entry.previousKeyExpiresAt
+    ? `<p class="muted">The old secret keeps working until ${esc(entry.previousKeyExpiresAt.replace('T', ' ').slice(0, 16))} UTC.</p>`
+    : ''}
+</div>
+<p><a class="btn" href="${base}/">Back to dashboard</a></p>`);
+}
+
+function renderDashboard(base, { rec, plan, planError, usage, quota, recent }) {
+  const [cls, label] = keyStatus(rec);
+  const t = usage?.totals;
+  const names = Object.fromEntries(rec.keys.map((k) => [k.id, k.name]));
+  const rows = recent.length
+    ? recent
+        .map((r) => `<tr><td>${esc(r.at.replace('T', ' ').slice(0, 19))}</td><td>${esc(r.countryCode)}${esc(r.vatNumber)}</td>`
+          + `<td>${r.valid === true ? '✓ valid' : r.valid === false ? '✗ invalid' : '–'}</td><td>${esc(r.source)}${r.error ? ` <span class="muted">${esc(r.error)}</span>` : ''}</td>`
+          + `<td class="muted">${esc(names[r.keyId] || '')}</td>`
+          + `<td>${r.lookupId && r.source !== 'error' ? `<a href="${base}/receipts/${encodeURIComponent(r.lookupId)}">receipt</a>` : ''}</td></tr>`)
+        .join('\n')
+    : '<tr><td colspan="6" class="muted">No lookups yet.</td></tr>';
+
+  return page('Dashboard', `<h1>📟 Dashboard</h1>
+<p class="muted">Signed in as ${esc(rec.email)}</p>
+<div class="card">
+  <h2>API keys <b class="${cls}" style="font-size:16px">● ${esc(label)}</b></h2>
+  <table><tr><th>Name</th><th>Key</th><th>Created</th><th>State</th><th></th></tr>
+${rec.keys.map((k) => renderKeyRow(base, publicKey(k))).join('\n')}
+  </table>
+  <form method="post" action="${base}/keys"><p><input name="name" maxlength="64" placeholder="key name"> <button class="btn">New key</button></p></form>
+  <p class="muted">Full keys are shown once, when created or rotated. Revoke keys with <code>DELETE /vat/keys/:id</code> (see the docs).</p>
+  ${rec.trialUntil ? `<p class="muted">Trial until: ${esc(rec.trialUntil)}</p>` : ''}
+  ${rec.graceUntil ? `<p class="muted">Grace until: ${esc(rec.graceUntil)}</p>` : ''}
+</div>
+<div class="card">
+  <h2>Usage this month</h2>
+  ${plan
+    ? `<p>Plan <b>${esc(plan.name)}</b> • ${esc(plan.rpm)} requests/min • ${plan.monthlyQuota ? `${esc(plan.monthlyQuota)} lookups/month` : 'no monthly quota'}</p>`
+    : `<p class="warn">Plan unavailable (${esc(planError || 'unknown')})</p>`}
+  ${t
+    ? `<p><b>${t.requests}</b> lookups — VIES ${t.vies} • cache ${t.cache} • syntax ${t.syntax} • errors ${t.errors} • rate limited ${t.limited} • over quota ${t.quotaExceeded}</p>`
+    : ''}
+  ${quota?.quota ? `<p>Quota: <b>${quota.remaining}</b> of ${quota.quota} left, resets ${esc(quota.resetAt.slice(0, 10))}</p>` : ''}
+</div>
+<div class="card">
+  <h2>Recent lookups</h2>
+  <table><tr><th>When (UTC)</th><th>VAT number</th><th>Result</th><th>Source</th><th>Key</th><th></th></tr>
+${rows}
+  </table>
+</div>
+<form method="post" action="${base}/portal"><button class="btn">Manage billing</button></form>
+<form method="post" action="${base}/logout"><p><button class="link">Sign out</button></p></form>`);
+}
+
+/* ---------------- Routes ---------------- */
+const router = express.Router();
+router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+const lastLinkAt = createLru({ max: 10000, ttlMs: LOGIN_EVERY_MS }); // email digest -> ms, gone once the window passes
+
+router.get('/', async (req, res) => {
+  setDashboardCsp(res);
+  try {
+    const session = await currentSession(req);
+    if (!session) return res.type('html').send(renderLogin(req.baseUrl));
+
+    const rec = await getCustomer(session.customerId);
+    if (!rec?.keys.length) return res.type('html').send(renderLogin(req.baseUrl, 'No API key is provisioned for this account yet.'));
+
+    let plan = null;
+    let planError = null;
+    try {
+      plan = (await assertActivePlus({ customerId: rec.customerId, email: rec.email })).plan;
+    } catch (e) {
+      planError = e?.message || 'unknown';
+    }
+
+    // Usage and history are kept per key id; the account view sums them
+    const today = new Date().toISOString().slice(0, 10);
+    const ids = rec.keys.map((k) => k.id);
+    const reports = await Promise.all(ids.map((id) => usageReport(id, { from: `${today.slice(0, 7)}-01`, to: today })));
+    const totals = { ...reports[0].totals };
+    for (const rep of reports.slice(1)) for (const f of Object.keys(totals)) totals[f] += rep.totals[f];
+    const lists = await Promise.all(ids.map(async (id) => (await recentLookups(id, RECENT_SHOWN)).map((l) => ({ ...l, keyId: id }))));
+    const recent = lists.flat().sort((a, b) => b.at.localeCompare(a.at)).slice(0, RECENT_SHOWN);
+    const quota = await quotaStatus(ids, plan?.monthlyQuota);
+    const usage = { totals };
+    return res.type('html').send(renderDashboard(req.baseUrl, { rec, plan, planError, usage, quota, recent }));
+  } catch (e) {
+    console.error('[dashboard]', e?.message || e);
+    return res.status(500).send('Dashboard unavailable');
+  }
+});
+
+router.post('/login', async (req, res) => {
+  setDashboardCsp(res);
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  const sent = renderLogin(req.baseUrl, 'If that address belongs to a VATFix account, a sign-in link is on its way.');
+  if (!email.includes('@')) return res.status(400).type('html').send(renderLogin(req.baseUrl, 'Enter your billing email.'));
+
+  try {
+    const throttleKey = digest(email);
+    if (lastLinkAt.get(throttleKey)) return res.type('html').send(sent);
+    lastLinkAt.set(throttleKey, Date.now());
+
+    const customerId = await customerIdForEmail(email);
+    const rec = customerId ? await getCustomer(customerId) : null;
+    if (rec?.keys.length) {
+      const token = newToken();
+      await storage.putJSON(`auth/magic/${digest(token)}.json`, {
+        customerId,
+        email,
+        expiresAt: new Date(Date.now() + MAGIC_TTL_MS).toISOString(),
+      });
+      const url = `${MARKETING_ORIGIN}/dashboard/login?token=${token}`;
+      const delivered = await emailMagicLink(email, url, { ttlMinutes: MAGIC_TTL_MS / 60000 });
+      if (!delivered && !mailConfigured() && ENFORCE_STRIPE !== '1') console.log('[dashboard] dev sign-in link:', url);
+    }
+  } catch (e) {
+    console.error('[dashboard] login', e?.message || e);
+  }
+  return res.type('html').send(sent);
+});
+
+router.get('/login', (req, res) => {
+  setDashboardCsp(res);
+  const token = String(req.query.token || '');
+  if (!token) return res.redirect(303, `${req.baseUrl}/`);
+  return res.type('html').send(renderConfirm(req.baseUrl, token));
+});
+
+router.post('/session', async (req, res) => {
+  setDashboardCsp(res);
+  try {
+    const token = String(req.body?.token || '');
+    const path = `auth/magic/${digest(token)}.json`;
+    const magic = token ? await storage.getJSON(path) : null;
+    if (magic) await storage.remove(path); // single use
+    if (!magic || Date.parse(magic.expiresAt) <= Date.now()) {
+      return res.status(400).type('html').send(renderLogin(req.baseUrl, 'That sign-in link is invalid or expired. Request a new one.'));
+    }
+
+    const sid = newToken();
+    await storage.putJSON(`auth/sessions/${digest(sid)}.json`, {
+      customerId: magic.customerId,
+      email: magic.email,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    });
+    setSessionCookie(res, sid, SESSION_TTL_MS);
+    return res.redirect(303, `${req.baseUrl}/`);
+  } catch (e) {
+    console.error('[dashboard] session', e?.message || e);
+    return res.status(500).send('Sign-in failed');
+  }
+});
+
+router.post('/portal', async (req, res) => {
+  try {
+    const session = await currentSession(req);
+    if (!session) return res.redirect(303, `${req.baseUrl}/`);
+    const portalSess = await client().billingPortal.sessions.create({
+      customer: String(session.customerId),
+      return_url: `${MARKETING_ORIGIN}/dashboard`,
+    });
+    return res.redirect(303, portalSess.url);
+  } catch (e) {
+    console.error('[dashboard] portal', e?.message || e);
+    return res.status(500).send('Unable to open billing portal');
+  }
+});
+
+// Key management from a signed-in session — also the way back in when every secret is lost
+async function keyAction(req, res, fn) {
+  setDashboardCsp(res);
+  try {
+    const session = await currentSession(req);
+    if (!session) return res.redirect(303, `${req.baseUrl}/`);
+    return res.type('html').send(await fn(session.customerId));
+  } catch (e) {
+    const code = String(e?.message || '');
+    if (['key_not_found', 'too_many_keys', 'no_customer'].includes(code)) {
+      return res.status(400).type('html').send(page('API keys', `<h1>📟 API keys</h1><p class="bad">${esc(code)}</p><p><a href="${req.baseUrl}/">Back</a></p>`));
+    }
+    console.error('[dashboard] keys', code || e);
+    return res.status(500).send('Key update failed');
+  }
+}
+
+router.post('/keys', (req, res) =>
+  keyAction(req, res, async (customerId) =>
+    renderNewSecret(req.baseUrl, await createKey(customerId, { name: req.body?.name || undefined }), false)));
+
+router.post('/keys/:id/rotate', (req, res) =>
+  keyAction(req, res, async (customerId) => {
+    const rotated = await rotateKey(customerId, req.params.id);
+    invalidateEntitlement(customerId);
+    return renderNewSecret(req.baseUrl, rotated, true);
+  }));
+
+// Receipts stay available without an active subscription: tax audits come years later
+router.get('/receipts/:lookupId', async (req, res) => {
+  setDashboardCsp(res);
+  try {
+    const session = await currentSession(req);
+    if (!session) return res.redirect(303, `${req.baseUrl}/`);
+    const entry = await getReceipt(req.params.lookupId);
+    if (!entry || entry.customerId !== session.customerId) {
+      return res.status(404).type('html').send(page('Receipt', `<h1>📟 Receipt</h1><p class="bad">No receipt for this lookup.</p><p><a href="${req.baseUrl}/">Back</a></p>`));
+    }
+    return res.type('html').send(renderReceiptHtml(entry.receipt));
+  } catch (e) {
+    console.error('[dashboard] receipt', e?.message || e);
+    return res.status(500).send('Receipt unavailable');
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  const session = await currentSession(req).catch(() => null);
+  if (session) await storage.remove(`auth/sessions/${digest(session.sid)}.json`).catch(() => {});
+  setSessionCookie(res, '', 0);
+  return res.redirect(303, `${req.baseUrl}/`);
+});
+
+export default router;
@@ -1,79 +1,94 @@
-// lib/entitlement.js — dev-friendly (no S3/Stripe needed when ENFORCE_STRIPE !== '1')
-import Stripe from 'stripe';
+// lib/entitlement.js — dev-friendly (no storage/Stripe needed when ENFORCE_STRIPE !== '1')
+// Enforce-mode decisions are cached per key (in-process LRU): fresh for VATFIX_ENTITLEMENT_TTL_MS,
+// then re-checked; while Stripe or storage is unreachable the last decision is served for up to VATFIX_ENTITLEMENT_STALE_MS more.
+// The webhook and key changes drop a customer's entries at once (invalidateEntitlement); other machines follow within the TTL.
+import createStripe from './stripe.js';
+import { resolveKey, legacyKeyId, getCustomer, keyDigest } from './keys.js';
+import { createLru } from './lru.js';
+import { allowedPriceIds as planPriceIds, planForPriceIds, defaultPlan } from './plans.js';
+import { meteredItemFrom } from './billing.js';
 
 // ENV
 const {
   STRIPE_SECRET_KEY,
-  S3_BUCKET,
-  AWS_REGION = 'eu-north-1',
   ENFORCE_STRIPE = '1',                                  // '1' = enforce cloud checks; anything else = dev mode
   VATFIX_PRICE_IDS = '',
   VATFIX_ALLOWED_SUB_STATUSES = 'active,trialing',
+  VATFIX_ENTITLEMENT_TTL_MS = '60000',     // how long a decision is reused without asking Stripe
+  VATFIX_ENTITLEMENT_STALE_MS = '900000',  // extra time a decision may be served while Stripe is down
+  VATFIX_ENTITLEMENT_CACHE_MAX = '10000',
 } = process.env;
 
-// Parse allow-lists once
-const allowedPriceIds = new Set(
-  VATFIX_PRICE_IDS.split(',').map(s => s.trim()).filter(Boolean)
-);
+const TTL_MS = Number(VATFIX_ENTITLEMENT_TTL_MS) || 0;
+const STALE_MS = Number(VATFIX_ENTITLEMENT_STALE_MS) || 0;
+
+// Parse allow-lists once (plain VATFIX_PRICE_IDS entries not in the plan catalog get the default plan)
+const allowedPriceIds = new Set([
+  ...VATFIX_PRICE_IDS.split(',').map(s => s.trim()).filter(Boolean),
+  ...planPriceIds(),
+]);
 const allowedStatuses = new Set(
   VATFIX_ALLOWED_SUB_STATUSES.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
 );
 
-// Lazily created clients (only in enforce mode)
+// Lazily created client (only in enforce mode)
 let stripe = null;
-let s3 = null;
-
-// --- Tiny helper so we don’t import AWS SDKs in dev mode ---
-async function getEntitlementByKeyFromS3(apiKey) {
-  // Only used in enforce mode; create v3 client lazily
-  if (!s3) {
-    const { S3Client, GetObjectCommand } = await import('@aws-sdk/client-s3');
-    s3 = new S3Client({ region: AWS_REGION });
-    s3._GetObjectCommand = GetObjectCommand;
-  }
-  try {
-    const out = await s3.send(new s3._GetObjectCommand({ Bucket: S3_BUCKET, Key: `keys/by-key/${apiKey}.json` }));
-    const text = typeof out.Body?.transformToByteArray === 'function'
-      ? Buffer.from(await out.Body.transformToByteArray()).toString('utf8')
-      : await new Response(out.Body).text(); // Node 18+ fetch Response fallback
-    return JSON.parse(text);
-  } catch {
-    return null;
-  }
+
+// Key index lookup (lib/keys.js; storage backends load their SDKs lazily, so dev mode stays cloud-free)
+async function getEntitlementByKey(apiKey) {
+  const { customer, entry } = await resolveKey(apiKey);
+  return {
+    ...customer,
+    keyId: entry.id,
+    keyName: entry.name,
+    keyIds: customer.keys.map((k) => k.id),
+    rpm: entry.rpm ?? customer.rpm,
+  };
 }
 
 /**
- * Assert PLUS access.
- * In dev mode (ENFORCE_STRIPE !== '1'): we skip S3/Stripe and just require an apiKey to be present.
- * In prod mode  (ENFORCE_STRIPE === '1'): we enforce S3/Stripe as before.
+ * Decide PLUS access and resolve the caller's plan (lib/plans.js) — uncached; callers use assertActivePlus().
+ * In dev mode (ENFORCE_STRIPE !== '1'): we skip storage/Stripe and just require an apiKey to be present.
+ * In prod mode  (ENFORCE_STRIPE === '1'): we enforce the key index + Stripe as before.
+ * Returns { customerId, email, keyId, keyIds, plan, rpm, meteredItem, dunningUntil, graceUntil, active, source };
+ * keyId = the presented key's stable id (metering follows it), keyIds = all of the customer's keys (shared quota),
+ * rpm = key/customer record override or the plan's limit, meteredItem = the subscription item billed (lib/billing.js) or null,
+ * dunningUntil = end of the access kept after a failed payment, or null. Past due after that → 'payment_overdue'.
+ * graceUntil = set while a deactivated customer is in grace (active: false, source: 'grace'); after it → 'subscription_ended'.
+ * A trial past the stored trialUntil without a paid subscription → 'trial_expired'.
  */
-export async function assertActivePlus(input = {}) {
+async function decide(input = {}) {
   const enforce = ENFORCE_STRIPE === '1';
 
   // --- DEV MODE: allow without cloud deps ---
   if (!enforce) {
-    // Still require an API key to be present in the header (keeps your tests meaningful)
-    if (!input.apiKey) throw new Error('invalid_key');
+    // Still require an API key (or a known customer, e.g. the dashboard) — keeps your tests meaningful
+    if (!input.apiKey && !input.customerId) throw new Error('invalid_key');
+    const plan = defaultPlan();
+    const keyId = input.apiKey ? legacyKeyId(input.apiKey) : null;
     return {
-      customerId: null,
+      customerId: input.customerId || null,
       email: input.email || null,
-      key: input.apiKey,
+      keyId,
+      keyIds: keyId ? [keyId] : [],
+      plan,
+      rpm: plan.rpm,
+      meteredItem: null,
+      dunningUntil: null,
+      graceUntil: null,
       active: true,
       source: 'no_enforce', // signals dev mode
     };
   }
 
-  // --- PROD MODE: enforce S3 + Stripe ---
-  if (!S3_BUCKET) throw new Error('S3_BUCKET missing');
+  // --- PROD MODE: enforce key index + Stripe ---
   if (!STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY missing');
-  if (!stripe) stripe = new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+  if (!stripe) stripe = createStripe(STRIPE_SECRET_KEY);
 
-  // 1) Resolve entitlement via S3 by API key (fast path)
+  // 1) Resolve entitlement via the key index (fast path)
   let entitlement = null;
   if (input.apiKey) {
-    entitlement = await getEntitlementByKeyFromS3(input.apiKey);
-    if (!entitlement) throw new Error('invalid_key');
-    if (entitlement.active === false) throw new Error('key_revoked');
+    entitlement = await getEntitlementByKey(input.apiKey); // throws invalid_key / key_revoked
   }
 
   // 2) Determine customer/email context
@@ -98,23 +113,146 @@ export async function assertActivePlus(input = {}) {
     }
   }
 
-  // 5) Fetch subscriptions and validate status/price
+  // 5) Stored windows (set by the webhook): a deactivated customer keeps access until graceUntil
+  const record = entitlement || (await getCustomer(customerId));
+  const now = Date.now();
+  const graceUntil = record?.active === false && Date.parse(record.graceUntil) > now ? record.graceUntil : null;
+  if (record?.active === false && !graceUntil) throw new Error('subscription_ended');
+
+  // 6) Fetch subscriptions and validate status/price
   const subs = await stripe.subscriptions.list({
     customer: customerId,
     expand: ['data.items.data.price'],
     limit: 100,
+    ...(graceUntil ? { status: 'all' } : {}),
+  });
+
+  if (graceUntil) {
+    // The ended subscription's plan; grace lookups are not billed
+    const last = [...subs.data].sort((a, b) => b.created - a.created)[0];
+    const plan = planForPriceIds(last?.items.data.map(item => item.price?.id).filter(Boolean) || []) || defaultPlan();
+    return {
+      customerId,
+      email,
+      keyId: entitlement?.keyId || null,
+      keyIds: entitlement?.keyIds || [],
+      plan,
+      rpm: Number(entitlement?.rpm) > 0 ? Number(entitlement.rpm) : plan.rpm,
+      meteredItem: null,
+      dunningUntil: null,
+      graceUntil,
+      active: false,
+      source: 'grace',
+    };
+  }
+
+  // Past-due subscriptions stay usable while dunning lasts (webhook: invoice.payment_failed)
+  const dunningUntil = Date.parse(record?.dunning?.accessUntil) > now ? record.dunning.accessUntil : null;
+  const trialOver = !!record?.trialUntil && Date.parse(record.trialUntil) <= now;
+  const eligibleSubs = subs.data.filter(sub => {
+    const status = String(sub.status).toLowerCase();
+    return allowedStatuses.has(status) || (status === 'past_due' && !!dunningUntil);
   });
-  const eligibleSubs = subs.data.filter(sub => allowedStatuses.has(String(sub.status).toLowerCase()));
-  if (!eligibleSubs.length) throw new Error('no_active_subscription');
-
-  if (allowedPriceIds.size) {
-    const ok = eligibleSubs.some(sub =>
-      sub.items.data.some(item => item.price && allowedPriceIds.has(item.price.id))
-    );
-    if (!ok) throw new Error('price_not_allowed');
+  if (!eligibleSubs.length) {
+    if (subs.data.some(sub => sub.status === 'past_due')) throw new Error('payment_overdue');
+    throw new Error(trialOver ? 'trial_expired' : 'no_active_subscription');
+  }
+  // A trial we recorded as over doesn't run on because Stripe still says "trialing"
+  if (trialOver && eligibleSubs.every(sub => sub.status === 'trialing')) throw new Error('trial_expired');
+
+  const priceIds = eligibleSubs.flatMap(sub => sub.items.data.map(item => item.price?.id).filter(Boolean));
+  if (allowedPriceIds.size && !priceIds.some(id => allowedPriceIds.has(id))) {
+    throw new Error('price_not_allowed');
   }
+  const plan = planForPriceIds(priceIds) || defaultPlan();
+
+  // rpm: optional per-key override (key record) of the plan's rate limit
+  const rpm = Number(entitlement?.rpm) > 0 ? Number(entitlement.rpm) : plan.rpm;
+  const meteredItem = meteredItemFrom(eligibleSubs);
+  return {
+    customerId,
+    email,
+    keyId: entitlement?.keyId || null,
+    keyIds: entitlement?.keyIds || [],
+    plan,
+    rpm,
+    meteredItem,
+    dunningUntil,
+    graceUntil: null,
+    active: true,
+    source: 'stripe',
+  };
+}
+
+/* ---------------- Decision cache ---------------- */
+const cache = createLru({ max: Number(VATFIX_ENTITLEMENT_CACHE_MAX) || 10000 }); // keyDigest -> entry
+const generations = new Map(); // customerId -> bumped on invalidation; older entries are ignored
+const cacheCounters = { hits: 0, misses: 0, stale: 0, invalidations: 0 };
+
+const generation = (customerId) => generations.get(customerId) || 0;
 
-  return { customerId, email, key: entitlement?.key, active: true, source: 'stripe' };
+// Stripe down, timing out or rate limiting us, or the key store failing a read — not a decision about the customer
+function isOutage(e) {
+  if (e?.message === 'storage_unavailable') return true;
+  return ['StripeConnectionError', 'StripeAPIError', 'StripeRateLimitError'].includes(e?.type) || Number(e?.statusCode) >= 500;
+}
+
+// Grace and dunning windows end on their own; a cached decision never outlives them
+function windowEnd(value) {
+  const ends = [value.graceUntil, value.dunningUntil].filter(Boolean).map(Date.parse);
+  return ends.length ? Math.min(...ends) : Infinity;
+}
+
+/** Drop cached decisions for a customer (webhook state change, key rotation/revocation). */
+export function invalidateEntitlement(customerId) {
+  if (!customerId) return;
+  generations.set(customerId, generation(customerId) + 1);
+  cacheCounters.invalidations++;
+}
+
+export function entitlementCacheStats() {
+  return { ...cacheCounters, ...cache.stats(), ttlMs: TTL_MS, staleMs: STALE_MS };
+}
+
+/**
+ * Assert PLUS access and resolve the caller's plan — see decide() for the result shape and errors.
+ * Cached per API key in enforce mode; source: 'stale' marks a decision served during a Stripe or storage outage.
+ * With no fresh decision to fall back on, an outage throws 'entitlement_unavailable'.
+ */
+export async function assertActivePlus(input = {}) {
+  if (ENFORCE_STRIPE !== '1' || !input.apiKey || !TTL_MS) return decide(input);
+
+  const cacheKey = keyDigest(input.apiKey);
+  const now = Date.now();
+  let hit = cache.get(cacheKey);
+  if (hit && hit.generation !== generation(hit.value.customerId)) {
+    cache.delete(cacheKey);
+    hit = undefined;
+  }
+  if (hit && hit.freshUntil > now) {
+    cacheCounters.hits++;
+    return { ...hit.value, email: input.email || hit.value.email };
+  }
+
+  cacheCounters.misses++;
+  try {
+    const value = await decide(input);
+    const ends = windowEnd(value);
+    cache.set(cacheKey, { value, generation: generation(value.customerId), freshUntil: Math.min(now + TTL_MS, ends) },
+      Math.max(1, Math.min(TTL_MS + STALE_MS, ends - now)));
+    return value;
+  } catch (e) {
+    if (!isOutage(e)) {
+      cache.delete(cacheKey);
+      throw e;
+    }
+    console.warn('[entitlement] Stripe or storage unreachable:', e?.message || e);
+    if (hit && windowEnd(hit.value) > now) {
+      cacheCounters.stale++;
+      return { ...hit.value, email: input.email || hit.value.email, source: 'stale' };
+    }
+    throw new Error('entitlement_unavailable');
+  }
 }
 
 export default assertActivePlus;
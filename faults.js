@@ -0,0 +1,59 @@
+// lib/faults.js — VIES SOAP faults + transport errors → stable error codes
+// Every failure maps to { code, status, retryable, callerFault }:
+//   code         public `error` value in the payload
+//   status       HTTP status the API answers with when no cached answer exists
+//   retryable    the same request may succeed later (VIES/member state/network side)
+//   callerFault  VIES answered and rejected the input — says nothing about VIES health
+
+// SOAP faultstrings documented for checkVatService
+const SOAP_FAULTS = {
+  INVALID_INPUT:             { code: 'invalid_input',             status: 400, retryable: false, callerFault: true },
+  INVALID_REQUESTER_INFO:    { code: 'invalid_requester_info',    status: 400, retryable: false, callerFault: true },
+  VAT_BLOCKED:               { code: 'vat_blocked',               status: 422, retryable: false, callerFault: true },
+  IP_BLOCKED:                { code: 'ip_blocked',                status: 503, retryable: false, callerFault: false },
+  GLOBAL_MAX_CONCURRENT_REQ: { code: 'global_max_concurrent_req', status: 503, retryable: true,  callerFault: false },
+  MS_MAX_CONCURRENT_REQ:     { code: 'ms_max_concurrent_req',     status: 503, retryable: true,  callerFault: false },
+  MS_UNAVAILABLE:            { code: 'ms_unavailable',            status: 503, retryable: true,  callerFault: false },
+  SERVICE_UNAVAILABLE:       { code: 'service_unavailable',       status: 503, retryable: true,  callerFault: false },
+  TIMEOUT:                   { code: 'timeout',                   status: 504, retryable: true,  callerFault: false },
+};
+
+// Our own failure modes around the SOAP call
+const LOCAL_FAULTS = {
+  circuit_open:     { code: 'circuit_open',     status: 503, retryable: true, callerFault: false },
+  timeout:          { code: 'timeout',          status: 504, retryable: true, callerFault: false },
+  vies_unavailable: { code: 'vies_unavailable', status: 503, retryable: true, callerFault: false },
+};
+
+const NETWORK_TIMEOUT = /ETIMEDOUT|ECONNABORTED|ESOCKETTIMEDOUT|timeout of \d+ms exceeded/i;
+
+// Everything node-soap/axios may carry the fault in
+function faultText(err) {
+  const fault = err?.root?.Envelope?.Body?.Fault;
+  return [fault?.faultstring, fault?.faultcode, err?.code, err?.message, typeof err?.body === 'string' ? err.body : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+/** classifyViesError(err) -> { code, status, retryable, callerFault } */
+export function classifyViesError(err) {
+  const text = faultText(err);
+  if (/\bcircuit_open\b/.test(text)) return LOCAL_FAULTS.circuit_open;
+  for (const [name, fault] of Object.entries(SOAP_FAULTS)) {
+    if (new RegExp(`\\b${name}\\b`).test(text)) return fault;
+  }
+  if (NETWORK_TIMEOUT.test(text)) return LOCAL_FAULTS.timeout;
+  // DNS, resets, refused connections, unparseable answers: VIES unreachable from here
+  return LOCAL_FAULTS.vies_unavailable;
+}
+
+const STATUS_BY_CODE = Object.fromEntries(
+  [...Object.values(SOAP_FAULTS), ...Object.values(LOCAL_FAULTS)].map((f) => [f.code, f.status])
+);
+
+// HTTP status for a public error code (unknown codes → 503)
+export function faultStatus(code) {
+  return STATUS_BY_CODE[code] || 503;
+}
+
+export default classifyViesError;
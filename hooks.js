@@ -0,0 +1,464 @@
+// lib/hooks.js — outbound customer webhooks: per-key HTTPS endpoints, signed deliveries, retries, delivery log
+//   hooks/endpoints/{keyId}.json               { keyId, customerId, updatedAt, endpoints: [{ id, url, events, secret, description, createdAt }] }
+//   hooks/deliveries/{keyId}/{deliveryId}.json  one delivery of one event to one endpoint, with every attempt
+//   hooks/pending/{deliveryId}.json            { keyId, id, nextAttemptAt } while a delivery still has attempts left
+// Events: vat.status_changed (watchlist change), vat.lookup_failed (lookup without an answer),
+// subscription.grace_started (subscription ended, access kept until graceUntil).
+// The body is the event JSON; `VATFix-Signature: t={unix seconds},v1={hex HMAC-SHA256(secret, "{t}.{body}")}` signs it
+// (same scheme as Stripe). A delivery is tried soon (bounded in-process queue; when it is full the retry worker takes
+// it), then after VATFIX_HOOK_RETRY_BASE_MS × 2^(attempt-1) until it gets a 2xx or VATFIX_HOOK_MAX_ATTEMPTS are used.
+// Endpoint docs are changed with conditional writes (retried on conflict). Retries run on one machine at a time
+// (storage lease). vat.lookup_failed goes out at most once per VATFIX_HOOK_FAILED_EVERY_MS per key and country (the
+// next one counts the failures held back).
+// Every connection is checked against the address it resolves to: loopback, private, link-local, CGNAT, unspecified
+// and IPv4-mapped forms of them are refused, whatever the URL says.
+
+import crypto from 'crypto';
+import dns from 'node:dns';
+import net from 'node:net';
+import http from 'node:http';
+import https from 'node:https';
+import storage, { takeLease } from './storage.js';
+import { createLru } from './lru.js';
+import { hasFeature } from './plans.js';
+
+const {
+  VATFIX_HOOK_ENDPOINTS_MAX = '5',        // endpoints per key
+  VATFIX_HOOK_TIMEOUT_MS = '5000',        // per attempt
+  VATFIX_HOOK_MAX_ATTEMPTS = '10',        // first try included (~8.5 h of retries with the default base)
+  VATFIX_HOOK_RETRY_BASE_MS = '60000',    // delay before the first retry; doubles after each failure
+  VATFIX_HOOK_TICK_MS = '30000',          // retry worker interval; 0 = off (first attempts still go out)
+  VATFIX_HOOK_CONCURRENCY = '4',          // first attempts in flight per process
+  VATFIX_HOOK_QUEUE_MAX = '1000',         // first attempts waiting per process; beyond it the retry worker sends them
+  VATFIX_HOOK_FAILED_EVERY_MS = '60000',  // vat.lookup_failed per key and country at most this often
+  VATFIX_HOOK_ALLOW_INSECURE = '0',       // '1' = allow http:// and private/loopback hosts (local testing only)
+  MARKETING_ORIGIN = 'https://plus.vatfix.eu',
+} = process.env;
+
+export const HOOK_EVENTS = ['vat.status_changed', 'vat.lookup_failed', 'subscription.grace_started'];
+export const SIGNATURE_HEADER = 'VATFix-Signature';
+
+const ENDPOINTS_MAX = Number(VATFIX_HOOK_ENDPOINTS_MAX) || 5;
+const TIMEOUT_MS = Number(VATFIX_HOOK_TIMEOUT_MS) || 5000;
+const MAX_ATTEMPTS = Number(VATFIX_HOOK_MAX_ATTEMPTS) || 10;
+const RETRY_BASE_MS = Number(VATFIX_HOOK_RETRY_BASE_MS) || 60000;
+const TICK_MS = Number(VATFIX_HOOK_TICK_MS) || 0;
+const ALLOW_INSECURE = VATFIX_HOOK_ALLOW_INSECURE === '1';
+const CONCURRENCY = Number(VATFIX_HOOK_CONCURRENCY) || 4;
+const QUEUE_MAX = Number(VATFIX_HOOK_QUEUE_MAX) || 1000;
+const FAILED_EVERY_MS = Number(VATFIX_HOOK_FAILED_EVERY_MS) || 60000;
+const LOCK_PATH = 'hooks/lock.json';
+const WRITE_ATTEMPTS = 5;
+
+const endpointsKey = (keyId) => `hooks/endpoints/${keyId}.json`;
+const deliveryKey = (keyId, id) => `hooks/deliveries/${keyId}/${id}.json`;
+const pendingKey = (id) => `hooks/pending/${id}.json`;
+const iso = (ms) => new Date(ms).toISOString();
+// Time-ordered ids: delivery keys sort oldest → newest
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`;
+
+/* ---------------- Endpoints ---------------- */
+// Endpoint docs are read on every emitted event; edits on this machine drop the entry, others follow within the TTL
+const cache = createLru({ max: 10000, ttlMs: 60000 });
+
+async function endpointDoc(keyId) {
+  const hit = cache.get(keyId);
+  if (hit) return hit;
+  const doc = (await storage.getJSON(endpointsKey(keyId))) || { keyId, endpoints: [] };
+  cache.set(keyId, doc);
+  return doc;
+}
+
+/**
+ * Read-modify-write a key's endpoint doc: fn(doc) returns the new doc, or null to leave it alone (fn may run more
+ * than once). The write is conditional and retried when another writer got in first. Throws 'webhooks_busy'.
+ */
+async function updateEndpoints(keyId, fn) {
+  for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+    const current = await storage.getVersioned(endpointsKey(keyId));
+    const next = fn(current?.data || { keyId, endpoints: [] });
+    if (!next) return;
+    const doc = { ...next, updatedAt: new Date().toISOString() };
+    const written = current
+      ? await storage.replaceJSON(endpointsKey(keyId), doc, current.version)
+      : await storage.createJSON(endpointsKey(keyId), doc);
+    if (written) {
+      cache.delete(keyId);
+      return;
+    }
+    await new Promise((r) => setTimeout(r, 25 * (attempt + 1) * (1 + Math.random()))); // spread the retries
+  }
+  throw new Error('webhooks_busy');
+}
+
+/** Endpoint as shown to the customer: the secret only by its prefix. */
+export function publicEndpoint({ secret, ...ep }) {
+  return { ...ep, secretPrefix: secret.slice(0, 12) };
+}
+
+/* ---------------- Addresses ---------------- */
+// Never called from our network. IPv4 rules also match the IPv4-mapped IPv6 form (::ffff:a.b.c.d).
+const blocked = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) blocked.addSubnet(addr, prefix, 'ipv4');
+// ::/96 covers unspecified, loopback and IPv4-compatible; 64:ff9b::/96 is NAT64 onto IPv4
+for (const [addr, prefix] of [['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blocked.addSubnet(addr, prefix, 'ipv6');
+}
+
+const blockedAddress = (ip) => blocked.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+
+// Hosts refused at registration: internal names and blocked literal addresses (names are checked again on delivery)
+function privateHost(hostname) {
+  const h = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (h === 'localhost' || h.endsWith('.localhost') || h.endsWith('.internal')) return true;
+  return net.isIP(h) ? blockedAddress(h) : false;
+}
+
+// dns.lookup that refuses a name when any address it resolves to is blocked (no retry to a "good" one)
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => blockedAddress(a.address))) {
+      return callback(Object.assign(new Error(`blocked address for ${hostname}`), { code: 'blocked_address' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    throw new Error('invalid_url');
+  }
+  if (url.username || url.password) throw new Error('invalid_url');
+  if (!ALLOW_INSECURE && (url.protocol !== 'https:' || privateHost(url.hostname))) throw new Error('invalid_url');
+  if (!['https:', 'http:'].includes(url.protocol)) throw new Error('invalid_url');
+  return url.toString();
+}
+
+/** The key's endpoints (secrets included: callers show them through publicEndpoint). */
+export async function listEndpoints(keyId) {
+  return (await storage.getJSON(endpointsKey(keyId)))?.endpoints || [];
+}
+
+/**
+ * Register an endpoint for a key; `events` defaults to all of HOOK_EVENTS.
+ * Returns the endpoint with its secret (the only response that carries it in full).
+ * Throws 'invalid_url' | 'invalid_events' | 'too_many_webhooks' | 'webhooks_busy'.
+ */
+export async function createEndpoint({ keyId, customerId }, { url, events, description } = {}) {
+  const target = checkUrl(url);
+  const wanted = events == null ? HOOK_EVENTS : Array.isArray(events) ? [...new Set(events.map(String))] : null;
+  if (!wanted?.length || wanted.some((e) => !HOOK_EVENTS.includes(e))) throw new Error('invalid_events');
+
+  const endpoint = {
+    id: newId('we'),
+    url: target,
+    events: wanted,
+    description: description ? String(description).slice(0, 200) : null,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    createdAt: new Date().toISOString(),
+  };
+  await updateEndpoints(keyId, (doc) => {
+    if (doc.endpoints.length >= ENDPOINTS_MAX) throw new Error('too_many_webhooks');
+    return { ...doc, keyId, customerId: customerId || null, endpoints: [...doc.endpoints, endpoint] };
+  });
+  return endpoint;
+}
+
+/** New signing secret for an endpoint (the old one stops at once). Returns the endpoint or null. */
+export async function rollEndpointSecret(keyId, endpointId) {
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  let endpoint = null;
+  await updateEndpoints(keyId, (doc) => {
+    endpoint = doc.endpoints.find((e) => e.id === endpointId) || null;
+    if (!endpoint) return null;
+    endpoint.secret = secret;
+    return doc;
+  });
+  return endpoint;
+}
+
+/** Remove an endpoint; its pending deliveries fail with 'endpoint_removed'. Returns false when unknown. */
+export async function deleteEndpoint(keyId, endpointId) {
+  let removed = false;
+  await updateEndpoints(keyId, (doc) => {
+    const endpoints = doc.endpoints.filter((e) => e.id !== endpointId);
+    removed = endpoints.length !== doc.endpoints.length;
+    return removed ? { ...doc, endpoints } : null;
+  });
+  return removed;
+}
+
+/* ---------------- Signing ---------------- */
+/** `t={unix seconds},v1={hex HMAC-SHA256(secret, "{t}.{body}")}` */
+export function signPayload(body, secret, t = Math.floor(Date.now() / 1000)) {
+  return `t=${t},v1=${crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Receiver side: check a VATFix-Signature header against the raw body (any of several v1 values may match).
+ * Timestamps further than toleranceSec from now are refused, against replays. Returns true or throws
+ * 'missing_signature' | 'signature_expired' | 'invalid_signature'.
+ */
+export function verifySignature(body, header, secret, { toleranceSec = 300 } = {}) {
+  const parts = String(header || '').split(',').map((p) => p.trim().split('='));
+  const t = Number(parts.find(([k]) => k === 't')?.[1]);
+  const sigs = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+  if (!t || !sigs.length) throw new Error('missing_signature');
+  if (toleranceSec > 0 && Math.abs(Date.now() / 1000 - t) > toleranceSec) throw new Error('signature_expired');
+  const expected = Buffer.from(signPayload(body, secret, t).split('v1=')[1], 'hex');
+  const ok = sigs.some((s) => {
+    const got = Buffer.from(s, 'hex');
+    return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+  });
+  if (!ok) throw new Error('invalid_signature');
+  return true;
+}
+
+/* ---------------- Deliveries ---------------- */
+// Keep the pending pointer in step with the delivery: present (with its due time) only while attempts remain.
+// `pointer: false` when none was ever written (a first attempt from the queue), so there is nothing to remove.
+async function saveDelivery(d, { pointer = true } = {}) {
+  await storage.putJSON(deliveryKey(d.keyId, d.id), d);
+  if (d.status === 'pending') await storage.putJSON(pendingKey(d.id), { keyId: d.keyId, id: d.id, nextAttemptAt: d.nextAttemptAt });
+  else if (pointer) await storage.remove(pendingKey(d.id)).catch(() => {});
+}
+
+// One POST of the event to the endpoint's current URL; { status, error, durationMs }.
+// node:https rather than fetch, so the resolved address can be checked (safeLookup); redirects are not followed.
+function post(endpoint, d) {
+  const body = JSON.stringify(d.event);
+  const started = Date.now();
+  const result = (status, error) => ({ status, error, durationMs: Date.now() - started });
+  return new Promise((resolve) => {
+    const url = new URL(endpoint.url);
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    // Literal addresses are connected to without a lookup
+    if (!ALLOW_INSECURE && net.isIP(host) && blockedAddress(host)) return resolve(result(null, 'blocked_address'));
+
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': `VATFix-Webhooks/1.0 (+${MARKETING_ORIGIN})`,
+        [SIGNATURE_HEADER]: signPayload(body, endpoint.secret),
+        'VATFix-Event': d.event.type,
+        'VATFix-Delivery': d.id,
+      },
+      ...(ALLOW_INSECURE ? {} : { lookup: safeLookup }),
+    }, (res) => {
+      clearTimeout(timer);
+      res.resume();
+      const ok = res.statusCode >= 200 && res.statusCode < 300; // a redirect is not a delivery
+      resolve(result(res.statusCode, ok ? null : `http_${res.statusCode}`));
+    });
+    const timer = setTimeout(() => req.destroy(Object.assign(new Error('timeout'), { code: 'timeout' })), TIMEOUT_MS);
+    req.on('error', (e) => {
+      clearTimeout(timer);
+      resolve(result(null, String(e?.code || 'network_error').toLowerCase()));
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Make one attempt of a pending delivery and schedule the next (RETRY_BASE_MS × 2^(attempts-1)) or settle it.
+ * Returns the updated delivery, or null when there is nothing to do.
+ */
+export async function attemptDelivery(keyId, id) {
+  const d = await storage.getJSON(deliveryKey(keyId, id));
+  if (!d || d.status !== 'pending') {
+    await storage.remove(pendingKey(id)).catch(() => {});
+    return null;
+  }
+  return deliver(d);
+}
+
+async function deliver(d, { pointer = true } = {}) {
+  const endpoint = (await listEndpoints(d.keyId)).find((e) => e.id === d.endpointId);
+  if (!endpoint) {
+    const failed = { ...d, status: 'failed', nextAttemptAt: null, error: 'endpoint_removed' };
+    await saveDelivery(failed, { pointer });
+    return failed;
+  }
+
+  const at = new Date().toISOString();
+  const r = await post(endpoint, d);
+  const attempts = [...d.attempts, { at, url: endpoint.url, ...r }];
+  const next = { ...d, url: endpoint.url, attempts, error: r.error };
+  if (!r.error) Object.assign(next, { status: 'delivered', deliveredAt: at, nextAttemptAt: null });
+  else if (attempts.length >= MAX_ATTEMPTS) Object.assign(next, { status: 'failed', nextAttemptAt: null });
+  else next.nextAttemptAt = iso(Date.now() + RETRY_BASE_MS * 2 ** (attempts.length - 1));
+  await saveDelivery(next, { pointer });
+  return next;
+}
+
+// First attempts: at most CONCURRENCY in flight and QUEUE_MAX waiting per process. A queued delivery is logged
+// without a pending pointer (the retry worker never sees it) until its first attempt fails; one that does not fit
+// gets a pointer due at once instead. A delivery queued when the process stops stays pending in the log (replay it).
+const firstAttempts = [];
+let firstInFlight = 0;
+
+function drainFirstAttempts() {
+  while (firstInFlight < CONCURRENCY && firstAttempts.length) {
+    const d = firstAttempts.shift();
+    firstInFlight++;
+    deliver(d, { pointer: false })
+      .catch((e) => console.error('[hooks] delivery failed:', d.id, e?.message || e))
+      .finally(() => {
+        firstInFlight--;
+        drainFirstAttempts();
+      });
+  }
+}
+
+async function enqueue(keyId, endpoint, event, { replayOf = null } = {}) {
+  const d = {
+    id: newId('dlv'),
+    keyId,
+    endpointId: endpoint.id,
+    url: endpoint.url,
+    event,
+    status: 'pending',
+    attempts: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: iso(Date.now()),
+    deliveredAt: null,
+    ...(replayOf ? { replayOf } : {}),
+  };
+  if (firstAttempts.length >= QUEUE_MAX) {
+    await saveDelivery(d);
+    return d;
+  }
+  await storage.putJSON(deliveryKey(keyId, d.id), d);
+  firstAttempts.push(d);
+  drainFirstAttempts();
+  return d;
+}
+
+// vat.lookup_failed throttle: `${keyId}:${countryCode}` -> { until, held }
+const failedSent = createLru({ max: 10000 });
+
+// Failures held back since the last event for this key and country, or null when this one is held back too
+function failedAllowed(keyId, countryCode) {
+  const k = `${keyId}:${countryCode || ''}`;
+  const now = Date.now();
+  const last = failedSent.get(k);
+  if (last && last.until > now) {
+    last.held++;
+    return null;
+  }
+  failedSent.set(k, { until: now + FAILED_EVERY_MS, held: 0 });
+  return last?.held || 0;
+}
+
+/**
+ * Send an event to every endpoint of the given keys that subscribes to it. Best-effort and non-blocking for callers:
+ * errors are logged, never thrown. With `plan`, nothing is sent unless the plan has the 'webhooks' feature
+ * (events about the subscription itself are sent regardless). Returns the event, or null when no endpoint wanted it.
+ */
+export async function emitHook({ keyIds = [], type, data, plan = null }) {
+  try {
+    if (plan && !hasFeature(plan, 'webhooks')) return null;
+    const targets = [];
+    let held = 0;
+    for (const keyId of new Set(keyIds.filter(Boolean))) {
+      const eps = (await endpointDoc(keyId)).endpoints.filter((ep) => ep.events.includes(type));
+      if (!eps.length) continue;
+      if (type === 'vat.lookup_failed') {
+        const n = failedAllowed(keyId, data?.countryCode);
+        if (n === null) continue;
+        held = Math.max(held, n);
+      }
+      for (const ep of eps) targets.push([keyId, ep]);
+    }
+    if (!targets.length) return null;
+    const body = type === 'vat.lookup_failed' ? { ...data, heldBack: held } : data;
+    const event = { id: newId('evt'), type, createdAt: new Date().toISOString(), data: body };
+    for (const [keyId, ep] of targets) await enqueue(keyId, ep, event);
+    return event;
+  } catch (e) {
+    console.error('[hooks] emit failed:', type, e?.message || e);
+    return null;
+  }
+}
+
+/** A `webhook.test` event to one endpoint, whatever it subscribes to. Returns the delivery or null (unknown endpoint). */
+export async function sendTestEvent(keyId, endpointId) {
+  const endpoint = (await listEndpoints(keyId)).find((e) => e.id === endpointId);
+  if (!endpoint) return null;
+  const event = { id: newId('evt'), type: 'webhook.test', createdAt: new Date().toISOString(), data: { endpointId } };
+  return enqueue(keyId, endpoint, event);
+}
+
+/** Send a logged delivery's event again (same event id, new delivery). Returns the new delivery or null. */
+export async function replayDelivery(keyId, id) {
+  const d = await storage.getJSON(deliveryKey(keyId, id));
+  if (!d) return null;
+  const endpoint = (await listEndpoints(keyId)).find((e) => e.id === d.endpointId);
+  if (!endpoint) throw new Error('webhook_not_found');
+  return enqueue(keyId, endpoint, d.event, { replayOf: d.id });
+}
+
+/** Delivery log of a key, newest first (attempts left out; see getDelivery). Filters: endpointId, status. */
+export async function listDeliveries(keyId, { endpointId, status, limit = 50 } = {}) {
+  const keys = (await storage.list(`hooks/deliveries/${keyId}/`)).sort().reverse();
+  const out = [];
+  for (const key of keys) {
+    if (out.length >= limit) break;
+    const d = await storage.getJSON(key);
+    if (!d || (endpointId && d.endpointId !== endpointId) || (status && d.status !== status)) continue;
+    const { attempts, event, ...summary } = d;
+    out.push({ ...summary, eventId: event.id, type: event.type, attemptCount: attempts.length });
+  }
+  return out;
+}
+
+export async function getDelivery(keyId, id) {
+  return storage.getJSON(deliveryKey(keyId, id));
+}
+
+/* ---------------- Retry worker ---------------- */
+/** Attempt every due pending delivery, one after the other. Returns the number attempted. */
+export async function runHookRetries() {
+  const now = Date.now();
+  let attempted = 0;
+  for (const key of await storage.list('hooks/pending/')) {
+    const ptr = await storage.getJSON(key);
+    if (!ptr || Date.parse(ptr.nextAttemptAt) > now) continue;
+    try {
+      if (await attemptDelivery(ptr.keyId, ptr.id)) attempted++;
+    } catch (e) {
+      console.error('[hooks] retry failed:', ptr.id, e?.message || e);
+    }
+  }
+  return attempted;
+}
+
+/** Start the retry worker if VATFIX_HOOK_TICK_MS > 0 (server only). */
+export function scheduleHooks() {
+  if (!TICK_MS) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (await takeLease(LOCK_PATH, TICK_MS * 3)) await runHookRetries();
+    } catch (e) {
+      console.error('[hooks]', e?.message || e);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,6 @@
+// lib/html.js — helpers for the server-rendered pages (pricing, dashboard, receipt certificates)
+
+/** Escape a value for HTML text or a quoted attribute; null and undefined render empty. */
+export function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
@@ -0,0 +1,472 @@
+// lib/keys.js — customer records + API keys (several named keys per customer, rotation, revocation)
+// Secrets are never stored: each key is kept as HMAC-SHA256(VATFIX_KEY_PEPPER, key) plus a short prefix.
+// keys/{customerId}.json   { customerId, email, active, trialUntil, graceUntil, dunning, keys: [entry, …] }
+//   entry                  { id, name, prefix, digest, createdAt, rotatedAt, previousDigest, previousKeyExpiresAt, revokedAt, revealPending }
+// keys/by-key/{digest}.json  pointer { customerId, keyId } — rotated keys keep theirs (+ expiresAt) for the overlap
+// keys/by-email/{sha256(email)}.json  { customerId } — dashboard sign-in
+// keys/reveal/{sha256(checkoutSessionId)}.json  a new key, encrypted, until the success page shows it once
+// Key ids are stable across rotations, so usage, quotas and rate limits follow the id, not the secret.
+// Records are changed with conditional writes (retried on conflict). Pointers for a new secret are written before
+// the record names it, and pointers the record stops naming are removed after, so a failed step leaves the old
+// state working and at worst an orphan pointer (which resolves to invalid_key).
+// Records holding plaintext keys (single `key`, or entries with `key`) are migrated when read,
+// or all at once with scripts/migrate-keys.mjs.
+
+import crypto from 'crypto';
+import storage from './storage.js';
+
+const {
+  VATFIX_KEY_PEPPER = '',          // HMAC secret for key digests — required, never rotate without re-keying
+  VATFIX_KEY_OVERLAP_HOURS = '24', // old key keeps working this long after a rotation
+  VATFIX_MAX_KEYS = '10',          // active keys per customer
+  VATFIX_REVEAL_TTL_HOURS = '24',  // how long the success page can still show a new key
+} = process.env;
+
+export const DEFAULT_OVERLAP_MS = (Number(VATFIX_KEY_OVERLAP_HOURS) || 0) * 3600000;
+export const MAX_KEYS = Number(VATFIX_MAX_KEYS) || 10;
+const REVEAL_TTL_MS = (Number(VATFIX_REVEAL_TTL_HOURS) || 24) * 3600000;
+const PREFIX_LEN = 12; // "sk_live_" + 4 hex
+const REMINT_AFTER_MS = 5 * 60000; // a subscription key still unrevealed this long after minting is minted again
+const WRITE_ATTEMPTS = 5;
+const LEGACY_KEY = /^sk_live_[0-9a-f]{48}$/;
+
+/* ---------------- Helpers ---------------- */
+const newSecret = () => 'sk_live_' + crypto.randomBytes(24).toString('hex');
+const newKeyId = () => 'key_' + crypto.randomBytes(8).toString('hex');
+const now = () => new Date().toISOString();
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+function pepper() {
+  if (!VATFIX_KEY_PEPPER) throw new Error('Missing VATFIX_KEY_PEPPER');
+  return VATFIX_KEY_PEPPER;
+}
+
+export function keyDigest(key) {
+  return crypto.createHmac('sha256', pepper()).update(String(key)).digest('hex');
+}
+
+export const keyPrefix = (key) => String(key).slice(0, PREFIX_LEN);
+
+// Customer lookup by email without putting the address into the object key
+export function emailIndexKey(email) {
+  return `keys/by-email/${sha256(String(email).trim().toLowerCase())}.json`;
+}
+
+// Deterministic id for a key minted before named keys existed
+export function legacyKeyId(key) {
+  return 'key_' + sha256(key).slice(0, 16);
+}
+
+function maxIso(a, b) {
+  if (!a) return b || null;
+  if (!b) return a || null;
+  return new Date(a) > new Date(b) ? a : b;
+}
+
+// New entry + its secret (returned to the caller once, never stored)
+function mintEntry({ name = 'default' } = {}) {
+  const secret = newSecret();
+  const entry = {
+    id: newKeyId(),
+    name,
+    prefix: keyPrefix(secret),
+    digest: keyDigest(secret),
+    createdAt: now(),
+    rotatedAt: null,
+    previousDigest: null,
+    previousKeyExpiresAt: null,
+    revokedAt: null,
+  };
+  return { entry, secret };
+}
+
+const isLive = (entry) => !entry.revokedAt;
+
+// First live key — the account's main key
+export function primaryEntry(rec) {
+  return rec?.keys?.find(isLive) || null;
+}
+
+// Key entry without digests, for APIs and pages
+export function publicKey(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    prefix: entry.prefix ? `${entry.prefix}…` : null,
+    createdAt: entry.createdAt,
+    rotatedAt: entry.rotatedAt,
+    previousKeyExpiresAt: entry.previousKeyExpiresAt,
+    revokedAt: entry.revokedAt,
+  };
+}
+
+/* ---------------- Records + migration ---------------- */
+const hasPlaintext = (rec) => !!rec && (!Array.isArray(rec.keys) || rec.keys.some((k) => k.key || k.previousKey));
+const recordKey = (customerId) => `keys/${customerId}.json`;
+const pointerKey = (digest) => `keys/by-key/${digest}.json`;
+
+async function indexKey(digest, customerId, keyId, extra = {}) {
+  await storage.putJSON(pointerKey(digest), { customerId, keyId, ...extra });
+}
+
+// Best-effort: a pointer left behind names a key the record does not, so it only ever answers invalid_key
+function dropPointer(digest) {
+  return storage.remove(pointerKey(digest)).catch((e) => console.error('[keys] pointer cleanup failed:', e?.message || e));
+}
+
+// Record with plaintext keys replaced by digests, and the plaintext keys it held (for their index docs)
+function hashKeys(rec) {
+  // Pre-named-keys shape: one top-level `key`
+  let keys = rec.keys;
+  if (!Array.isArray(keys)) {
+    keys = rec.key ? [{ id: legacyKeyId(rec.key), name: 'default', key: rec.key, createdAt: rec.createdAt || now() }] : [];
+  }
+
+  const plaintext = [];
+  const hashed = keys.map((k) => {
+    if (!k.key && !k.previousKey) return k;
+    const { key, previousKey, ...rest } = k;
+    if (key) plaintext.push({ key, keyId: k.id });
+    if (previousKey) plaintext.push({ key: previousKey, keyId: k.id, expiresAt: k.previousKeyExpiresAt });
+    return {
+      rotatedAt: null,
+      previousKeyExpiresAt: null,
+      revokedAt: null,
+      ...rest,
+      prefix: rest.prefix || (key ? keyPrefix(key) : null),
+      digest: key ? keyDigest(key) : rest.digest,
+      previousDigest: previousKey ? keyDigest(previousKey) : rest.previousDigest || null,
+    };
+  });
+
+  const { key: _legacy, ...base } = rec;
+  return { record: { ...base, keys: hashed, keysHashedAt: now() }, plaintext };
+}
+
+/**
+ * Read-modify-write one customer record: fn(rec) gets the current record (null when there is none, migrated when it
+ * still holds plaintext keys) and returns the new record, or null to leave it alone. fn may run more than once and
+ * may throw to abort. The write is conditional and retried when another writer got in first.
+ * Returns the record as written, or the current one when fn left it alone. Throws 'customer_busy'.
+ */
+async function updateCustomer(customerId, fn) {
+  for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+    const current = await storage.getVersioned(recordKey(customerId));
+    let rec = current?.data || null;
+    let plaintext = [];
+    if (hasPlaintext(rec)) ({ record: rec, plaintext } = hashKeys(rec));
+
+    const next = fn(rec);
+    if (!next && !plaintext.length) return rec;
+    const doc = { ...(next || rec), updatedAt: now() };
+
+    // Digest pointers before the record drops the plaintext; the plaintext index docs go once it has
+    for (const p of plaintext) await indexKey(keyDigest(p.key), customerId, p.keyId, p.expiresAt ? { expiresAt: p.expiresAt } : {});
+    const written = current
+      ? await storage.replaceJSON(recordKey(customerId), doc, current.version)
+      : await storage.createJSON(recordKey(customerId), doc);
+    if (!written) {
+      await new Promise((r) => setTimeout(r, 25 * (attempt + 1) * (1 + Math.random()))); // spread the retries
+      continue;
+    }
+    for (const p of plaintext) await storage.remove(pointerKey(p.key));
+    return doc;
+  }
+  throw new Error('customer_busy');
+}
+
+/**
+ * Replace plaintext keys in a stored record with digests, swap the key index to digests
+ * and drop the plaintext index docs. Returns the migrated record (unchanged if already hashed).
+ */
+export async function migrateCustomer(rec) {
+  if (!hasPlaintext(rec)) return rec;
+  return updateCustomer(rec.customerId, () => null);
+}
+
+export async function getCustomer(customerId) {
+  const rec = await storage.getJSON(recordKey(customerId));
+  return hasPlaintext(rec) ? migrateCustomer(rec) : rec;
+}
+
+/* ---------------- Lookup ---------------- */
+/**
+ * Resolve a presented API key by digest.
+ * Returns { customer, entry } — throws 'invalid_key' (unknown) or 'key_revoked' (revoked / overlap over).
+ */
+export async function resolveKey(apiKey) {
+  const digest = keyDigest(apiKey);
+  let ptr = await storage.getJSON(pointerKey(digest));
+
+  // Not migrated yet: the plaintext index doc names the customer; migrating writes the digest pointer
+  if (!ptr && LEGACY_KEY.test(String(apiKey))) {
+    const legacy = await storage.getJSON(pointerKey(apiKey));
+    if (legacy?.customerId) {
+      await getCustomer(legacy.customerId);
+      ptr = await storage.getJSON(pointerKey(digest));
+    }
+  }
+  if (!ptr?.customerId) throw new Error('invalid_key');
+
+  const customer = await getCustomer(ptr.customerId);
+  const entry = customer?.keys.find((k) => k.id === ptr.keyId);
+  if (!entry) throw new Error('invalid_key');
+  if (entry.revokedAt) throw new Error('key_revoked');
+
+  if (entry.digest === digest) return { customer, entry };
+  if (entry.previousDigest === digest) {
+    if (Date.parse(entry.previousKeyExpiresAt) > Date.now()) return { customer, entry };
+    storage.remove(pointerKey(digest)).catch(() => {});
+    throw new Error('key_revoked');
+  }
+  throw new Error('invalid_key');
+}
+
+/* ---------------- Subscription lifecycle (webhook) ---------------- */
+// A key minted by upsertEntitlement is revealPending until its secret has been stashed for the success page
+// (keyRevealed). One still pending after REMINT_AFTER_MS belongs to a sync that died in between: nobody holds
+// the secret, so the next sync mints it again under the same id. Younger ones belong to a sync still running.
+const unrevealed = (k) => isLive(k) && k.revealPending && Date.now() - Date.parse(k.rotatedAt || k.createdAt) > REMINT_AFTER_MS;
+const needsKey = (rec) => !rec?.keys?.some((k) => isLive(k) && !unrevealed(k));
+
+/**
+ * Create or refresh a customer's record; the first call mints the "default" key.
+ * Returns { record, secret } — secret is the new key's plaintext when one was minted, else null.
+ * The caller stashes the secret and then calls keyRevealed.
+ */
+export async function upsertEntitlement({ customerId, email, active = true, trialUntil = null, graceUntil = null }) {
+  // A key minted here is indexed before the record names it
+  let minted = null;
+  const first = await getCustomer(customerId);
+  if (needsKey(first)) {
+    minted = mintEntry();
+    minted.entry = { ...minted.entry, id: first?.keys.find(unrevealed)?.id || minted.entry.id, revealPending: true };
+    await indexKey(minted.entry.digest, customerId, minted.entry.id);
+  }
+
+  let used = false;
+  let replaced = null;
+  const record = await updateCustomer(customerId, (rec) => {
+    used = false;
+    if (!needsKey(rec)) {
+      return {
+        ...rec,
+        email: email || rec.email,
+        active,
+        trialUntil: maxIso(rec.trialUntil, trialUntil),
+        graceUntil: maxIso(rec.graceUntil, graceUntil),
+      };
+    }
+    // Every key went away, or a different one went stale, since the first read; the caller retries
+    const stale = rec?.keys.find((k) => k.id === minted?.entry.id);
+    if (!minted || (stale ? !unrevealed(stale) : rec?.keys.some(unrevealed))) throw new Error('customer_busy');
+    used = true;
+    replaced = stale?.digest || null;
+    return {
+      customerId,
+      email: email || rec?.email || null,
+      active,
+      createdAt: rec?.createdAt || now(),
+      trialUntil: maxIso(rec?.trialUntil, trialUntil),
+      graceUntil: maxIso(rec?.graceUntil, graceUntil),
+      keys: stale
+        ? rec.keys.map((k) => (k === stale ? { ...k, prefix: minted.entry.prefix, digest: minted.entry.digest, rotatedAt: now() } : k))
+        : [...(rec?.keys || []), minted.entry],
+    };
+  });
+  // Another writer minted first: ours was never named
+  if (minted && !used) await dropPointer(minted.entry.digest);
+  if (replaced) await dropPointer(replaced);
+  if (record.email) await storage.putJSON(emailIndexKey(record.email), { customerId });
+  return { record, secret: used ? minted.secret : null };
+}
+
+/** The secret upsertEntitlement returned has been stashed for the success page: the key is no longer re-minted. */
+export async function keyRevealed(customerId, secret) {
+  const digest = keyDigest(secret);
+  await updateCustomer(customerId, (rec) => {
+    const entry = rec?.keys.find((k) => k.digest === digest && k.revealPending);
+    if (!entry) return null;
+    delete entry.revealPending;
+    return rec;
+  });
+}
+
+export async function deactivateEntitlement(customerId, { graceUntil = null } = {}) {
+  return updateCustomer(customerId, (rec) => rec && {
+    ...rec,
+    active: false,
+    deactivatedAt: now(),
+    graceUntil: maxIso(rec.graceUntil, graceUntil),
+  });
+}
+
+/** Merge billing state (dunning, notices) into a customer's record. Returns the record, or null if unknown. */
+export async function patchCustomer(customerId, fields) {
+  return updateCustomer(customerId, (rec) => rec && { ...rec, ...fields });
+}
+
+/** Follow a billing email change in Stripe: record + sign-in index. */
+export async function updateCustomerEmail(customerId, email) {
+  let previous = null;
+  const rec = await updateCustomer(customerId, (cur) => {
+    previous = cur?.email || null;
+    return cur && email && cur.email !== email ? { ...cur, email } : null;
+  });
+  if (!rec || rec.email !== email || previous === email) return rec;
+  await storage.putJSON(emailIndexKey(email), { customerId });
+  if (previous && emailIndexKey(previous) !== emailIndexKey(email)) await storage.remove(emailIndexKey(previous)).catch(() => {});
+  return rec;
+}
+
+/* ---------------- Show-once hand-off (checkout success page) ---------------- */
+// AES-256-GCM under a key derived from the pepper and the checkout session id; only the id's digest is stored
+function revealCipherKey(sessionId) {
+  return crypto.createHmac('sha256', pepper()).update(`reveal:${sessionId}`).digest();
+}
+
+export async function stashReveal(sessionId, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', revealCipherKey(sessionId), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  await storage.putJSON(`keys/reveal/${sha256(sessionId)}.json`, {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    expiresAt: new Date(Date.now() + REVEAL_TTL_MS).toISOString(),
+  });
+}
+
+/** The stashed key for a checkout session, deleted on read. null when already shown or expired. */
+export async function takeReveal(sessionId) {
+  const path = `keys/reveal/${sha256(sessionId)}.json`;
+  const blob = await storage.getJSON(path);
+  if (!blob) return null;
+  await storage.remove(path);
+  if (Date.parse(blob.expiresAt) <= Date.now()) return null;
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', revealCipherKey(sessionId), Buffer.from(blob.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/* ---------------- Key management (customers + admins) ---------------- */
+export async function listKeys(customerId) {
+  const rec = await getCustomer(customerId);
+  if (!rec) throw new Error('no_customer');
+  return rec.keys;
+}
+
+/** Mint an extra named key. Returns { entry, secret } — the secret is not kept anywhere. */
+export async function createKey(customerId, { name } = {}) {
+  const current = await getCustomer(customerId);
+  if (!current) throw new Error('no_customer');
+
+  const minted = mintEntry({ name: String(name || `key ${current.keys.length + 1}`).slice(0, 64) });
+  await indexKey(minted.entry.digest, customerId, minted.entry.id);
+  try {
+    await updateCustomer(customerId, (rec) => {
+      if (!rec) throw new Error('no_customer');
+      if (rec.keys.filter(isLive).length >= MAX_KEYS) throw new Error('too_many_keys');
+      return { ...rec, keys: [...rec.keys, minted.entry] };
+    });
+  } catch (e) {
+    await dropPointer(minted.entry.digest);
+    throw e;
+  }
+  return minted;
+}
+
+/**
+ * Replace a key's secret. The old secret keeps working for `overlapMs`, then stops.
+ * The id (and with it usage, quota and rate limit) stays the same. Returns { entry, secret }.
+ * Throws 'customer_busy' when the key was rotated concurrently.
+ */
+export async function rotateKey(customerId, keyId, { overlapMs = DEFAULT_OVERLAP_MS } = {}) {
+  const current = (await getCustomer(customerId))?.keys.find((k) => k.id === keyId && isLive(k));
+  if (!current) throw new Error('key_not_found');
+
+  const secret = newSecret();
+  const digest = keyDigest(secret);
+  const expiresAt = new Date(Date.now() + Math.max(0, overlapMs)).toISOString();
+  const { digest: oldDigest, previousDigest: olderDigest } = current;
+
+  // New pointers first: until the record is written the old secret stays the current one
+  await indexKey(digest, customerId, keyId);
+  if (overlapMs > 0) await indexKey(oldDigest, customerId, keyId, { expiresAt });
+
+  let entry;
+  try {
+    await updateCustomer(customerId, (rec) => {
+      entry = rec?.keys.find((k) => k.id === keyId && isLive(k));
+      if (!entry) throw new Error('key_not_found');
+      if (entry.digest !== oldDigest) throw new Error('customer_busy');
+      Object.assign(entry, {
+        prefix: keyPrefix(secret),
+        digest,
+        rotatedAt: now(),
+        previousDigest: overlapMs > 0 ? oldDigest : null,
+        previousKeyExpiresAt: overlapMs > 0 ? expiresAt : null,
+      });
+      delete entry.revealPending; // the caller shows this secret
+      return rec;
+    });
+  } catch (e) {
+    await dropPointer(digest);
+    throw e;
+  }
+
+  // A rotation during an overlap ends the older overlap immediately
+  if (olderDigest) await dropPointer(olderDigest);
+  if (!(overlapMs > 0)) await dropPointer(oldDigest);
+  return { entry, secret };
+}
+
+/** Revoke one key (current and overlapping secret). The last live key cannot be revoked. */
+export async function revokeKey(customerId, keyId) {
+  let entry;
+  await updateCustomer(customerId, (rec) => {
+    entry = rec?.keys.find((k) => k.id === keyId && isLive(k));
+    if (!entry) throw new Error('key_not_found');
+    if (rec.keys.filter(isLive).length === 1) throw new Error('last_active_key');
+
+    // Pointers stay, so the secrets answer key_revoked rather than invalid_key
+    entry.revokedAt = now();
+    return rec;
+  });
+  return entry;
+}
+
+/**
+ * Delete a customer record with its key pointers and email index (privacy erasure).
+ * Every secret stops working at once (invalid_key). Returns the removed record, or null.
+ */
+export async function removeCustomer(customerId) {
+  const rec = await getCustomer(customerId);
+  if (!rec) return null;
+  for (const k of rec.keys) {
+    for (const digest of [k.digest, k.previousDigest].filter(Boolean)) await storage.remove(pointerKey(digest));
+  }
+  if (rec.email) {
+    const idx = await storage.getJSON(emailIndexKey(rec.email));
+    if (idx?.customerId === customerId) await storage.remove(emailIndexKey(rec.email));
+  }
+  await storage.remove(recordKey(customerId));
+  return rec;
+}
+
+/** Undo a revocation (support). The key's pointers were kept, so the same secret works again. */
+export async function reactivateKey(customerId, keyId) {
+  let entry;
+  await updateCustomer(customerId, (rec) => {
+    entry = rec?.keys.find((k) => k.id === keyId);
+    if (!entry) throw new Error('key_not_found');
+    if (!entry.revokedAt) return null;
+    if (rec.keys.filter(isLive).length >= MAX_KEYS) throw new Error('too_many_keys');
+
+    entry.revokedAt = null;
+    entry.reactivatedAt = now();
+    return rec;
+  });
+  return entry;
+}
@@ -0,0 +1,40 @@
+// lib/lru.js — bounded in-process LRU with per-entry TTL
+// Map insertion order doubles as recency order: a hit re-inserts the entry at the tail.
+
+export function createLru({ max = 10000, ttlMs = 0 } = {}) {
+  const map = new Map(); // key -> { value, expiresAt }
+  let evictions = 0;
+
+  return {
+    get(key) {
+      const e = map.get(key);
+      if (!e) return undefined;
+      if (e.expiresAt && e.expiresAt <= Date.now()) {
+        map.delete(key);
+        return undefined;
+      }
+      map.delete(key);
+      map.set(key, e);
+      return e.value;
+    },
+    set(key, value, ttl = ttlMs) {
+      map.delete(key);
+      map.set(key, { value, expiresAt: ttl > 0 ? Date.now() + ttl : 0 });
+      while (map.size > max) {
+        map.delete(map.keys().next().value);
+        evictions++;
+      }
+    },
+    delete(key) {
+      map.delete(key);
+    },
+    clear() {
+      map.clear();
+    },
+    stats() {
+      return { size: map.size, max, evictions };
+    },
+  };
+}
+
+export default createLru;
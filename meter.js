@@ -1,90 +1,389 @@
-// lib/meter.js — S3 metering + per‑key rate limiting (AWS SDK v3)
-// Best‑effort: failures degrade to allowed:true. No DynamoDB, no locks.
+// lib/meter.js — in-process per‑key rate limiting, monthly quotas + aggregated usage metering
+// The token bucket in this process is the authority for each key (no storage on the hot path).
+// Usage counts are kept as running daily totals and flushed to storage every VATFIX_METER_FLUSH_MS.
+// Monthly quotas add other instances' flushed totals, loaded in the background and refreshed every
+// VATFIX_QUOTA_REFRESH_MS; until a key's first load lands its quota counts only this process's requests.
+// The last VATFIX_RECENT_LOOKUPS answers per key are kept for the dashboard, flushed alongside usage.
+// Best‑effort: storage failures never block a lookup; the next flush simply rewrites the totals.
 
-import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import os from 'node:os';
+import storage from './storage.js';
+import { createLru } from './lru.js';
 
 const {
-  S3_BUCKET,
-  AWS_REGION = 'eu-north-1',
-  VATFIX_WINDOW_MS = '60000',   // 60s
-  VATFIX_RPS_LIMIT = '120',     // max requests per window per key
+  VATFIX_WINDOW_MS = '60000',      // 60s
+  VATFIX_RPS_LIMIT = '120',        // default max requests per window per key
+  VATFIX_METER_FLUSH_MS = '30000', // how often usage totals are written
+  VATFIX_QUOTA_REFRESH_MS = '300000', // how often other instances' monthly usage is re-read
+  VATFIX_RECENT_LOOKUPS = '50',    // recent lookups kept per key
+  VATFIX_QUOTA_CACHE_MAX = '10000', // keys whose stored monthly usage is held in memory
+  FLY_MACHINE_ID,
 } = process.env;
 
-if (!S3_BUCKET) {
-  console.warn('[meter] S3_BUCKET not set — rate limiting disabled');
-}
-
-const s3 = new S3Client({ region: AWS_REGION });
 const WINDOW_MS = Number(VATFIX_WINDOW_MS) || 60000;
 const LIMIT = Number(VATFIX_RPS_LIMIT) || 120;
+const FLUSH_MS = Number(VATFIX_METER_FLUSH_MS) || 30000;
+const QUOTA_REFRESH_MS = Number(VATFIX_QUOTA_REFRESH_MS) || 300000;
+const RECENT_MAX = Number(VATFIX_RECENT_LOOKUPS) || 50;
+const DAY_MS = 86400000;
 
-// ----- tiny helpers -----
-async function getJSON(Key) {
-  try {
-    const out = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key }));
-    const buf =
-      typeof out.Body?.transformToByteArray === 'function'
-        ? Buffer.from(await out.Body.transformToByteArray())
-        : Buffer.from(await streamToBuffer(out.Body));
-    return JSON.parse(buf.toString('utf8'));
-  } catch {
-    return null;
+// Each process writes only its own usage docs, so flushes never race another instance
+const INSTANCE = `${FLY_MACHINE_ID || os.hostname()}-${Date.now().toString(36)}`;
+
+// ----- token buckets -----
+const buckets = new Map(); // apiKey -> { tokens, limit, updatedAt }
+
+function refill(b, limit, now) {
+  const rate = limit / WINDOW_MS; // tokens per ms
+  const tokens = Math.min(limit, b.tokens + (now - b.updatedAt) * rate);
+  return { tokens, limit, updatedAt: now };
+}
+
+function take(apiKey, limit, now) {
+  const prev = buckets.get(apiKey) || { tokens: limit, limit, updatedAt: now };
+  const b = refill(prev, limit, now);
+  const rate = limit / WINDOW_MS;
+  buckets.set(apiKey, b);
+
+  if (b.tokens < 1) {
+    return {
+      allowed: false,
+      remaining: 0,
+      resetMs: (limit - b.tokens) / rate,
+      retryAfterMs: (1 - b.tokens) / rate,
+    };
   }
+  b.tokens -= 1;
+  return { allowed: true, remaining: Math.floor(b.tokens), resetMs: (limit - b.tokens) / rate };
 }
-async function putJSON(Key, data) {
-  try {
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: S3_BUCKET,
-        Key,
-        Body: JSON.stringify(data),
-        ContentType: 'application/json',
-      })
-    );
-  } catch {
-    // swallow — best effort
-  }
-}
-function streamToBuffer(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (c) => chunks.push(c));
-    stream.on('end', () => resolve(Buffer.concat(chunks)));
-    stream.on('error', reject);
+
+// ----- usage totals -----
+const usage = new Map(); // `${day}|${apiKey}` -> doc
+const dirty = new Set();
+
+function countUsage(apiKey, now, field) {
+  const iso = new Date(now).toISOString();
+  const day = iso.slice(0, 10);  // YYYY-MM-DD
+  const hour = iso.slice(11, 13); // HH (UTC)
+  const id = `${day}|${apiKey}`;
+
+  let doc = usage.get(id);
+  if (!doc) {
+    doc = { apiKey, day, instance: INSTANCE, hours: {} };
+    usage.set(id, doc);
+  }
+  const h = (doc.hours[hour] ||= { requests: 0, limited: 0, quotaExceeded: 0 });
+  h[field] = (h[field] || 0) + 1;
+  dirty.add(id);
+}
+
+// Lookup outcome (checkVAT `source`) -> usage field
+const OUTCOME_FIELDS = { vies: 'vies', cache: 'cache', syntax: 'syntax', error: 'errors' };
+
+/**
+ * Count how a metered request was answered, for usage reports.
+ * source: 'vies' | 'cache' | 'syntax' | 'error'
+ */
+export function recordOutcome(apiKey, source) {
+  const field = OUTCOME_FIELDS[source];
+  if (apiKey && field) countUsage(apiKey, Date.now(), field);
+}
+
+// ----- recent lookups -----
+const recent = new Map(); // apiKey -> [entry, …] newest first
+const recentDirty = new Set();
+
+/** Remember a lookup answer (checkVAT result or syntax answer) for the key's dashboard. */
+export function recordLookup(apiKey, result = {}) {
+  if (!apiKey) return;
+  const list = recent.get(apiKey) || [];
+  list.unshift({
+    at: new Date().toISOString(),
+    countryCode: result.countryCode ?? null,
+    vatNumber: result.vatNumber ?? null,
+    valid: result.valid ?? null,
+    source: result.source || null,
+    error: result.error || null,
+    lookupId: result.lookupId || null,
   });
+  list.length = Math.min(list.length, RECENT_MAX);
+  recent.set(apiKey, list);
+  recentDirty.add(apiKey);
 }
 
 /**
- * Increment usage for a key within the current window and enforce the limit.
- * Returns { allowed: boolean, reason?: string, remaining?: number }
- *
- * Note: S3 is not transactional. This is "good enough" to stop bursts.
+ * The key's most recent lookups across instances, newest first.
+ * Docs of instances idle for a month are removed on the way.
  */
-export async function meterAndCheck({ apiKey, email, countryCode, vatNumber }) {
-  if (!S3_BUCKET || !apiKey) return { allowed: true, remaining: undefined };
+export async function recentLookups(apiKey, limit = RECENT_MAX) {
+  const lists = [];
+  const local = recent.get(apiKey);
+  if (local) lists.push(local);
 
+  for (const k of await storage.list(`recent/${apiKey}/`)) {
+    if (local && k.endsWith(`/${INSTANCE}.json`)) continue;
+    const doc = await storage.getJSON(k);
+    if (doc?.updatedAt && Date.now() - Date.parse(doc.updatedAt) > 31 * DAY_MS) {
+      storage.remove(k).catch(() => {});
+      continue;
+    }
+    if (Array.isArray(doc?.lookups)) lists.push(doc.lookups);
+  }
+  return lists.flat().sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+}
+
+/**
+ * Write every changed usage doc to `usage/{day}/{apiKey}/{instance}.json`
+ * and recent lookups to `recent/{apiKey}/{instance}.json`.
+ * Docs hold running totals, so a failed write is repaired by the next flush.
+ */
+export async function flushUsage() {
+  const today = new Date().toISOString().slice(0, 10);
+  const ids = [...dirty];
+  dirty.clear();
+
+  for (const id of ids) {
+    const doc = usage.get(id);
+    if (!doc) continue;
+    try {
+      await storage.putJSON(`usage/${doc.day}/${doc.apiKey}/${INSTANCE}.json`, { ...doc, updatedAt: new Date().toISOString() });
+    } catch (e) {
+      dirty.add(id);
+      console.error('[meter] flush failed:', e?.message || e);
+    }
+  }
+
+  for (const apiKey of [...recentDirty]) {
+    recentDirty.delete(apiKey);
+    try {
+      await storage.putJSON(`recent/${apiKey}/${INSTANCE}.json`, {
+        apiKey,
+        instance: INSTANCE,
+        lookups: recent.get(apiKey) || [],
+        updatedAt: new Date().toISOString(),
+      });
+    } catch (e) {
+      recentDirty.add(apiKey);
+      console.error('[meter] recent flush failed:', e?.message || e);
+    }
+  }
+
+  // Drop finished months once written (quotas need this month's days), and full buckets
+  for (const [id, doc] of usage) {
+    if (doc.day.slice(0, 7) !== today.slice(0, 7) && !dirty.has(id)) usage.delete(id);
+  }
   const now = Date.now();
-  const window = Math.floor(now / WINDOW_MS) * WINDOW_MS;
-  const day = new Date(window).toISOString().slice(0, 10); // YYYY-MM-DD
-  const meterKey = `meter/${day}/${apiKey}/${window}.json`;
+  for (const [apiKey, list] of recent) {
+    if (!recentDirty.has(apiKey) && now - Date.parse(list[0]?.at || 0) > DAY_MS) recent.delete(apiKey);
+  }
+  for (const [apiKey, b] of buckets) {
+    if (refill(b, b.limit, now).tokens >= b.limit) buckets.delete(apiKey);
+  }
+}
 
-  try {
-    let doc = (await getJSON(meterKey)) || { count: 0, window, apiKey, limit: LIMIT };
-    doc.count = (Number(doc.count) || 0) + 1;
+/** Drop this process's unflushed usage and recent lookups of the given keys (privacy erasure). */
+export function forgetKeys(keyIds) {
+  for (const keyId of keyIds) {
+    recent.delete(keyId);
+    recentDirty.delete(keyId);
+    buckets.delete(keyId);
+  }
+  for (const [id, doc] of usage) {
+    if (keyIds.includes(doc.apiKey)) {
+      usage.delete(id);
+      dirty.delete(id);
+    }
+  }
+}
+
+// ----- monthly quota -----
+// `${month}|${apiKey}` -> { count, loadedAt, loading }; entries expire with their month
+const monthBase = createLru({ max: Number(VATFIX_QUOTA_CACHE_MAX) || 10000 });
+
+function daysOfMonthSoFar(now) {
+  const d = new Date(now);
+  const days = [];
+  for (let i = 1; i <= d.getUTCDate(); i++) {
+    days.push(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), i)).toISOString().slice(0, 10));
+  }
+  return days;
+}
 
-    // Persist new count (best effort)
-    await putJSON(meterKey, doc);
+// Stored usage docs of one key and day (past processes included); this instance's own doc is
+// skipped while the fresher in-memory copy is still held
+async function storedDocs(apiKey, day) {
+  const docs = [];
+  const ownInMemory = usage.has(`${day}|${apiKey}`);
+  for (const k of await storage.list(`usage/${day}/${apiKey}/`)) {
+    if (ownInMemory && k.endsWith(`/${INSTANCE}.json`)) continue;
+    const doc = await storage.getJSON(k);
+    if (doc?.hours) docs.push(doc);
+  }
+  return docs;
+}
 
-    if (doc.count > LIMIT) {
-      return { allowed: false, reason: 'rate_limit_exceeded', remaining: 0 };
+async function storedMonthTotal(apiKey, now) {
+  let total = 0;
+  for (const day of daysOfMonthSoFar(now)) {
+    for (const doc of await storedDocs(apiKey, day)) {
+      for (const h of Object.values(doc.hours)) total += Number(h.requests) || 0;
     }
+  }
+  return total;
+}
+
+// This instance's own requests this month (held in memory until the month ends)
+function localMonthTotal(apiKey, month) {
+  let total = 0;
+  for (const doc of usage.values()) {
+    if (doc.apiKey !== apiKey || doc.day.slice(0, 7) !== month) continue;
+    for (const h of Object.values(doc.hours)) total += h.requests || 0;
+  }
+  return total;
+}
+
+function loadBase(apiKey, now, base) {
+  base.loading = storedMonthTotal(apiKey, now)
+    .then((count) => Object.assign(base, { count, loadedAt: Date.now() }))
+    .catch((e) => console.error('[meter] quota refresh failed:', e?.message || e))
+    .finally(() => { base.loading = null; });
+  return base.loading;
+}
+
+// Stale-while-revalidate, also for the first load: lookups never wait on storage.
+// `wait` (usage reports, dashboard) waits for a first load in flight instead.
+async function monthTotal(apiKey, now, { wait = false } = {}) {
+  const month = new Date(now).toISOString().slice(0, 7);
+  const id = `${month}|${apiKey}`;
+  let base = monthBase.get(id);
+
+  if (!base) {
+    base = { count: 0, loadedAt: 0, loading: null };
+    monthBase.set(id, base, msUntilNextMonth(now));
+    loadBase(apiKey, now, base);
+  } else if (now - base.loadedAt > QUOTA_REFRESH_MS && !base.loading) {
+    loadBase(apiKey, now, base);
+  }
+  if (wait && !base.loadedAt && base.loading) await base.loading;
+  return base.count + localMonthTotal(apiKey, month);
+}
+
+// A customer's quota is shared by all of their keys
+async function usedThisMonth(quotaKeys, now, options) {
+  let used = 0;
+  for (const k of new Set(quotaKeys)) used += await monthTotal(k, now, options);
+  return used;
+}
+
+function msUntilNextMonth(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) - now;
+}
+
+/**
+ * Remaining monthly quota shared by a customer's keys: { quota, used, remaining, resetAt } (quota null = unlimited).
+ * `quotaKeys`: one key id or all of the customer's key ids.
+ */
+export async function quotaStatus(quotaKeys, monthlyQuota) {
+  const quota = Number(monthlyQuota) > 0 ? Number(monthlyQuota) : null;
+  const now = Date.now();
+  const used = await usedThisMonth([quotaKeys].flat(), now, { wait: true });
+  return {
+    quota,
+    used,
+    remaining: quota ? Math.max(0, quota - used) : null,
+    resetAt: new Date(now + msUntilNextMonth(now)).toISOString(),
+  };
+}
+
+// ----- usage reports -----
+const USAGE_FIELDS = ['requests', 'limited', 'quotaExceeded', 'vies', 'cache', 'syntax', 'errors'];
 
-    // Tiny audit line (best effort). Overwrites by second — good enough.
-    const t = new Date().toISOString().replace(/[:]/g, '-'); // safer key
-    const audit = { t, apiKey, email, countryCode, vatNumber };
-    putJSON(`logs/${day}/${t}_${vatNumber || 'unknown'}.json`, audit);
+const emptyCounts = () => Object.fromEntries(USAGE_FIELDS.map((f) => [f, 0]));
+
+function addCounts(into, h) {
+  for (const f of USAGE_FIELDS) into[f] += Number(h?.[f]) || 0;
+}
+
+/**
+ * Usage of one key between two UTC days (inclusive), merged across instances.
+ * granularity 'day' buckets by YYYY-MM-DD, 'hour' by YYYY-MM-DDTHH.
+ * Returns { buckets: [{ period, ...counts }], totals }
+ */
+export async function usageReport(apiKey, { from, to, granularity = 'day' }) {
+  const buckets = new Map();
+  const totals = emptyCounts();
+
+  const add = (day, hour, h) => {
+    const period = granularity === 'hour' ? `${day}T${hour}` : day;
+    if (!buckets.has(period)) buckets.set(period, emptyCounts());
+    addCounts(buckets.get(period), h);
+    addCounts(totals, h);
+  };
+
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 86400000) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    const docs = await storedDocs(apiKey, day);
+    const local = usage.get(`${day}|${apiKey}`);
+    if (local) docs.push(local);
+    for (const doc of docs) {
+      for (const [hour, h] of Object.entries(doc.hours)) add(day, hour, h);
+    }
+  }
+
+  return {
+    buckets: [...buckets.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([period, c]) => ({ period, ...c })),
+    totals,
+  };
+}
+
+const flushTimer = setInterval(() => {
+  flushUsage().catch((e) => console.error('[meter]', e?.message || e));
+}, FLUSH_MS);
+flushTimer.unref();
+
+/**
+ * Check the monthly quota, take one request from the key's bucket and record it.
+ * `apiKey` is the stable key id; `quotaKeys` are all key ids sharing the quota (default: just this one).
+ * `limit` overrides the default per-window limit (plan or key record); `monthlyQuota` null = unlimited.
+ * Returns { allowed, reason?, remaining?, limit?, resetMs?, retryAfterMs?, quota?, quotaRemaining?, quotaResetMs? }
+ * reason: 'quota_exceeded' (monthly allowance used up) | 'rate_limit_exceeded' (too fast)
+ *
+ * Note: rate limits are enforced per instance; quotas and usage totals are merged across instances.
+ */
+export async function meterAndCheck({ apiKey, limit, monthlyQuota, quotaKeys = [apiKey] }) {
+  if (!apiKey) return { allowed: true, remaining: undefined };
+
+  const now = Date.now();
+  const max = Number(limit) > 0 ? Number(limit) : LIMIT;
+  const quota = Number(monthlyQuota) > 0 ? Number(monthlyQuota) : null;
+
+  try {
+    let quotaInfo = {};
+    if (quota) {
+      const used = await usedThisMonth([apiKey, ...quotaKeys], now);
+      quotaInfo = { quota, quotaRemaining: Math.max(0, quota - used), quotaResetMs: msUntilNextMonth(now) };
+      if (used >= quota) {
+        countUsage(apiKey, now, 'quotaExceeded');
+        return {
+          allowed: false,
+          reason: 'quota_exceeded',
+          remaining: undefined,
+          retryAfterMs: quotaInfo.quotaResetMs,
+          ...quotaInfo,
+        };
+      }
+    }
+
+    const r = take(apiKey, max, now);
+    if (!r.allowed) {
+      countUsage(apiKey, now, 'limited');
+      return { ...r, reason: 'rate_limit_exceeded', limit: max, ...quotaInfo };
+    }
+    countUsage(apiKey, now, 'requests');
+    if (quota) quotaInfo.quotaRemaining = Math.max(0, quotaInfo.quotaRemaining - 1);
 
-    return { allowed: true, remaining: Math.max(0, LIMIT - doc.count) };
+    return { ...r, limit: max, ...quotaInfo };
   } catch (e) {
     console.error('[meter]', e?.message || e);
     return { allowed: true, remaining: undefined };
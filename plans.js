@@ -0,0 +1,66 @@
+// lib/plans.js — plan catalog: Stripe price IDs → rate limit, monthly quota, feature flags
+// Configure with VATFIX_PLANS (JSON array), most generous plan first — the first match wins:
+//   VATFIX_PLANS='[{"id":"pro","priceIds":["price_1NXDEF456"],"rpm":600,"monthlyQuota":null,"features":["batch","approx","monitoring"],"watchlistMax":5000},
+//                  {"id":"plus","priceIds":["price_1NXABC123"],"rpm":120,"monthlyQuota":20000,"features":["approx"]}]'
+// Without VATFIX_PLANS a single "plus" plan covers VATFIX_PRICE_IDS with the global rate limit and every feature.
+
+const {
+  VATFIX_PLANS = '',
+  VATFIX_PRICE_IDS = '',
+  VATFIX_RPS_LIMIT = '120',
+  VATFIX_WATCHLIST_MAX = '500',   // watched VAT numbers per key when a plan sets no watchlistMax
+} = process.env;
+
+export const FEATURES = ['batch', 'approx', 'monitoring', 'webhooks'];
+
+function normalizePlan(p) {
+  if (!p?.id) throw new Error('VATFIX_PLANS: every plan needs an id');
+  return {
+    id: String(p.id),
+    name: String(p.name || p.id),
+    priceIds: (p.priceIds || []).map(String),
+    rpm: Number(p.rpm) > 0 ? Number(p.rpm) : Number(VATFIX_RPS_LIMIT) || 120,
+    monthlyQuota: Number(p.monthlyQuota) > 0 ? Number(p.monthlyQuota) : null, // null = unlimited
+    features: (p.features || FEATURES).map(String),
+    watchlistMax: Number(p.watchlistMax) > 0 ? Number(p.watchlistMax) : Number(VATFIX_WATCHLIST_MAX) || 500,
+  };
+}
+
+function loadCatalog() {
+  if (VATFIX_PLANS.trim()) {
+    const parsed = JSON.parse(VATFIX_PLANS);
+    if (!Array.isArray(parsed) || !parsed.length) throw new Error('VATFIX_PLANS must be a non-empty JSON array');
+    return parsed.map(normalizePlan);
+  }
+  const priceIds = VATFIX_PRICE_IDS.split(',').map((s) => s.trim()).filter(Boolean);
+  return [normalizePlan({ id: 'plus', name: 'Plus', priceIds })];
+}
+
+const catalog = loadCatalog();
+
+// ---------- Public API ----------
+export function listPlans() {
+  return catalog;
+}
+
+// Plan used when no price decides (dev mode, catalogs without price IDs)
+export function defaultPlan() {
+  return catalog[catalog.length - 1];
+}
+
+// Every price ID that grants access; empty = any active subscription qualifies
+export function allowedPriceIds() {
+  return new Set(catalog.flatMap((p) => p.priceIds));
+}
+
+// First catalog plan covering any of the given price IDs, else null
+export function planForPriceIds(priceIds) {
+  const ids = new Set(priceIds);
+  return catalog.find((p) => p.priceIds.some((id) => ids.has(id))) || null;
+}
+
+export function hasFeature(plan, feature) {
+  return !!plan?.features?.includes(feature);
+}
+
+export default listPlans;
@@ -0,0 +1,310 @@
+// lib/privacy.js — retention purge, data-subject export and erasure
+// Retention: every data class below is deleted once older than its VATFIX_RETAIN_*_DAYS (by the day in the object
+// key, or a date inside the doc). The in-process job (VATFIX_PURGE_EVERY_HOURS) takes a storage lease like reconcile.
+// Export bundles what we store for one customer (id or billing email): record, sessions, usage, recent lookups,
+// watchlists, webhook endpoints and deliveries, lookup audit lines, Stripe webhook ledger entries, support actions.
+// Erasure deletes the record, keys, sessions, usage, recent lookups, watchlists and webhooks, and pseudonymises what must be kept:
+// lookup audit lines and stored receipts keep VAT number, answer and signed receipt (tax-audit evidence) but lose customer id, email,
+// IP and user agent; ledger entries lose the Stripe payload; support actions and reconcile reports lose the
+// customer id and addresses. Billing records (billing/) hold no personal data and are kept. Stripe keeps its own copy.
+// Audit days are rewritten under the audit compaction lease, and every erased subject is recorded (privacy/erased/, as
+// pseudonyms and key ids only) so lines still buffered elsewhere are pseudonymised when they are flushed or compacted.
+
+import crypto from 'crypto';
+import storage, { takeLease } from './storage.js';
+import { emailIndexKey, getCustomer, publicKey, removeCustomer } from './keys.js';
+import { invalidateEntitlement } from './entitlement.js';
+import { forgetKeys } from './meter.js';
+import { auditDays, readAuditDay, rewriteAuditDay, flushAudit, withAuditLease, setAuditScrubber } from './audit.js';
+import { publicEndpoint } from './hooks.js';
+
+const {
+  VATFIX_RETAIN_AUDIT_DAYS = '3650',       // lookup audit + receipts: invoices are kept up to 10 years
+  VATFIX_RETAIN_ADMIN_AUDIT_DAYS = '730',
+  VATFIX_RETAIN_USAGE_DAYS = '400',
+  VATFIX_RETAIN_RECENT_DAYS = '31',
+  VATFIX_RETAIN_CACHE_DAYS = '30',         // stored VIES answers (fallback when VIES is down)
+  VATFIX_RETAIN_LEDGER_DAYS = '90',        // Stripe webhook ledger
+  VATFIX_RETAIN_RECONCILE_DAYS = '90',
+  VATFIX_RETAIN_HOOK_DELIVERIES_DAYS = '30', // customer webhook delivery log
+  VATFIX_RETAIN_LOGS_DAYS = '0',           // pre-audit logs/ objects: nothing reads them any more
+  VATFIX_PURGE_EVERY_HOURS = '24',         // in-process purge interval; 0 = off (use scripts/privacy.mjs)
+  VATFIX_KEY_PEPPER = '',
+} = process.env;
+
+const DAY_MS = 86400000;
+const LOCK_PATH = 'privacy/purge-lock.json';
+const ERASED_PREFIX = 'privacy/erased/';
+const ERASED_TTL_MS = 60000;
+
+const days = (v, fallback) => (Number.isFinite(Number(v)) && v !== '' ? Number(v) : fallback);
+
+/* ---------------- Retention ---------------- */
+// Date of an object: the first YYYY-MM-DD in its key, or a field of the doc
+const keyDay = (key) => /(\d{4}-\d{2}-\d{2})/.exec(key)?.[1] || null;
+// An unreadable doc has no date, so it is kept (and a failed read never stops the purge)
+const docField = (field) => async (key) => (await storage.getJSON(key).catch(() => null))?.[field] || null;
+
+/** Data classes and how long they are kept (days; expired sign-in links, sessions and key reveals go at once). */
+export const RETENTION = [
+  { name: 'audit', prefix: 'audit/', days: days(VATFIX_RETAIN_AUDIT_DAYS, 3650), dateOf: keyDay },
+  { name: 'receipts', prefix: 'receipts/', days: days(VATFIX_RETAIN_AUDIT_DAYS, 3650), dateOf: keyDay },
+  { name: 'admin_audit', prefix: 'admin/audit/', days: days(VATFIX_RETAIN_ADMIN_AUDIT_DAYS, 730), dateOf: keyDay },
+  { name: 'usage', prefix: 'usage/', days: days(VATFIX_RETAIN_USAGE_DAYS, 400), dateOf: keyDay },
+  { name: 'recent', prefix: 'recent/', days: days(VATFIX_RETAIN_RECENT_DAYS, 31), dateOf: docField('updatedAt') },
+  { name: 'cache', prefix: 'cache/', days: days(VATFIX_RETAIN_CACHE_DAYS, 30), dateOf: docField('cachedAt') },
+  { name: 'ledger', prefix: 'webhooks/events/', days: days(VATFIX_RETAIN_LEDGER_DAYS, 90), dateOf: docField('receivedAt') },
+  { name: 'reconcile', prefix: 'reconcile/reports/', days: days(VATFIX_RETAIN_RECONCILE_DAYS, 90), dateOf: docField('startedAt') },
+  { name: 'hook_deliveries', prefix: 'hooks/deliveries/', days: days(VATFIX_RETAIN_HOOK_DELIVERIES_DAYS, 30), dateOf: docField('createdAt') },
+  { name: 'logs', prefix: 'logs/', days: days(VATFIX_RETAIN_LOGS_DAYS, 0), dateOf: keyDay },
+  { name: 'sign_in', prefix: 'auth/', days: 0, dateOf: docField('expiresAt') },
+  { name: 'key_reveals', prefix: 'keys/reveal/', days: 0, dateOf: docField('expiresAt') },
+];
+
+/**
+ * Delete everything past its retention. Returns { startedAt, finishedAt, dryRun, classes: { name: { scanned, removed } } }.
+ * Objects without a date (locks, unreadable docs) are kept.
+ */
+export async function purge({ dryRun = false, log = () => {} } = {}) {
+  const startedAt = new Date().toISOString();
+  const classes = {};
+  for (const c of RETENTION) {
+    const cutoff = Date.now() - c.days * DAY_MS;
+    const stats = { days: c.days, scanned: 0, removed: 0 };
+    for (const key of await storage.list(c.prefix)) {
+      stats.scanned++;
+      const date = await c.dateOf(key);
+      // Day-keyed objects belong to the whole day: keep it until the day has fully aged out
+      const until = date && (date.length === 10 ? Date.parse(date) + DAY_MS : Date.parse(date));
+      if (!until || until > cutoff) continue;
+      stats.removed++;
+      log({ class: c.name, key });
+      if (!dryRun) await storage.remove(key).catch((e) => console.error('[privacy] purge', key, e?.message || e));
+    }
+    classes[c.name] = stats;
+  }
+  return { startedAt, finishedAt: new Date().toISOString(), dryRun, classes };
+}
+
+/* ---------------- Subject ---------------- */
+const lower = (s) => String(s || '').trim().toLowerCase();
+
+/**
+ * Stable pseudonym for an erased customer: audit lines of the same customer stay linkable, not identifiable.
+ * Keyed with VATFIX_KEY_PEPPER (a public fallback would make every pseudonym reversible by guessing ids).
+ */
+export function pseudonym(customerId) {
+  if (!VATFIX_KEY_PEPPER) throw new Error('Missing VATFIX_KEY_PEPPER');
+  return 'erased_' + crypto.createHmac('sha256', VATFIX_KEY_PEPPER).update(String(customerId)).digest('hex').slice(0, 16);
+}
+
+// Customer id (given, or from the email index), record, every key id and every email seen for them.
+// A subject without a record is still searched: audit lines name the X-Customer-Email they were sent with.
+async function findSubject({ customerId, email }) {
+  if (!customerId && !email) throw new Error('missing_query');
+  const id = customerId || (await storage.getJSON(emailIndexKey(email)))?.customerId || null;
+  const record = id ? await getCustomer(id) : null;
+  const emails = new Set([email, record?.email].filter(Boolean).map(lower));
+  const keyIds = new Set((record?.keys || []).map((k) => k.id));
+  return { customerId: id, record, emails, keyIds };
+}
+
+const belongsTo = (s) => (e) =>
+  (!!s.customerId && e?.customerId === s.customerId) || (!!e?.keyId && s.keyIds.has(e.keyId)) || (!!e?.email && s.emails.has(lower(e.email)));
+
+// Stored docs under a prefix, with their keys
+async function docs(prefix, filter = () => true) {
+  const out = [];
+  for (const key of await storage.list(prefix)) {
+    if (!filter(key)) continue;
+    const doc = await storage.getJSON(key);
+    if (doc) out.push({ key, doc });
+  }
+  return out;
+}
+
+const usageOf = (s) => docs('usage/', (k) => s.keyIds.has(k.split('/')[2]));
+const recentOf = async (s) => (await Promise.all([...s.keyIds].map((id) => docs(`recent/${id}/`)))).flat();
+// Watchlists and their change history (lib/watch.js)
+const watchOf = async (s) =>
+  (await Promise.all([...s.keyIds].map((id) => docs('watch/', (k) =>
+    k === `watch/lists/${id}.json` || k.startsWith(`watch/history/${id}/`) || (k.startsWith('watch/due/') && k.endsWith(`/${id}.json`)))))).flat();
+// Webhook endpoints and their delivery log (lib/hooks.js)
+const hooksOf = async (s) =>
+  (await Promise.all([...s.keyIds].map((id) => docs('hooks/', (k) => k === `hooks/endpoints/${id}.json` || k.startsWith(`hooks/deliveries/${id}/`))))).flat();
+
+async function auditLinesOf(s) {
+  await flushAudit();
+  const match = belongsTo(s);
+  const lines = [];
+  for (const day of await auditDays()) lines.push(...(await readAuditDay(day)).filter(match));
+  return lines;
+}
+
+/* ---------------- Erased subjects ---------------- */
+// privacy/erased/{pseudonym}.json  { pseudonym, subjects: [pseudonym of customer id / each email], keyIds, erasedAt }
+let erased = { loadedAt: 0, list: [] };
+
+async function erasedSubjects() {
+  if (Date.now() - erased.loadedAt < ERASED_TTL_MS) return erased.list;
+  const list = (await docs(ERASED_PREFIX)).map(({ doc }) => ({ ...doc, subjects: new Set(doc.subjects), keyIds: new Set(doc.keyIds) }));
+  erased = { loadedAt: Date.now(), list };
+  return list;
+}
+
+const redactLine = (e, alias) => ({ ...e, customerId: alias, email: null, ip: null, userAgent: null, erasedAt: new Date().toISOString() });
+
+// Audit scrubber: lines of an erased subject written after the erasure get the same treatment as the rewritten ones
+setAuditScrubber(async (entries) => {
+  const list = await erasedSubjects();
+  if (!list.length) return entries;
+  return entries.map((e) => {
+    if (e.erasedAt) return e;
+    const ids = [e.customerId, lower(e.email)].filter(Boolean).map(pseudonym);
+    const hit = list.find((x) => (e.keyId && x.keyIds.has(e.keyId)) || ids.some((id) => x.subjects.has(id)));
+    return hit ? redactLine(e, hit.pseudonym) : e;
+  });
+});
+
+// Support actions name the customer, or (customer search) the address
+const adminEntryMatches = (s) => (e) =>
+  (!!s.customerId && e.customerId === s.customerId) || s.emails.has(lower(e.query?.email)) || s.emails.has(lower(e.to));
+
+/* ---------------- Export ---------------- */
+/** Everything stored for one customer id or billing email, as one JSON bundle. Throws 'missing_query'. */
+export async function exportCustomer({ customerId, email } = {}) {
+  const s = await findSubject({ customerId, email });
+  const { keys = [], ...account } = s.record || {};
+  const [sessions, usage, recent, watch, hooks, lookups, ledger, admin] = await Promise.all([
+    docs('auth/sessions/'),
+    usageOf(s),
+    recentOf(s),
+    watchOf(s),
+    hooksOf(s),
+    auditLinesOf(s),
+    s.customerId ? docs('webhooks/events/') : [],
+    docs('admin/audit/'),
+  ]);
+  return {
+    exportedAt: new Date().toISOString(),
+    subject: { customerId: s.customerId, emails: [...s.emails] },
+    customer: s.record ? { ...account, keys: keys.map(publicKey) } : null,
+    sessions: sessions.filter(({ doc }) => belongsTo(s)(doc)).map(({ doc }) => ({ createdAt: doc.createdAt, expiresAt: doc.expiresAt })),
+    usage: usage.map(({ doc }) => doc),
+    recentLookups: recent.flatMap(({ doc }) => doc.lookups || []),
+    watchlists: watch.filter(({ key }) => key.startsWith('watch/lists/')).map(({ doc }) => doc),
+    watchHistory: watch.filter(({ key }) => key.startsWith('watch/history/')).map(({ key, doc }) => ({ keyId: key.split('/')[2], ...doc })),
+    webhookEndpoints: hooks.filter(({ key }) => key.startsWith('hooks/endpoints/'))
+      .flatMap(({ doc }) => doc.endpoints.map((e) => ({ keyId: doc.keyId, ...publicEndpoint(e) }))),
+    webhookDeliveries: hooks.filter(({ key }) => key.startsWith('hooks/deliveries/')).map(({ doc }) => doc),
+    lookups: lookups.sort((a, b) => a.at.localeCompare(b.at)),
+    stripeEvents: ledger.filter(({ doc }) => doc.customerId === s.customerId).map(({ doc }) => doc),
+    supportActions: admin.map(({ doc }) => doc).filter(adminEntryMatches(s)),
+    note: 'Payment details, invoices and the Stripe customer are held by Stripe and exported from the Stripe dashboard.',
+  };
+}
+
+/* ---------------- Erasure ---------------- */
+/**
+ * Erase one customer (see the header for what is deleted and what is pseudonymised).
+ * Refuses a customer with live access ('customer_active') unless force — cancel the subscription first.
+ * Returns { pseudonym, dryRun, counts }. Throws 'missing_query' | 'customer_active'.
+ */
+export async function eraseCustomer({ customerId, email, dryRun = false, force = false } = {}) {
+  const s = await findSubject({ customerId, email });
+  if (s.record && s.record.active !== false && !force) throw new Error('customer_active');
+
+  const alias = pseudonym(s.customerId || [...s.emails][0]);
+  const match = belongsTo(s);
+  const counts = { record: s.record ? 1 : 0, sessions: 0, usage: 0, recent: 0, watch: 0, webhooks: 0, auditLines: 0, receipts: 0, ledger: 0, supportActions: 0, reconcileReports: 0 };
+  const remove = async (key) => (dryRun ? null : storage.remove(key));
+  const put = async (key, doc) => (dryRun ? null : storage.putJSON(key, doc));
+
+  // Access first, so nothing new is written for them while the rest is cleaned up
+  if (!dryRun && s.customerId) {
+    await removeCustomer(s.customerId);
+    invalidateEntitlement(s.customerId);
+    forgetKeys([...s.keyIds]);
+  }
+  for (const { key, doc } of await docs('auth/')) {
+    if (match(doc)) { counts.sessions++; await remove(key); }
+  }
+  for (const { key } of await usageOf(s)) { counts.usage++; await remove(key); }
+  for (const { key } of await recentOf(s)) { counts.recent++; await remove(key); }
+  for (const { key } of await watchOf(s)) { counts.watch++; await remove(key); }
+  for (const { key } of await hooksOf(s)) { counts.webhooks++; await remove(key); }
+
+  // Tax-audit evidence stays: VAT number, answer, receipt, key id; who asked does not.
+  // Recorded first, so lines flushed by other machines from here on are scrubbed too
+  if (!dryRun) {
+    const subjects = [s.customerId, ...s.emails].filter(Boolean).map(pseudonym);
+    await storage.putJSON(`${ERASED_PREFIX}${alias}.json`, { pseudonym: alias, subjects, keyIds: [...s.keyIds], erasedAt: new Date().toISOString() });
+    erased.loadedAt = 0;
+  }
+  await flushAudit();
+  if (dryRun) {
+    for (const day of await auditDays()) counts.auditLines += (await readAuditDay(day)).filter(match).length;
+  } else {
+    await withAuditLease(async (renew) => {
+      for (const day of await auditDays()) {
+        await renew();
+        counts.auditLines += await rewriteAuditDay(day, (e) => (match(e) ? redactLine(e, alias) : e));
+      }
+    });
+  }
+  // Stored receipts (lib/receipts.js) stay too, under the pseudonym
+  for (const { key, doc } of await docs('receipts/')) {
+    if (!match(doc)) continue;
+    counts.receipts++;
+    await put(key, { ...doc, customerId: alias, erasedAt: new Date().toISOString() });
+  }
+
+  if (s.customerId) {
+    for (const { key, doc } of await docs('webhooks/events/')) {
+      if (doc.customerId !== s.customerId) continue;
+      counts.ledger++;
+      const { event, ...entry } = doc; // status + id keep redeliveries idempotent
+      await put(key, { ...entry, customerId: alias, event: event ? { id: event.id, type: event.type } : null, erasedAt: new Date().toISOString() });
+    }
+  }
+  for (const { key, doc } of await docs('admin/audit/')) {
+    if (!adminEntryMatches(s)(doc)) continue;
+    counts.supportActions++;
+    const { to: _to, query, ...entry } = doc;
+    await put(key, { ...entry, ...(doc.customerId ? { customerId: alias } : {}), ...(query ? { query: { erased: true } } : {}) });
+  }
+  for (const { key, doc } of await docs('reconcile/reports/')) {
+    const hit = (doc.mismatches || []).filter((m) => m.customerId === s.customerId);
+    if (!hit.length) continue;
+    counts.reconcileReports++;
+    await put(key, {
+      ...doc,
+      mismatches: doc.mismatches.map((m) => (m.customerId === s.customerId ? { customerId: alias, issue: m.issue, action: m.action } : m)),
+    });
+  }
+
+  const report = { at: new Date().toISOString(), pseudonym: alias, dryRun, counts };
+  // Proof the request was carried out, without the data it was about
+  if (!dryRun) await storage.putJSON(`privacy/erasures/${report.at.replace(/[:.]/g, '')}-${alias}.json`, report);
+  return report;
+}
+
+/* ---------------- Scheduled purge ---------------- */
+/** Start the periodic purge if VATFIX_PURGE_EVERY_HOURS > 0 (server only; the CLI calls purge()). */
+export function schedulePurge() {
+  const everyMs = (Number(VATFIX_PURGE_EVERY_HOURS) || 0) * 3600000;
+  if (!everyMs) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      if (!(await takeLease(LOCK_PATH, everyMs))) return;
+      const r = await purge();
+      const removed = Object.values(r.classes).reduce((n, c) => n + c.removed, 0);
+      if (removed) console.log(`[privacy] purged ${removed} objects`);
+    } catch (e) {
+      console.error('[privacy] purge failed:', e?.message || e);
+    }
+  }, everyMs);
+  timer.unref();
+  return timer;
+}
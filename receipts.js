@@ -0,0 +1,226 @@
+// lib/receipts.js — signed proof-of-validation receipts (compact JWS, EdDSA / Ed25519)
+// Every answered lookup is signed when it is made and stored once, before the response, under
+// receipts/{day}/{lookupId}.json (also copied onto its audit line, lib/audit.js); it is served at
+// GET /vat/receipts/:lookupId (JSON, or ?format=html for a printable certificate — print to PDF from the browser).
+// Anyone can verify a receipt offline against the published key (GET /vat/receipts/keys.json or public-key.pem),
+// e.g. with scripts/receipts.mjs verify.
+//   VATFIX_RECEIPT_PRIVATE_KEY   Ed25519 private key, PKCS#8 PEM (literal \n allowed) or base64 of the PEM
+//   VATFIX_RECEIPT_RETIRED_KEYS  comma list of base64 PEM public keys still published after a rotation
+// No private key = no receipts (lookups are unaffected).
+
+import crypto from 'crypto';
+import storage from './storage.js';
+import { lookupDay, getAuditEntry } from './audit.js';
+import { esc } from './html.js';
+
+const {
+  VATFIX_RECEIPT_PRIVATE_KEY = '',
+  VATFIX_RECEIPT_RETIRED_KEYS = '',
+  MARKETING_ORIGIN = 'https://plus.vatfix.eu',
+} = process.env;
+
+export const RECEIPT_TYPE = 'vatfix-receipt+jws';
+
+/* ---------------- Keys ---------------- */
+function pemFrom(value) {
+  const v = String(value || '').trim().replace(/\\n/g, '\n');
+  if (!v) return null;
+  return v.startsWith('-----') ? v : Buffer.from(v, 'base64').toString('utf8');
+}
+
+/** Key id: first 16 chars of base64url(sha256(raw public key)). */
+export function keyId(publicKey) {
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return crypto.createHash('sha256').update(raw).digest('base64url').slice(0, 16);
+}
+
+function loadSigningKey() {
+  const pem = pemFrom(VATFIX_RECEIPT_PRIVATE_KEY);
+  if (!pem) return null;
+  try {
+    const privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error(`expected ed25519, got ${privateKey.asymmetricKeyType}`);
+    const publicKey = crypto.createPublicKey(privateKey);
+    return { privateKey, publicKey, kid: keyId(publicKey) };
+  } catch (e) {
+    console.error('[receipts] VATFIX_RECEIPT_PRIVATE_KEY unusable, receipts off:', e?.message || e);
+    return null;
+  }
+}
+
+function loadRetiredKeys() {
+  const keys = [];
+  for (const v of VATFIX_RECEIPT_RETIRED_KEYS.split(',').map((s) => s.trim()).filter(Boolean)) {
+    try {
+      keys.push(crypto.createPublicKey(pemFrom(v)));
+    } catch (e) {
+      console.error('[receipts] skipping unreadable retired key:', e?.message || e);
+    }
+  }
+  return keys;
+}
+
+const signing = loadSigningKey();
+const retired = loadRetiredKeys();
+
+export const receiptsEnabled = () => !!signing;
+
+const jwk = (publicKey) => ({ ...publicKey.export({ format: 'jwk' }), kid: keyId(publicKey), use: 'sig', alg: 'EdDSA' });
+
+/** Published verification keys (current first) as a JWK Set. */
+export function publicJwks() {
+  return { keys: [...(signing ? [signing.publicKey] : []), ...retired].map(jwk) };
+}
+
+/** Current verification key as SPKI PEM, or null. */
+export function publicKeyPem() {
+  return signing ? signing.publicKey.export({ type: 'spki', format: 'pem' }) : null;
+}
+
+/* ---------------- Sign ---------------- */
+const b64 = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+// The signed statement: what was checked, the answer and where it came from (empty fields left out)
+// requestDate is only VIES's own date on a live answer; cache and syntax answers are signed with answeredAt instead
+export function receiptPayload(result, { requester } = {}) {
+  const issuedAt = new Date().toISOString();
+  const live = result.source === 'vies';
+  const payload = {
+    iss: MARKETING_ORIGIN,
+    lookupId: result.lookupId,
+    countryCode: result.countryCode,
+    vatNumber: result.vatNumber,
+    valid: result.valid,
+    name: result.name,
+    address: result.address,
+    requestDate: live ? result.requestDate : undefined,
+    answeredAt: live ? undefined : issuedAt,
+    source: result.source,
+    cachedAt: result.cachedAt,
+    requestIdentifier: result.requestIdentifier, // VIES consultation number (approx lookups with a requester)
+    requester: requester?.countryCode ? { countryCode: requester.countryCode, vatNumber: requester.vatNumber } : undefined,
+    match: result.match,
+    error: result.error, // syntax rejections: invalid_format | unsupported_country
+    issuedAt,
+  };
+  return Object.fromEntries(Object.entries(payload).filter(([, v]) => v != null));
+}
+
+/**
+ * Compact JWS over receiptPayload(result), or null when receipts are off or the lookup has no answer
+ * (source 'error': validity unknown, nothing to attest).
+ */
+export function signReceipt(result, options = {}) {
+  if (!signing || !result?.lookupId || result.source === 'error') return null;
+  const input = `${b64({ alg: 'EdDSA', typ: RECEIPT_TYPE, kid: signing.kid })}.${b64(receiptPayload(result, options))}`;
+  return `${input}.${crypto.sign(null, Buffer.from(input), signing.privateKey).toString('base64url')}`;
+}
+
+/* ---------------- Storage ---------------- */
+// receipts/{day}/{lookupId}.json  { lookupId, keyId, customerId, receipt, storedAt }
+// Answered lookups have normalised ids (country, digits/letters, time, random); anything else is never a receipt key
+const receiptPath = (lookupId) => {
+  const day = /^[A-Za-z0-9-]+$/.test(String(lookupId || '')) && lookupDay(lookupId);
+  return day ? `receipts/${day}/${lookupId}.json` : null;
+};
+
+/** Store a signed receipt under its own key so every machine can serve it at once. Returns false when it can't be stored. */
+export async function storeReceipt({ lookupId, keyId, customerId = null, receipt }) {
+  const path = receipt && receiptPath(lookupId);
+  if (!path) return false;
+  await storage.putJSON(path, { lookupId, keyId, customerId, receipt, storedAt: new Date().toISOString() });
+  return true;
+}
+
+/** The stored receipt doc of one lookup, or null. Receipts signed before they were stored are read from the audit line. */
+export async function getReceipt(lookupId) {
+  const path = receiptPath(lookupId);
+  if (!path) return null;
+  const stored = await storage.getJSON(path);
+  if (stored?.receipt) return stored;
+  const entry = await getAuditEntry(lookupId);
+  return entry?.receipt ? { lookupId, keyId: entry.keyId, customerId: entry.customerId, receipt: entry.receipt } : null;
+}
+
+/* ---------------- Verify ---------------- */
+/** { header, payload } of a compact JWS without checking it; throws 'malformed_receipt'. */
+export function decodeReceipt(jws) {
+  const parts = String(jws || '').trim().split('.');
+  if (parts.length !== 3) throw new Error('malformed_receipt');
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+    };
+  } catch {
+    throw new Error('malformed_receipt');
+  }
+}
+
+/**
+ * Check a receipt against public keys (KeyObjects, PEM strings or JWKs, e.g. the keys of /vat/receipts/keys.json).
+ * Returns { header, payload }; throws 'malformed_receipt' | 'unknown_key' | 'invalid_signature'.
+ */
+export function verifyReceipt(jws, keys = publicJwks().keys) {
+  const { header, payload } = decodeReceipt(jws);
+  if (header.alg !== 'EdDSA' || header.typ !== RECEIPT_TYPE) throw new Error('malformed_receipt');
+
+  const candidates = keys
+    .map((k) => (k instanceof crypto.KeyObject ? k : typeof k === 'string' ? crypto.createPublicKey(k) : crypto.createPublicKey({ key: k, format: 'jwk' })))
+    .filter((k) => k.asymmetricKeyType === 'ed25519' && (!header.kid || keyId(k) === header.kid));
+  if (!candidates.length) throw new Error('unknown_key');
+
+  const [h, p, sig] = String(jws).trim().split('.');
+  const ok = candidates.some((k) => crypto.verify(null, Buffer.from(`${h}.${p}`), k, Buffer.from(sig, 'base64url')));
+  if (!ok) throw new Error('invalid_signature');
+  return { header, payload };
+}
+
+/* ---------------- Certificate ---------------- */
+const SOURCES = {
+  vies: 'Checked live against the EU VIES service',
+  cache: 'Answered from a VIES result cached at the time shown',
+  syntax: 'Rejected offline: the number fails the format or check-digit rules, so it was not sent to VIES',
+};
+
+/** Printable certificate for one receipt (the JWS is included so the page itself can be verified). */
+export function renderReceiptHtml(jws) {
+  const { header, payload: r } = decodeReceipt(jws);
+  const row = (label, value) => (value == null || value === '' ? '' : `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`);
+  const verdict = r.source === 'syntax' ? ['bad', 'REJECTED OFFLINE']
+    : r.valid === true ? ['ok', 'VALID']
+    : r.valid === false ? ['bad', 'NOT VALID']
+    : ['unknown', 'VALIDITY UNKNOWN'];
+  return `<!doctype html><meta charset="utf-8">
+<title>VAT validation receipt — ${esc(r.countryCode)}${esc(r.vatNumber)}</title>
+<style>
+  body{font:15px/1.55 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px auto;max-width:760px;color:#111}
+  h1{font-size:22px;margin:0 0 4px}
+  .verdict{font-size:20px;font-weight:700}.ok{color:#16a34a}.bad{color:#dc2626}.unknown{color:#d97706}.muted{color:#6b7280}
+  table{border-collapse:collapse;width:100%;margin:16px 0}
+  th,td{text-align:left;vertical-align:top;padding:6px 8px;border-bottom:1px solid #eee}
+  th{width:220px;font-weight:600}
+  pre{font:11px/1.4 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;white-space:pre-wrap;word-break:break-all;background:#f6f7f9;padding:10px;border-radius:8px}
+  @media print{body{margin:0}.noprint{display:none}}
+</style>
+<h1>VAT number validation receipt</h1>
+<p class="muted">Issued by ${esc(r.iss)} • receipt ${esc(r.lookupId)}</p>
+<p class="verdict ${verdict[0]}">${esc(r.countryCode)}${esc(r.vatNumber)}: ${verdict[1]}</p>
+<table>
+${row('VAT number', `${r.countryCode}${r.vatNumber}`)}
+${row('Registered name', r.name)}
+${row('Registered address', r.address)}
+${r.source === 'vies' ? row('Checked at (VIES request date)', r.requestDate) : row('Answered at', r.answeredAt || r.requestDate)}
+${row('Source', SOURCES[r.source] || r.source)}
+${row('Cached at', r.cachedAt)}
+${row('Reason', r.error)}
+${row('Requester', r.requester ? `${r.requester.countryCode}${r.requester.vatNumber}` : null)}
+${row('VIES consultation number', r.requestIdentifier)}
+${row('Receipt issued at', r.issuedAt)}
+${row('Signing key id', header.kid)}
+</table>
+<p>This receipt is an Ed25519-signed JSON Web Signature. Verify it offline against the public key published at
+<code>${esc(r.iss)}/vat/receipts/keys.json</code> (key id <code>${esc(header.kid)}</code>).</p>
+<pre>${esc(jws)}</pre>
+<p class="noprint muted">Print this page (or save it as PDF) from your browser for your records.</p>`;
+}
@@ -0,0 +1,169 @@
+// lib/reconcile.js — Stripe ↔ storage entitlement reconciliation (catches missed or failed webhooks)
+// Walks every Stripe subscription and every stored customer record, reports where they disagree and,
+// unless dryRun, fixes it through lib/sync.js (the webhook's own upsert/deactivate path):
+//   missing_key                 live subscription, no record or no live key   → sync (mints + emails a key)
+//   inactive_with_subscription  record inactive, live subscription            → sync (reactivates)
+//   active_without_subscription record active, nothing live in Stripe         → sync (deactivates, grace starts)
+//   stale_email                 stored email ≠ Stripe customer email          → updateCustomerEmail
+// Reports of fixing runs are kept at reconcile/reports/{ts}.json. The in-process job
+// (VATFIX_RECONCILE_EVERY_MIN) takes a storage lease so only one machine runs it at a time.
+
+import storage, { takeLease } from './storage.js';
+import createStripe from './stripe.js';
+import { updateCustomerEmail } from './keys.js';
+import { syncCustomer, isSubInactive } from './sync.js';
+import { invalidateEntitlement } from './entitlement.js';
+
+const {
+  STRIPE_SECRET_KEY,
+  VATFIX_RECONCILE_EVERY_MIN = '0',   // in-process job interval; 0 = off (use scripts/reconcile.mjs)
+} = process.env;
+
+const RECORD = /^keys\/([^/]+)\.json$/;
+const LOCK_PATH = 'reconcile/lock.json';
+
+let stripe = null;
+function client() {
+  if (!stripe) stripe = createStripe(STRIPE_SECRET_KEY);
+  return stripe;
+}
+
+/* ---------------- Collect ---------------- */
+// customerId -> { live, statuses, email } from every subscription Stripe has
+async function stripeCustomers() {
+  const byCustomer = new Map();
+  for await (const sub of client().subscriptions.list({ status: 'all', limit: 100, expand: ['data.customer'] })) {
+    const customer = sub.customer;
+    const id = typeof customer === 'string' ? customer : customer?.id;
+    if (!id) continue;
+    const c = byCustomer.get(id) || { live: false, statuses: [], email: null, deleted: false };
+    c.live = c.live || !isSubInactive(sub);
+    c.statuses.push(sub.status);
+    if (typeof customer === 'object') {
+      c.deleted = !!customer.deleted;
+      c.email = customer.email || c.email;
+    }
+    byCustomer.set(id, c);
+  }
+  return byCustomer;
+}
+
+async function storedRecords() {
+  const records = new Map();
+  for (const path of await storage.list('keys/')) {
+    const m = RECORD.exec(path);
+    if (!m) continue;
+    const rec = await storage.getJSON(path); // as stored: a dry run must not trigger key migration writes
+    if (rec?.customerId) records.set(rec.customerId, rec);
+  }
+  return records;
+}
+
+// Email of a customer with no subscriptions left (not covered by the expanded list)
+async function stripeEmail(customerId) {
+  try {
+    const c = await client().customers.retrieve(customerId);
+    return c && !c.deleted ? c.email || null : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ---------------- Compare + fix ---------------- */
+// Live keys in a record, including the single `key` of records not yet migrated to named keys
+const liveKeys = (rec) => (Array.isArray(rec?.keys) ? rec.keys.filter((k) => !k.revokedAt).length : rec?.key ? 1 : 0);
+
+function issueFor(rec, sc) {
+  const liveKey = liveKeys(rec) > 0;
+  if (sc?.live && (!rec || !liveKey)) return 'missing_key';
+  if (sc?.live && rec.active === false) return 'inactive_with_subscription';
+  if (!sc?.live && rec && rec.active !== false) return 'active_without_subscription';
+  return null;
+}
+
+/**
+ * One full pass. Returns { startedAt, finishedAt, dryRun, stripeCustomers, records, mismatches, fixed, failed }.
+ * mismatches: [{ customerId, issue, stripe, stored, action, result | error }]
+ */
+export async function reconcile({ dryRun = false, log = () => {} } = {}) {
+  const startedAt = new Date().toISOString();
+  const [stripeSide, records] = await Promise.all([stripeCustomers(), storedRecords()]);
+  const ids = new Set([...stripeSide.keys(), ...records.keys()]);
+  const mismatches = [];
+
+  for (const customerId of ids) {
+    const sc = stripeSide.get(customerId);
+    const rec = records.get(customerId);
+    const found = [];
+
+    const issue = issueFor(rec, sc);
+    if (issue) found.push({ issue, action: 'sync' });
+
+    if (rec?.email) {
+      const email = sc ? (sc.deleted ? null : sc.email) : await stripeEmail(customerId);
+      if (email && email.toLowerCase() !== String(rec.email).toLowerCase()) {
+        found.push({ issue: 'stale_email', action: 'update_email', stripeEmail: email });
+      }
+    }
+
+    for (const f of found) {
+      const entry = {
+        customerId,
+        issue: f.issue,
+        stripe: sc ? { live: sc.live, statuses: sc.statuses, email: sc.email } : null,
+        stored: rec ? { active: rec.active !== false, email: rec.email, liveKeys: liveKeys(rec) } : null,
+        action: dryRun ? `would_${f.action}` : f.action,
+      };
+      if (!dryRun) {
+        try {
+          entry.result = f.action === 'sync'
+            ? await syncCustomer(customerId, { email: sc?.email || null })
+            : (await updateCustomerEmail(customerId, f.stripeEmail)) && 'email_updated';
+          invalidateEntitlement(customerId);
+        } catch (e) {
+          entry.error = String(e?.message || e);
+        }
+      }
+      log(entry);
+      mismatches.push(entry);
+    }
+  }
+
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    dryRun,
+    stripeCustomers: stripeSide.size,
+    records: records.size,
+    mismatches,
+    fixed: mismatches.filter((m) => m.result).length,
+    failed: mismatches.filter((m) => m.error).length,
+  };
+  if (!dryRun) {
+    await storage.putJSON(`reconcile/reports/${startedAt.replace(/[:.]/g, '')}.json`, report).catch((e) => {
+      console.error('[reconcile] could not store report:', e?.message || e);
+    });
+  }
+  return report;
+}
+
+/* ---------------- Scheduled job ---------------- */
+/** Start the periodic job if VATFIX_RECONCILE_EVERY_MIN > 0 (server only; the CLI calls reconcile()). */
+export function scheduleReconcile() {
+  const everyMs = (Number(VATFIX_RECONCILE_EVERY_MIN) || 0) * 60000;
+  if (!everyMs || !STRIPE_SECRET_KEY) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      if (!(await takeLease(LOCK_PATH, everyMs))) return;
+      const r = await reconcile();
+      if (r.mismatches.length) console.warn(`[reconcile] ${r.mismatches.length} mismatches, ${r.fixed} fixed, ${r.failed} failed`);
+    } catch (e) {
+      console.error('[reconcile]', e?.message || e);
+    }
+  }, everyMs);
+  timer.unref();
+  return timer;
+}
+
+export default reconcile;
@@ -0,0 +1,52 @@
+// scripts/hooks.mjs — local receiver for testing webhook endpoints (no storage or network needed)
+//   node scripts/hooks.mjs receive --secret whsec_… [--port 4000] [--fail 2]
+// Prints each delivery with its signature check; --fail N answers the first N deliveries with 500 to watch the retries.
+// Register it with VATFIX_HOOK_ALLOW_INSECURE=1 on a dev server: POST /vat/webhooks {"url":"http://localhost:4000/"}.
+
+import http from 'http';
+import { verifySignature, SIGNATURE_HEADER } from '../lib/hooks.js';
+
+const [cmd, ...flags] = process.argv.slice(2);
+const flag = (name) => {
+  const i = flags.indexOf(name);
+  return i >= 0 ? flags[i + 1] : undefined;
+};
+
+function receive() {
+  const secret = flag('--secret');
+  const port = Number(flag('--port')) || 4000;
+  let failLeft = Number(flag('--fail')) || 0;
+  if (!secret) throw new Error('usage: hooks.mjs receive --secret whsec_… [--port 4000] [--fail N]');
+
+  http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      let verified;
+      try {
+        verified = verifySignature(body, req.headers[SIGNATURE_HEADER.toLowerCase()], secret);
+      } catch (e) {
+        verified = e?.message || String(e);
+      }
+      const status = verified !== true ? 400 : failLeft-- > 0 ? 500 : 200;
+      console.log(JSON.stringify({
+        at: new Date().toISOString(),
+        delivery: req.headers['vatfix-delivery'],
+        event: req.headers['vatfix-event'],
+        verified,
+        answered: status,
+        body: JSON.parse(body || 'null'),
+      }));
+      res.writeHead(status).end();
+    });
+  }).listen(port, () => console.error(`[hooks] receiving on http://localhost:${port}/`));
+}
+
+try {
+  if (cmd !== 'receive') throw new Error('usage: hooks.mjs receive --secret whsec_… [--port 4000] [--fail N]');
+  receive();
+} catch (e) {
+  console.error('[hooks]', e?.message || e);
+  process.exit(1);
+}
@@ -0,0 +1,40 @@
+// scripts/keys.mjs — admin key management for one customer (same storage env as the server)
+//   node scripts/keys.mjs list   <customerId>
+//   node scripts/keys.mjs create <customerId> [name]
+//   node scripts/keys.mjs rotate <customerId> <keyId> [overlapHours]
+//   node scripts/keys.mjs revoke <customerId> <keyId>
+// New secrets are printed once; nothing else shows them again.
+
+import { listKeys, createKey, rotateKey, revokeKey, publicKey } from '../lib/keys.js';
+
+const [cmd, customerId, arg, extra] = process.argv.slice(2);
+
+async function main() {
+  if (!customerId) throw new Error('usage: keys.mjs list|create|rotate|revoke <customerId> …');
+  switch (cmd) {
+    case 'list':
+      return (await listKeys(customerId)).map(publicKey);
+    case 'create': {
+      const { entry, secret } = await createKey(customerId, { name: arg });
+      return { ...publicKey(entry), key: secret };
+    }
+    case 'rotate': {
+      if (!arg) throw new Error('rotate needs a keyId');
+      const options = extra !== undefined ? { overlapMs: Number(extra) * 3600000 } : {};
+      const { entry, secret } = await rotateKey(customerId, arg, options);
+      return { ...publicKey(entry), key: secret };
+    }
+    case 'revoke':
+      if (!arg) throw new Error('revoke needs a keyId');
+      return publicKey(await revokeKey(customerId, arg));
+    default:
+      throw new Error(`unknown command: ${cmd}`);
+  }
+}
+
+main()
+  .then((out) => console.log(JSON.stringify(out, null, 2)))
+  .catch((e) => {
+    console.error('[keys]', e?.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+// scripts/migrate-keys.mjs — one-time move of stored API keys from plaintext to digests (same storage env as the server)
+//   node scripts/migrate-keys.mjs [--dry-run]
+// Needs VATFIX_KEY_PEPPER. Safe to re-run: hashed records are left alone. Records are also migrated
+// lazily when read, so the server keeps working before, during and after the run.
+
+import storage from '../lib/storage.js';
+import { migrateCustomer } from '../lib/keys.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const RECORD = /^keys\/[^/]+\.json$/;
+const PLAINTEXT_POINTER = /^keys\/by-key\/(sk_live_[0-9a-f]{48})\.json$/;
+
+const hasPlaintext = (rec) => !!rec && (!Array.isArray(rec.keys) || rec.keys.some((k) => k.key || k.previousKey));
+
+async function main() {
+  const summary = { records: 0, migrated: 0, orphanPointers: 0, removedPointers: 0, dryRun };
+
+  // 1) Customer records
+  for (const path of (await storage.list('keys/')).filter((p) => RECORD.test(p))) {
+    const rec = await storage.getJSON(path);
+    if (!rec?.customerId) continue;
+    summary.records++;
+    if (!hasPlaintext(rec)) continue;
+    summary.migrated++;
+    if (!dryRun) await migrateCustomer(rec);
+  }
+
+  // 2) Plaintext index docs still left: pointers whose record was migrated elsewhere, or
+  //    old full entitlement copies without a customer record (these become the record)
+  for (const path of await storage.list('keys/by-key/')) {
+    const m = PLAINTEXT_POINTER.exec(path);
+    if (!m) continue;
+    const doc = await storage.getJSON(path);
+    const rec = doc?.customerId ? await storage.getJSON(`keys/${doc.customerId}.json`) : null;
+    if (!rec && doc?.customerId) {
+      summary.orphanPointers++;
+      if (!dryRun) await migrateCustomer({ ...doc, key: m[1], keys: undefined });
+      continue;
+    }
+    summary.removedPointers++;
+    if (!dryRun) await storage.remove(path);
+  }
+  return summary;
+}
+
+main()
+  .then((out) => console.log(JSON.stringify(out, null, 2)))
+  .catch((e) => {
+    console.error('[migrate-keys]', e?.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,36 @@
+// scripts/privacy.mjs — retention purge and data-subject requests (same env as the server)
+//   node scripts/privacy.mjs purge [--dry-run]                          delete what is past VATFIX_RETAIN_*_DAYS
+//   node scripts/privacy.mjs export <customerId|email>                  JSON bundle of everything stored for them
+//   node scripts/privacy.mjs erase  <customerId|email> [--dry-run] [--force]
+// Erasure refuses customers with live access unless --force (cancel the subscription in Stripe first).
+
+import { purge, exportCustomer, eraseCustomer } from '../lib/privacy.js';
+
+const [cmd, subject, ...flags] = process.argv.slice(2);
+const all = [subject, ...flags];
+const dryRun = all.includes('--dry-run');
+const force = all.includes('--force');
+
+const subjectOf = (s) => (String(s).includes('@') ? { email: String(s).toLowerCase() } : { customerId: s });
+
+async function main() {
+  switch (cmd) {
+    case 'purge':
+      return purge({ dryRun });
+    case 'export':
+      if (!subject) throw new Error('export needs a customerId or email');
+      return exportCustomer(subjectOf(subject));
+    case 'erase':
+      if (!subject || subject.startsWith('--')) throw new Error('erase needs a customerId or email');
+      return eraseCustomer({ ...subjectOf(subject), dryRun, force });
+    default:
+      throw new Error('usage: privacy.mjs purge [--dry-run] | export <customerId|email> | erase <customerId|email> [--dry-run] [--force]');
+  }
+}
+
+main()
+  .then((out) => console.log(JSON.stringify(out, null, 2)))
+  .catch((e) => {
+    console.error('[privacy]', e?.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,63 @@
+// scripts/receipts.mjs — receipt signing keys and offline verification (no storage or network needed)
+//   node scripts/receipts.mjs keygen                          new Ed25519 key: env value + public PEM to publish
+//   node scripts/receipts.mjs verify <receipt> --key <file>   receipt = file with the JWS or the /vat/receipts JSON, or - for stdin
+// --key takes a public PEM or a saved copy of /vat/receipts/keys.json. Exit code 2 when the signature does not verify.
+
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { verifyReceipt, keyId } from '../lib/receipts.js';
+
+const [cmd, target, ...flags] = process.argv.slice(2);
+const flag = (name) => {
+  const i = flags.indexOf(name);
+  return i >= 0 ? flags[i + 1] : undefined;
+};
+
+const readInput = (file) => readFileSync(file === '-' ? 0 : file, 'utf8').trim();
+
+// JWS from a bare token, or the "receipt" field of a saved JSON response
+function receiptFrom(text) {
+  if (!text.startsWith('{')) return text;
+  const doc = JSON.parse(text);
+  if (!doc.receipt) throw new Error('no "receipt" field in JSON input');
+  return doc.receipt;
+}
+
+function keysFrom(text) {
+  if (text.startsWith('{')) return JSON.parse(text).keys || [];
+  return [text];
+}
+
+async function main() {
+  switch (cmd) {
+    case 'keygen': {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+      const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+      return {
+        kid: keyId(publicKey),
+        env: `VATFIX_RECEIPT_PRIVATE_KEY=${Buffer.from(pem).toString('base64')}`,
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+      };
+    }
+    case 'verify': {
+      const keyFile = flag('--key');
+      if (!target || !keyFile) throw new Error('usage: receipts.mjs verify <receipt|-> --key <public.pem|keys.json>');
+      try {
+        const { header, payload } = verifyReceipt(receiptFrom(readInput(target)), keysFrom(readInput(keyFile)));
+        return { verified: true, kid: header.kid, payload };
+      } catch (e) {
+        process.exitCode = 2;
+        return { verified: false, error: e?.message || String(e) };
+      }
+    }
+    default:
+      throw new Error('usage: receipts.mjs keygen | verify <receipt|-> --key <file>');
+  }
+}
+
+main()
+  .then((out) => console.log(JSON.stringify(out, null, 2)))
+  .catch((e) => {
+    console.error('[receipts]', e?.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,21 @@
+// scripts/reconcile.mjs — compare Stripe subscriptions with stored key records and fix drift (same env as the server)
+//   node scripts/reconcile.mjs --dry-run   report only
+//   node scripts/reconcile.mjs             report and fix
+// Prints one line per mismatch, then the summary. Exit code 2 when mismatches remain (dry run or failed fixes).
+
+import { reconcile } from '../lib/reconcile.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+reconcile({
+  dryRun,
+  log: (m) => console.log(`${m.customerId}\t${m.issue}\t${m.action}\t${m.error || m.result || ''}`),
+})
+  .then(({ mismatches, ...summary }) => {
+    console.log(JSON.stringify({ ...summary, mismatches: mismatches.length }, null, 2));
+    if (mismatches.length && (dryRun || summary.failed)) process.exitCode = 2;
+  })
+  .catch((e) => {
+    console.error('[reconcile]', e?.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,32 @@
+// scripts/replay-event.mjs — reprocess one Stripe event (same env as the server)
+//   node scripts/replay-event.mjs <eventId>            replay the copy in the ledger
+//   node scripts/replay-event.mjs <eventId> --stripe   fetch it from Stripe first (last 30 days)
+// Safe to repeat: subscription state is re-read from Stripe and key minting, grace and
+// metered reconciliation are idempotent. The ledger entry records the replay.
+
+import createStripe from '../lib/stripe.js';
+import { processEvent, getStoredEvent } from '../webhook.js';
+
+const [eventId, ...flags] = process.argv.slice(2);
+
+async function main() {
+  if (!eventId) throw new Error('usage: replay-event.mjs <eventId> [--stripe]');
+
+  let event = null;
+  if (flags.includes('--stripe')) {
+    event = await createStripe(process.env.STRIPE_SECRET_KEY).events.retrieve(eventId);
+  } else {
+    event = (await getStoredEvent(eventId))?.event || null;
+  }
+  if (!event) throw new Error(`event not found: ${eventId} (try --stripe)`);
+
+  const outcome = await processEvent(event, { replay: true });
+  return { id: event.id, type: event.type, outcome, ledger: await getStoredEvent(eventId).then(({ event: _e, ...rest }) => rest) };
+}
+
+main()
+  .then((out) => console.log(JSON.stringify(out, null, 2)))
+  .catch((e) => {
+    console.error('[replay-event]', e?.message || e);
+    process.exit(1);
+  });
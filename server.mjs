@@ -2,18 +2,32 @@
 // Hosts docs, pricing, checkout, success page, webhook, and /vat/* API on plus.vatfix.eu
 
 import express from 'express';
-import Stripe from 'stripe';
-import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
-
-import checkVAT from './lib/validate.js';
-import { meterAndCheck } from './lib/meter.js';
-import { assertActivePlus } from './lib/entitlement.js';
+import createStripe from './lib/stripe.js';
+
+import checkVAT, { cacheStats, breakerState } from './lib/validate.js';
+import { meterAndCheck, recordOutcome, recordLookup, quotaStatus, usageReport, flushUsage } from './lib/meter.js';
+import { assertActivePlus, invalidateEntitlement, entitlementCacheStats } from './lib/entitlement.js';
+import { hasFeature, listPlans } from './lib/plans.js';
+import { METERED_PRICE_ID, recordBillable, flushBilling } from './lib/billing.js';
+import { checkSyntax } from './lib/syntax.js';
+import { faultStatus } from './lib/faults.js';
+import storage from './lib/storage.js';
 import webhookHandler from './webhook.js';
+import dashboard from './lib/dashboard.js';
+import admin from './lib/admin.js';
+import { scheduleReconcile } from './lib/reconcile.js';
+import { RETENTION, schedulePurge } from './lib/privacy.js';
+import { HOOK_EVENTS, publicEndpoint, listEndpoints, createEndpoint, deleteEndpoint, rollEndpointSecret, emitHook,
+  listDeliveries, getDelivery, replayDelivery, sendTestEvent, scheduleHooks } from './lib/hooks.js';
+import { getWatchlist, watchItems, addWatch, removeWatch, getWatchItem, parseVat, scheduleWatch, watchStats } from './lib/watch.js';
+import { auditLookup, newLookupId, flushAudit } from './lib/audit.js';
+import { signReceipt, storeReceipt, getReceipt, receiptsEnabled, publicJwks, publicKeyPem, decodeReceipt, renderReceiptHtml } from './lib/receipts.js';
+import { MAX_KEYS, getCustomer, primaryEntry, takeReveal, publicKey, listKeys, createKey, rotateKey, revokeKey } from './lib/keys.js';
+import { esc } from './lib/html.js';
 
 // --- Env ---
 const {
   STRIPE_SECRET_KEY,
-  S3_BUCKET,
   AWS_REGION = 'eu-north-1',
 
   MARKETING_ORIGIN = 'https://plus.vatfix.eu',
@@ -23,13 +37,15 @@ const {
   CHECKOUT_CANCEL_PATH = '/cancel',
 
   TRIAL_DAYS = '',                   // optional free trial days
+
+  VATFIX_BATCH_MAX = '500',          // max items per /vat/batch call
+  VATFIX_BATCH_CONCURRENCY = '8',    // parallel checkVAT calls per batch
+  VATFIX_USAGE_MAX_DAYS = '93',      // widest from..to range for /vat/usage
 } = process.env;
 
 if (!STRIPE_SECRET_KEY) throw new Error('Missing STRIPE_SECRET_KEY');
-if (!S3_BUCKET) throw new Error('Missing S3_BUCKET');
 
-const stripe = new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
-const s3 = new S3Client({ region: AWS_REGION });
+const stripe = createStripe(STRIPE_SECRET_KEY);
 
 const app = express();
 app.set('trust proxy', true);
@@ -54,25 +70,12 @@ app.use(express.json({ limit: '1mb' }));
 
 // ---------- Shared constants ----------
 const endpoint = 'https://plus.vatfix.eu/vat/lookup';
+const batchEndpoint = 'https://plus.vatfix.eu/vat/batch';
+const syntaxEndpoint = 'https://plus.vatfix.eu/vat/syntax';
 const portal = 'https://billing.stripe.com/p/login/14A14o2Kk69F6Ei2hQ5wI00';
-
-// ---------- Tiny S3 JSON reader (v3) ----------
-async function s3GetJson(Key) {
-  const out = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key }));
-  const body = out.Body;
-  let buf;
-  if (typeof body?.transformToByteArray === 'function') {
-    buf = Buffer.from(await body.transformToByteArray());
-  } else {
-    buf = await new Promise((resolve, reject) => {
-      const chunks = [];
-      body.on('data', (c) => chunks.push(c));
-      body.on('end', () => resolve(Buffer.concat(chunks)));
-      body.on('error', reject);
-    });
-  }
-  return JSON.parse(buf.toString('utf8'));
-}
+const BATCH_MAX = Number(VATFIX_BATCH_MAX) || 500;
+const BATCH_CONCURRENCY = Math.max(1, Number(VATFIX_BATCH_CONCURRENCY) || 8);
+const USAGE_MAX_DAYS = Number(VATFIX_USAGE_MAX_DAYS) || 93;
 
 // ---------- Renderers ----------
 function renderPlusPage() {
@@ -93,19 +96,73 @@ function renderPlusPage() {
  -H "Content-Type: application/json" \\
  -H "x-api-key: &lt;your key&gt;" \\
  -H "x-customer-email: &lt;billing email&gt;" \\
- -d '{"countryCode":"DE","vatNumber":"12345678912"}' | jq .</pre>
+ -d '{"countryCode":"DE","vatNumber":"123456788"}' | jq .</pre>
 <p><a class="btn" href="/buy">Get your API key</a></p>
-<p><span class="pill">Limits</span><br>Default <code>120</code> requests/min per key.</p>
+<p><span class="pill">Batch</span><br><code>POST ${batchEndpoint}</code> with <code>{"items":[{"countryCode":"DE","vatNumber":"…"}, …]}</code>
+  — up to <code>${BATCH_MAX}</code> items, each counted against your rate limit and monthly quota.</p>
+<p><span class="pill">Syntax only</span><br><code>POST ${syntaxEndpoint}</code> checks format and check digits offline, without calling VIES.
+  Malformed numbers on <code>/vat/lookup</code> come back with <code>source: "syntax"</code> and <code>error: "invalid_format"</code>.</p>
+<p><span class="pill">Limits</span><br>Your plan sets requests/min per key (default <code>120</code>) and, on some plans, a monthly lookup quota. Every response carries
+  <code>X-Rate-Remaining</code>, <code>RateLimit-Limit</code>, <code>RateLimit-Remaining</code> and <code>RateLimit-Reset</code>;
+  plans with a quota add <code>X-Quota-Limit</code>, <code>X-Quota-Remaining</code> and <code>X-Quota-Reset</code>. A 429 adds <code>Retry-After</code>.</p>
+<p><span class="pill">Usage</span><br><code>GET /vat/usage?from=YYYY-MM-DD&amp;to=YYYY-MM-DD&amp;granularity=day|hour</code> (same headers) returns lookups,
+  VIES vs cache answers, errors, 429s and your remaining monthly quota. Defaults to the current month (UTC), up to ${USAGE_MAX_DAYS} days per call.</p>
+<p><span class="pill">Keys</span><br><code>GET /vat/keys</code> lists your keys, <code>POST /vat/keys</code> with <code>{"name":"ci"}</code> creates one,
+  <code>POST /vat/keys/{id}/rotate</code> issues a new secret (the old one keeps working for 24h, or <code>"overlapHours"</code>),
+  <code>DELETE /vat/keys/{id}</code> revokes. New secrets are shown only in that response. Usage and quota follow the key id across rotations.</p>
+<p><span class="pill">Receipts</span><br>Every answered lookup is signed (Ed25519 JWS; the response carries <code>Link: &lt;/vat/receipts/{lookupId}&gt;; rel="receipt"</code>).
+  <code>GET /vat/receipts/{lookupId}</code> (same headers) returns it as JSON, <code>?format=html</code> as a printable certificate.
+  Verify offline against <code>GET /vat/receipts/keys.json</code> (JWKS) or <code>/vat/receipts/public-key.pem</code>.</p>
+<p><span class="pill">Watchlist</span><br><code>POST /vat/watch</code> with <code>{"countryCode":"DE","vatNumber":"…","label":"…"}</code> (or <code>{"items":[…]}</code>)
+  re-checks a number against VIES about once a day; <code>GET /vat/watch</code> lists them with the last answer, <code>GET /vat/watch/DE123456789</code>
+  adds the history of validity, name and address changes, <code>DELETE /vat/watch/DE123456789</code> stops watching. Re-checks count as lookups of the key.</p>
+<p><span class="pill">Webhooks</span><br><code>POST /vat/webhooks</code> with <code>{"url":"https://…","events":["vat.status_changed","vat.lookup_failed","subscription.grace_started"]}</code>
+  registers an endpoint for the key and returns its signing secret once. Deliveries carry <code>VATFix-Signature: t=…,v1=…</code>
+  (HMAC-SHA256 of <code>t + "." + body</code>, like Stripe) and are retried with backoff until a 2xx. <code>vat.lookup_failed</code> is sent at most once a minute
+  per country; <code>data.heldBack</code> counts the failures in between.
+  <code>GET /vat/webhooks/deliveries</code> is the log, <code>POST /vat/webhooks/deliveries/{id}/replay</code> sends one again, <code>POST /vat/webhooks/{id}/test</code> sends a test event.</p>
 <p><span class="pill">Errors</span></p>
-<pre>401 invalid_key | 401 missing_api_key | 401 missing_customer_email
-403 access_denied | 403 key_revoked | 403 plan_not_allowed
-429 rate_limit_exceeded</pre>
+<pre>400 invalid_date_range | 400 invalid_granularity | 400 range_too_large
+401 invalid_key | 401 missing_api_key | 401 missing_customer_email
+402 payment_overdue (a failed payment wasn't fixed in time — update billing)
+403 access_denied | 403 key_revoked | 403 plan_not_allowed | 403 feature_not_in_plan
+403 trial_expired | 403 subscription_ended (cancelled and the grace period is over)
+Warnings (still served): X-Billing-Warning: payment_failed|subscription_in_grace; access_until=…
+  and on lookups "warning" + "accessUntil" in the body
+400 invalid_url | 400 invalid_events | 404 webhook_not_found | 404 delivery_not_found | 409 too_many_webhooks
+503 webhooks_busy (webhooks changed concurrently — retry)
+404 watch_not_found | 409 watchlist_full | 503 watchlist_busy (list changed concurrently — retry)
+503 customer_busy (keys changed concurrently — retry)
+413 batch_too_large | 429 rate_limit_exceeded | 429 quota_exceeded
+503 entitlement_unavailable (billing check impossible right now — retry)
+503/504 VIES unavailable: valid=null + error code + retryable</pre>
 <p><span class="pill">Billing & support</span><br>
   Manage subscription: <a href="${portal}">${portal}</a><br>
   Email: <a href="mailto:support@vatfix.eu">support@vatfix.eu</a></p>
 <p>Stay boring, stay online.</p>`;
 }
 
+const FEATURE_LABELS = {
+  batch: 'batch lookups',
+  approx: 'consultation numbers (checkVatApprox)',
+  monitoring: 'VAT number monitoring',
+  webhooks: 'webhooks',
+};
+
+// One card per catalog plan (lib/plans.js), so the page always shows the limits the server enforces
+function renderPlanCard(plan) {
+  const quota = plan.monthlyQuota ? `${plan.monthlyQuota.toLocaleString('en-US')} lookups/month shared by your keys` : 'no monthly cap';
+  const features = plan.features.map((f) => FEATURE_LABELS[f] || f).join(', ');
+  const buyable = !plan.priceIds.length || plan.priceIds.includes(CHECKOUT_PRICE_ID);
+  return `<div class="card">
+  <h2>${esc(plan.name)}</h2>
+  <p>Up to ${MAX_KEYS} named API keys, <b>${plan.rpm} req/min</b> each, ${quota}. S3 cache, rate limits, Stripe‑gated access.</p>
+  <p>Includes: ${esc(features || 'single lookups')}.${plan.features.includes('monitoring') ? ` Up to ${plan.watchlistMax.toLocaleString('en-US')} watched numbers.` : ''}</p>
+  <p>Endpoint: <code>${endpoint}</code></p>
+  ${buyable ? '<p><a class="btn" href="/buy">Get your API key</a></p>' : '<p>Email <a href="mailto:support@vatfix.eu">support@vatfix.eu</a> to switch to this plan.</p>'}
+</div>`;
+}
+
 function renderPricingPage() {
   return `<!doctype html><meta charset="utf-8">
 <title>VATFix Plus — Pricing</title>
@@ -116,12 +173,7 @@ function renderPricingPage() {
   code{background:#f6f7f9;padding:2px 6px;border-radius:6px}
 </style>
 <h1>Pricing</h1>
-<div class="card">
-  <h2>Plus</h2>
-  <p>One key. <b>120 req/min</b>. S3 cache, rate limits, Stripe‑gated access.</p>
-  <p>Endpoint: <code>${endpoint}</code></p>
-  <p><a class="btn" href="/buy">Get your API key</a></p>
-</div>
+${listPlans().map(renderPlanCard).join('\n')}
 <p>Need higher RPS or custom SLA? Email <a href="mailto:support@vatfix.eu">support@vatfix.eu</a>.</p>`;
 }
 
@@ -136,8 +188,25 @@ function renderFAQPage() {
 <p><code>x-api-key</code> and <code>x-customer-email</code>.</p>
 <h3>How does caching work?</h3>
 <p>Each VAT number response is cached in S3 for 12 hours. On VIES outage we serve the cached entry and set <code>source: "cache"</code>.</p>
+<h3>What happens with a typo?</h3>
+<p>Every number is checked against its member state's format and check-digit rules first. Malformed numbers return <code>source: "syntax"</code> with <code>error: "invalid_format"</code> and never reach VIES. <code>POST /vat/syntax</code> runs just that check.</p>
+<h3>Do you return the VIES consultation number?</h3>
+<p>Yes. Add <code>requesterCountryCode</code> + <code>requesterVatNumber</code> (your own VAT number) to the body and the lookup runs as <code>checkVatApprox</code>:
+the response gains <code>requestIdentifier</code> (the consultation number for audits) and <code>match</code>. Optional <code>traderName</code>, <code>traderCompanyType</code>, <code>traderStreet</code>, <code>traderPostcode</code>, <code>traderCity</code> are matched field by field
+(<code>valid</code>, <code>invalid</code> or <code>not_processed</code>). These lookups always go to VIES live.</p>
+<h3>Can I skip VIES for numbers I checked recently?</h3>
+<p>Yes. Send <code>"maxAgeMs": 3600000</code> in the body (or a <code>Cache-Control: max-age=3600</code> header) and any cached answer up to that age is returned straight from cache, with <code>cachedAt</code> telling you when it was fetched.</p>
+<h3>Can I check many numbers at once?</h3>
+<p>Yes: <code>POST /vat/batch</code> with up to ${BATCH_MAX} items. Each item gets its own result (with <code>lookupId</code>, <code>source</code> and <code>error</code>) and counts as one request against your rate limit.</p>
+<h3>How do I see how many lookups we made?</h3>
+<p><code>GET /vat/usage?from=2026-01-01&amp;to=2026-01-31</code> with your usual headers returns totals per day (or <code>granularity=hour</code>), split into VIES, cache, syntax and error answers, plus 429 counts and your remaining quota.</p>
+<h3>How do I prove to a tax inspector that we checked a number?</h3>
+<p>Keep the signed receipt: <code>GET /vat/receipts/{lookupId}</code> returns the VAT number, answer, name, address, VIES request date, source and any consultation number, signed with our Ed25519 key. Print it with <code>?format=html</code> (or from the dashboard's recent lookups, which keeps working after you cancel). Anyone can verify it offline against <code>/vat/receipts/keys.json</code>.</p>
 <h3>What are the errors?</h3>
-<p>401 <code>invalid_key</code>, 401 <code>missing_* </code>, 403 <code>access_denied</code>, 403 <code>plan_not_allowed</code>, 429 <code>rate_limit_exceeded</code>.</p>`;
+<p>401 <code>invalid_key</code>, 401 <code>missing_* </code>, 403 <code>access_denied</code>, 403 <code>plan_not_allowed</code>, 403 <code>feature_not_in_plan</code>, 413 <code>batch_too_large</code>, 429 <code>rate_limit_exceeded</code> (too fast — retry in seconds), 429 <code>quota_exceeded</code> (monthly quota used up — resets on the 1st, UTC).</p>
+<h3>What if VIES is down?</h3>
+<p>If we have a cached answer you get it with <code>source: "cache"</code> and <code>viesError</code> saying why VIES was skipped. Otherwise the response has <code>valid: null</code> (unknown — never treat it as invalid), <code>source: "error"</code>, a stable <code>error</code> code and <code>retryable</code>:</p>
+<p>503 <code>ms_unavailable</code>, <code>ms_max_concurrent_req</code>, <code>global_max_concurrent_req</code>, <code>service_unavailable</code>, <code>vies_unavailable</code>, <code>circuit_open</code>, <code>ip_blocked</code> • 504 <code>timeout</code> • 400 <code>invalid_input</code>, <code>invalid_requester_info</code> • 422 <code>vat_blocked</code>.</p>`;
 }
 
 function setSuccessCsp(res) {
@@ -167,43 +236,162 @@ x-api-key: ${key}</pre>
  -H "Content-Type: application/json" \\
  -H "x-api-key: ${key}" \\
  -H "x-customer-email: ${email}" \\
- -d '{"countryCode":"DE","vatNumber":"12345678912"}' | jq .</pre>
+ -d '{"countryCode":"DE","vatNumber":"123456788"}' | jq .</pre>
 <p><a class="btn" href="${portalUrl}" target="_blank" rel="noopener">Manage billing</a></p>
-<p class="muted">Keep this safe. It won't be shown again here. An email was also sent to ${email}.</p>
+<p class="muted">Copy it now — it is shown only once and is not stored in readable form. The email sent to ${email} names the key by its prefix only. Lost it? Rotate it in the <a href="/dashboard">dashboard</a>.</p>
 <p class="muted">Need help? <a href="mailto:support@vatfix.eu">support@vatfix.eu</a></p>`;
 }
 
 // ---------- VAT API ----------
+// Map entitlement failures onto the public error vocabulary
+function entitlementError(e) {
+  const code = String(e?.message || '');
+  if (code === 'invalid_key') return [401, 'invalid_api_key'];
+  if (code === 'key_revoked') return [403, 'key_revoked'];
+  if (code === 'no_active_subscription') return [403, 'access_denied'];
+  if (code === 'price_not_allowed') return [403, 'plan_not_allowed'];
+  if (code === 'payment_overdue') return [402, 'payment_overdue'];
+  if (code === 'trial_expired') return [403, 'trial_expired'];
+  if (code === 'subscription_ended') return [403, 'subscription_ended'];
+  if (code === 'entitlement_unavailable') return [503, 'entitlement_unavailable'];
+  return [403, 'access_denied'];
+}
+
+// Cache-first opt-in: body maxAgeMs wins over a `Cache-Control: max-age=<seconds>` request header
+function requestedMaxAgeMs(req, body = req.body) {
+  const fromBody = Number(body?.maxAgeMs);
+  if (Number.isFinite(fromBody) && fromBody > 0) return fromBody;
+  const m = /(?:^|,)\s*max-age=(\d+)/i.exec(req.header('cache-control') || '');
+  return m ? Number(m[1]) * 1000 : 0;
+}
+
+// Optional checkVatApprox inputs: requester VAT (for a consultation number) + trader details to match
+function approxFrom(body = {}) {
+  const { requesterCountryCode, requesterVatNumber } = body;
+  const trader = {
+    traderName: body.traderName,
+    traderCompanyType: body.traderCompanyType,
+    traderStreet: body.traderStreet,
+    traderPostcode: body.traderPostcode,
+    traderCity: body.traderCity,
+  };
+  const hasTrader = Object.values(trader).some((v) => String(v ?? '').trim());
+  if (!requesterCountryCode && !requesterVatNumber) return { requester: null, trader, approx: hasTrader };
+  if (!requesterCountryCode || !requesterVatNumber) return { error: 'missing_requester_data' };
+
+  const r = checkSyntax(requesterCountryCode, requesterVatNumber);
+  if (!r.valid) return { error: 'invalid_requester' };
+  return { requester: { countryCode: r.countryCode, vatNumber: r.vatNumber }, trader, approx: true };
+}
+
+// X-Rate-Remaining plus the standard RateLimit-* fields, X-Quota-* for plans with a monthly quota;
+// Retry-After only on refusals
+function setRateHeaders(res, m) {
+  if (m.quota) {
+    res.set('X-Quota-Limit', String(m.quota));
+    res.set('X-Quota-Remaining', String(m.quotaRemaining));
+    res.set('X-Quota-Reset', String(Math.ceil((m.quotaResetMs || 0) / 1000)));
+  }
+  if (!m.allowed) res.set('Retry-After', String(Math.max(1, Math.ceil((m.retryAfterMs || 0) / 1000))));
+  if (m.remaining === undefined) return;
+  res.set('X-Rate-Remaining', String(m.remaining));
+  res.set('RateLimit-Limit', String(m.limit));
+  res.set('RateLimit-Remaining', String(m.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil((m.resetMs || 0) / 1000)));
+}
+
+// Plan limits for meterAndCheck
+function planLimits(entitlement) {
+  return { limit: entitlement.rpm, monthlyQuota: entitlement.plan?.monthlyQuota, quotaKeys: entitlement.keyIds };
+}
+
+// Usage report entry, dashboard history, signed receipt + audit line, metered billing; answered lookups are
+// billable, errors are not (they go to the key's vat.lookup_failed webhooks instead).
+// Resolves to the receipt (null when receipts are off, the lookup had no answer or the receipt could not be stored);
+// it is stored before the caller answers, so the Link header works on every machine.
+async function countLookup(req, { keyId, email, entitlement }, result, { request, status } = {}) {
+  recordOutcome(keyId, result.source);
+  recordLookup(keyId, result);
+  const receipt = signReceipt(result, { requester: request?.requester });
+  const stored = !!receipt && (await storeReceipt({ lookupId: result.lookupId, keyId, customerId: entitlement.customerId, receipt })
+    .catch((e) => console.error('[receipts] store failed:', result.lookupId, e?.message || e)));
+  auditLookup({ req, keyId, customerId: entitlement.customerId, email, request, result, status, receipt });
+  if (result.source !== 'error') recordBillable(entitlement);
+  else {
+    const { lookupId, countryCode, vatNumber, error, retryable } = result;
+    emitHook({
+      keyIds: [keyId],
+      type: 'vat.lookup_failed',
+      data: { lookupId, countryCode, vatNumber, error, retryable, endpoint: req.originalUrl.split('?')[0] },
+      plan: entitlement.plan,
+    });
+  }
+  return stored ? receipt : null;
+}
+
+function setReceiptLink(res, receipt, lookupId) {
+  if (receipt) res.set('Link', `</vat/receipts/${lookupId}>; rel="receipt"`);
+}
+
+// Shared header + entitlement gate; sends the error response and returns null when refused.
+// Metering uses the key's stable id, so a rotated key keeps its usage, quota and rate limit.
+async function authenticate(req, res) {
+  const apiKey = req.header('x-api-key');
+  const email = req.header('x-customer-email');
+
+  if (!apiKey) {
+    res.status(401).json({ error: 'missing_api_key' });
+    return null;
+  }
+  if (!email) {
+    res.status(401).json({ error: 'missing_customer_email' });
+    return null;
+  }
+
+  // Entitlement via key index + Stripe
+  try {
+    const entitlement = await assertActivePlus({ apiKey, email });
+    // Still served, with a heads-up until access ends: failed payment or cancelled subscription in grace
+    const warning = entitlement.graceUntil
+      ? { code: 'subscription_in_grace', until: entitlement.graceUntil }
+      : entitlement.dunningUntil ? { code: 'payment_failed', until: entitlement.dunningUntil } : null;
+    if (warning) res.set('X-Billing-Warning', `${warning.code}; access_until=${warning.until}`);
+    return { keyId: entitlement.keyId, email, entitlement, warning };
+  } catch (e) {
+    const [status, error] = entitlementError(e);
+    res.status(status).json({ error });
+    return null;
+  }
+}
+
 async function vatHandler(req, res) {
   try {
-    const apiKey = req.header('x-api-key');
-    const email = req.header('x-customer-email');
-    const { countryCode, vatNumber } = req.body || {};
+    const auth = await authenticate(req, res);
+    if (!auth) return;
+    const { keyId, entitlement } = auth;
 
-    if (!apiKey) return res.status(401).json({ error: 'missing_api_key' });
-    if (!email) return res.status(401).json({ error: 'missing_customer_email' });
+    const { countryCode, vatNumber } = req.body || {};
     if (!countryCode || !vatNumber) return res.status(400).json({ error: 'missing_vat_data' });
-
-    // Entitlement via S3 + Stripe
-    try {
-      await assertActivePlus({ apiKey, email });
-    } catch (e) {
-      const code = String(e?.message || '');
-      if (code === 'invalid_key') return res.status(401).json({ error: 'invalid_api_key' });
-      if (code === 'key_revoked') return res.status(403).json({ error: 'key_revoked' });
-      if (code === 'no_active_subscription') return res.status(403).json({ error: 'access_denied' });
-      if (code === 'price_not_allowed') return res.status(403).json({ error: 'plan_not_allowed' });
-      return res.status(403).json({ error: 'access_denied' });
+    const { requester, trader, approx, error: approxError } = approxFrom(req.body);
+    if (approxError) return res.status(400).json({ error: approxError });
+    if (approx && !hasFeature(entitlement.plan, 'approx')) {
+      return res.status(403).json({ error: 'feature_not_in_plan', feature: 'approx' });
     }
 
-    // Per-key rate limit (best‑effort)
-    const meterRes = await meterAndCheck({ apiKey, email, countryCode, vatNumber });
-    if (meterRes.remaining !== undefined) res.set('X-Rate-Remaining', String(meterRes.remaining));
+    // Monthly quota + per-key rate limit (best‑effort)
+    const meterRes = await meterAndCheck({ apiKey: keyId, ...planLimits(entitlement) });
+    setRateHeaders(res, meterRes);
     if (!meterRes.allowed) return res.status(429).json({ error: meterRes.reason || 'rate_limit_exceeded' });
 
-    // VIES with S3 cache fallback inside checkVAT
-    const result = await checkVAT({ countryCode, vatNumber, email });
-    return res.status(200).json(result);
+    // VIES with cache fallback inside checkVAT (or cache-first when the caller sets a max age)
+    const maxAgeMs = requestedMaxAgeMs(req);
+    const result = await checkVAT({ countryCode, vatNumber, maxAgeMs, requester, trader });
+    // Unknown outcomes (VIES/member state down, no cache) are not 200s
+    const status = result.source === 'error' ? faultStatus(result.error) : 200;
+    const receipt = await countLookup(req, auth, result, { request: { countryCode, vatNumber, requester, trader, maxAgeMs }, status });
+    setReceiptLink(res, receipt, result.lookupId);
+    const body = auth.warning ? { ...result, warning: auth.warning.code, accessUntil: auth.warning.until } : result;
+    return res.status(status).json(body);
   } catch (err) {
     console.error('[vat] server error:', err);
     return res.status(500).json({ error: 'server_error' });
@@ -212,6 +400,382 @@ async function vatHandler(req, res) {
 app.post('/vat/validate', vatHandler);
 app.post('/vat/lookup',  vatHandler);
 
+// Offline format + check-digit validation only; never calls VIES
+async function syntaxHandler(req, res) {
+  try {
+    const auth = await authenticate(req, res);
+    if (!auth) return;
+    const { keyId, entitlement } = auth;
+
+    const { countryCode, vatNumber } = req.body || {};
+    if (!countryCode || !vatNumber) return res.status(400).json({ error: 'missing_vat_data' });
+
+    const meterRes = await meterAndCheck({ apiKey: keyId, ...planLimits(entitlement) });
+    setRateHeaders(res, meterRes);
+    if (!meterRes.allowed) return res.status(429).json({ error: meterRes.reason || 'rate_limit_exceeded' });
+
+    const r = checkSyntax(countryCode, vatNumber);
+    const result = {
+      countryCode: r.countryCode,
+      vatNumber: r.vatNumber,
+      valid: r.valid,
+      lookupId: newLookupId(r.countryCode, r.vatNumber),
+      source: 'syntax',
+      ...(r.valid ? {} : { error: r.reason }),
+    };
+    setReceiptLink(res, await countLookup(req, auth, result, { request: { countryCode, vatNumber }, status: 200 }), result.lookupId);
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('[syntax] server error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+app.post('/vat/syntax', syntaxHandler);
+
+// ---------- Batch API ----------
+// Run fn over items with at most `limit` calls in flight; results keep input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function batchHandler(req, res) {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body?.items;
+    if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: 'missing_batch_items' });
+    if (items.length > BATCH_MAX) return res.status(413).json({ error: 'batch_too_large', max: BATCH_MAX });
+
+    const auth = await authenticate(req, res);
+    if (!auth) return;
+    const { keyId, entitlement } = auth;
+    if (!hasFeature(entitlement.plan, 'batch')) {
+      return res.status(403).json({ error: 'feature_not_in_plan', feature: 'batch' });
+    }
+    const approxAllowed = hasFeature(entitlement.plan, 'approx');
+
+    // Per-item maxAgeMs overrides the batch-level one (body or Cache-Control)
+    const batchMaxAge = requestedMaxAgeMs(req);
+
+    // Every item is metered like a single lookup; items over budget fail individually
+    let lowest;
+    // Items refused before checkVAT still get a lookupId, so every result can be referred to
+    const refused = (countryCode, vatNumber, error) =>
+      ({ countryCode: countryCode || null, vatNumber: vatNumber || null, lookupId: newLookupId(countryCode, vatNumber), source: 'error', error });
+    const results = await mapLimit(items, BATCH_CONCURRENCY, async (item) => {
+      const { countryCode, vatNumber } = item || {};
+      if (!countryCode || !vatNumber) return refused(countryCode, vatNumber, 'missing_vat_data');
+      const { requester, trader, approx, error: approxError } = approxFrom(item);
+      if (approxError) return refused(countryCode, vatNumber, approxError);
+      if (approx && !approxAllowed) return refused(countryCode, vatNumber, 'feature_not_in_plan');
+
+      const meterRes = await meterAndCheck({ apiKey: keyId, ...planLimits(entitlement) });
+      if (meterRes.remaining !== undefined && (!lowest || meterRes.remaining <= lowest.remaining)) lowest = meterRes;
+      if (!meterRes.allowed) return refused(countryCode, vatNumber, meterRes.reason || 'rate_limit_exceeded');
+
+      const maxAgeMs = requestedMaxAgeMs(req, item) || batchMaxAge;
+      const request = { countryCode, vatNumber, requester, trader, maxAgeMs };
+      try {
+        const result = await checkVAT({ countryCode, vatNumber, maxAgeMs, requester, trader });
+        await countLookup(req, auth, result, { request });
+        return result;
+      } catch (err) {
+        console.error('[batch] item error:', err?.message || err);
+        const failed = refused(countryCode, vatNumber, 'server_error');
+        await countLookup(req, auth, failed, { request });
+        return failed;
+      }
+    });
+
+    // The batch itself succeeds, so report the tightest budget without Retry-After
+    if (lowest) setRateHeaders(res, { ...lowest, allowed: true });
+    return res.status(200).json({ count: results.length, results });
+  } catch (err) {
+    console.error('[batch] server error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+app.post('/vat/batch', batchHandler);
+
+// ---------- Usage API ----------
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Internal meter fields -> public names
+function publicCounts(c) {
+  return {
+    lookups: c.requests,
+    vies: c.vies,
+    cache: c.cache,
+    syntax: c.syntax,
+    errors: c.errors,
+    rateLimited: c.limited,
+    quotaExceeded: c.quotaExceeded,
+  };
+}
+
+// Aggregated usage for the caller's key; defaults to the current month so far (UTC)
+async function usageHandler(req, res) {
+  try {
+    const auth = await authenticate(req, res);
+    if (!auth) return;
+    const { keyId, entitlement } = auth;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const from = String(req.query.from || `${today.slice(0, 7)}-01`);
+    const to = String(req.query.to || today);
+    const granularity = String(req.query.granularity || 'day');
+
+    if (!['day', 'hour'].includes(granularity)) return res.status(400).json({ error: 'invalid_granularity' });
+    if (!DAY_RE.test(from) || !DAY_RE.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to)) || from > to) {
+      return res.status(400).json({ error: 'invalid_date_range' });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / 86400000 + 1 > USAGE_MAX_DAYS) {
+      return res.status(400).json({ error: 'range_too_large', maxDays: USAGE_MAX_DAYS });
+    }
+
+    const report = await usageReport(keyId, { from, to: to > today ? today : to, granularity });
+    const quota = await quotaStatus(entitlement.keyIds, entitlement.plan?.monthlyQuota);
+    return res.status(200).json({
+      from,
+      to,
+      granularity,
+      plan: entitlement.plan?.id || null,
+      totals: publicCounts(report.totals),
+      buckets: report.buckets.map(({ period, ...c }) => ({ period, ...publicCounts(c) })),
+      quota,
+    });
+  } catch (err) {
+    console.error('[usage] server error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+app.get('/vat/usage', usageHandler);
+
+// ---------- Receipts API ----------
+// Published verification keys: public, so receipts can be checked without an account
+app.get('/vat/receipts/keys.json', (_req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  return res.json(publicJwks());
+});
+
+app.get('/vat/receipts/public-key.pem', (_req, res) => {
+  const pem = publicKeyPem();
+  if (!pem) return res.status(404).type('text/plain').send('Receipts are not enabled');
+  res.set('Cache-Control', 'public, max-age=3600');
+  return res.type('application/x-pem-file').send(pem);
+});
+
+// Signed receipt of one of the caller's lookups: JSON, or ?format=html for the printable certificate
+async function receiptHandler(req, res) {
+  try {
+    const auth = await authenticate(req, res);
+    if (!auth) return;
+    if (!receiptsEnabled()) return res.status(503).json({ error: 'receipts_not_configured' });
+
+    const entry = await getReceipt(req.params.lookupId);
+    const { customerId, keyIds = [auth.keyId] } = auth.entitlement;
+    const own = entry && (keyIds.includes(entry.keyId) || (customerId && entry.customerId === customerId));
+    if (!own) return res.status(404).json({ error: 'receipt_not_found' });
+
+    res.set('Cache-Control', 'private, no-store');
+    if (req.query.format === 'html') {
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'");
+      return res.type('html').send(renderReceiptHtml(entry.receipt));
+    }
+    return res.json({
+      lookupId: entry.lookupId,
+      receipt: entry.receipt,
+      payload: decodeReceipt(entry.receipt).payload,
+      keys: `${MARKETING_ORIGIN}/vat/receipts/keys.json`,
+    });
+  } catch (err) {
+    console.error('[receipts] server error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+app.get('/vat/receipts/:lookupId', receiptHandler);
+
+// ---------- Watchlist API ----------
+// Numbers watched by the calling key, re-checked by lib/watch.js; needs the plan's 'monitoring' feature
+function watchRoute(fn) {
+  return async (req, res) => {
+    try {
+      const auth = await authenticate(req, res);
+      if (!auth) return;
+      if (!hasFeature(auth.entitlement.plan, 'monitoring')) {
+        return res.status(403).json({ error: 'feature_not_in_plan', feature: 'monitoring' });
+      }
+      return await fn(req, res, auth);
+    } catch (err) {
+      // Too many concurrent changes to the same list; the client retries
+      if (err?.message === 'watchlist_busy') return res.status(503).json({ error: 'watchlist_busy' });
+      console.error('[watch] server error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  };
+}
+
+app.get('/vat/watch', watchRoute(async (_req, res, { keyId, entitlement }) => {
+  const items = watchItems(await getWatchlist(keyId));
+  return res.json({ count: items.length, max: entitlement.plan.watchlistMax, items });
+}));
+
+// One number → 201 (200 when already watched, 400 when malformed); { items } → 200 with added/existing/rejected
+app.post('/vat/watch', watchRoute(async (req, res, { keyId, email, entitlement }) => {
+  const many = Array.isArray(req.body?.items);
+  const entries = many ? req.body.items : [req.body || {}];
+  if (!entries.length || (!many && (!entries[0].countryCode || !entries[0].vatNumber))) {
+    return res.status(400).json({ error: 'missing_vat_data' });
+  }
+  const max = entitlement.plan.watchlistMax;
+  const owner = { keyId, customerId: entitlement.customerId, email: entitlement.email || email };
+  let r;
+  try {
+    r = await addWatch(owner, entries, { max });
+  } catch (e) {
+    if (e?.message === 'watchlist_full') return res.status(409).json({ error: 'watchlist_full', max });
+    throw e;
+  }
+  if (many) return res.json({ ...r, max });
+  if (r.rejected.length) return res.status(400).json({ error: r.rejected[0].error });
+  return r.added.length ? res.status(201).json(r.added[0]) : res.json(r.existing[0]);
+}));
+
+app.get('/vat/watch/:vat', watchRoute(async (req, res, { keyId }) => {
+  const { countryCode, vatNumber } = parseVat(req.params.vat);
+  const found = await getWatchItem(keyId, countryCode, vatNumber);
+  if (!found) return res.status(404).json({ error: 'watch_not_found' });
+  return res.json({ ...found.item, history: found.history });
+}));
+
+app.delete('/vat/watch/:vat', watchRoute(async (req, res, { keyId }) => {
+  const { countryCode, vatNumber } = parseVat(req.params.vat);
+  if (!(await removeWatch(keyId, countryCode, vatNumber))) return res.status(404).json({ error: 'watch_not_found' });
+  return res.status(204).end();
+}));
+
+// ---------- Webhooks API ----------
+// Per-key callback endpoints (lib/hooks.js); needs the plan's 'webhooks' feature
+const HOOK_ERRORS = { invalid_url: 400, invalid_events: 400, too_many_webhooks: 409, webhook_not_found: 404, delivery_not_found: 404, webhooks_busy: 503 };
+
+function hookRoute(fn) {
+  return async (req, res) => {
+    try {
+      const auth = await authenticate(req, res);
+      if (!auth) return;
+      if (!hasFeature(auth.entitlement.plan, 'webhooks')) {
+        return res.status(403).json({ error: 'feature_not_in_plan', feature: 'webhooks' });
+      }
+      return await fn(req, res, auth);
+    } catch (err) {
+      const code = String(err?.message || '');
+      if (HOOK_ERRORS[code]) return res.status(HOOK_ERRORS[code]).json({ error: code });
+      console.error('[hooks] server error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  };
+}
+
+app.get('/vat/webhooks', hookRoute(async (_req, res, { keyId }) => {
+  return res.json({ events: HOOK_EVENTS, endpoints: (await listEndpoints(keyId)).map(publicEndpoint) });
+}));
+
+// The signing secret is only in this response (and after a roll)
+app.post('/vat/webhooks', hookRoute(async (req, res, { keyId, entitlement }) => {
+  const { url, events, description } = req.body || {};
+  const endpoint = await createEndpoint({ keyId, customerId: entitlement.customerId }, { url, events, description });
+  return res.status(201).json(endpoint);
+}));
+
+app.delete('/vat/webhooks/:id', hookRoute(async (req, res, { keyId }) => {
+  if (!(await deleteEndpoint(keyId, req.params.id))) throw new Error('webhook_not_found');
+  return res.status(204).end();
+}));
+
+app.post('/vat/webhooks/:id/roll-secret', hookRoute(async (req, res, { keyId }) => {
+  const endpoint = await rollEndpointSecret(keyId, req.params.id);
+  if (!endpoint) throw new Error('webhook_not_found');
+  return res.json(endpoint);
+}));
+
+app.post('/vat/webhooks/:id/test', hookRoute(async (req, res, { keyId }) => {
+  const delivery = await sendTestEvent(keyId, req.params.id);
+  if (!delivery) throw new Error('webhook_not_found');
+  return res.status(202).json({ id: delivery.id, eventId: delivery.event.id, status: delivery.status });
+}));
+
+app.get('/vat/webhooks/deliveries', hookRoute(async (req, res, { keyId }) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const { endpointId, status } = req.query;
+  return res.json({ deliveries: await listDeliveries(keyId, { endpointId, status, limit }) });
+}));
+
+app.get('/vat/webhooks/deliveries/:id', hookRoute(async (req, res, { keyId }) => {
+  const delivery = await getDelivery(keyId, req.params.id);
+  if (!delivery) throw new Error('delivery_not_found');
+  return res.json(delivery);
+}));
+
+// Same event (same id, so receivers can de-duplicate) as a new delivery
+app.post('/vat/webhooks/deliveries/:id/replay', hookRoute(async (req, res, { keyId }) => {
+  const delivery = await replayDelivery(keyId, req.params.id);
+  if (!delivery) throw new Error('delivery_not_found');
+  return res.status(202).json({ id: delivery.id, eventId: delivery.event.id, replayOf: delivery.replayOf, status: delivery.status });
+}));
+
+// ---------- Key management API ----------
+// Same auth headers as lookups; a customer manages all of their keys with any live key
+const KEY_ERRORS = { no_customer: 404, key_not_found: 404, too_many_keys: 409, last_active_key: 409, customer_busy: 503 };
+
+function keyRoute(fn) {
+  return async (req, res) => {
+    try {
+      const auth = await authenticate(req, res);
+      if (!auth) return;
+      const { customerId } = auth.entitlement;
+      if (!customerId) return res.status(404).json({ error: 'no_customer' });
+      return await fn(req, res, { ...auth, customerId });
+    } catch (err) {
+      const code = String(err?.message || '');
+      if (KEY_ERRORS[code]) return res.status(KEY_ERRORS[code]).json({ error: code });
+      console.error('[keys] server error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  };
+}
+
+app.get('/vat/keys', keyRoute(async (_req, res, { customerId, keyId }) => {
+  const keys = await listKeys(customerId);
+  return res.json({ keys: keys.map((k) => ({ ...publicKey(k), current: k.id === keyId })) });
+}));
+
+// The full secret is only in this response
+app.post('/vat/keys', keyRoute(async (req, res, { customerId }) => {
+  const { entry, secret } = await createKey(customerId, { name: req.body?.name });
+  return res.status(201).json({ ...publicKey(entry), key: secret });
+}));
+
+app.post('/vat/keys/:id/rotate', keyRoute(async (req, res, { customerId }) => {
+  const hours = Number(req.body?.overlapHours);
+  const options = Number.isFinite(hours) && hours >= 0 ? { overlapMs: Math.min(hours, 24 * 30) * 3600000 } : {};
+  const { entry, secret } = await rotateKey(customerId, req.params.id, options);
+  invalidateEntitlement(customerId);
+  return res.json({ ...publicKey(entry), key: secret });
+}));
+
+app.delete('/vat/keys/:id', keyRoute(async (req, res, { customerId }) => {
+  const entry = await revokeKey(customerId, req.params.id);
+  invalidateEntitlement(customerId);
+  return res.json(publicKey(entry));
+}));
+
 // ---------- BUY: Stripe Checkout ----------
 app.get('/buy', async (_req, res) => {
   try {
@@ -223,7 +787,11 @@ app.get('/buy', async (_req, res) => {
 
     const session = await stripe.checkout.sessions.create({
       mode: 'subscription',
-      line_items: [{ price: CHECKOUT_PRICE_ID, quantity: 1 }],
+      // Metered prices take no quantity; usage is reported by lib/billing.js
+      line_items: [
+        { price: CHECKOUT_PRICE_ID, quantity: 1 },
+        ...(METERED_PRICE_ID ? [{ price: METERED_PRICE_ID }] : []),
+      ],
       allow_promotion_codes: true,
       automatic_tax: { enabled: false },
       subscription_data,
@@ -247,18 +815,21 @@ async function successHandler(req, res) {
     const customerId = sess?.customer;
     if (!customerId) return res.status(404).send('No customer for session');
 
-    const rec = await s3GetJson(`keys/${customerId}.json`);
-    const key = rec?.key;
+    const rec = await getCustomer(customerId);
     const email = rec?.email || sess.customer_details?.email || '';
-
-    if (!key) return res.status(404).send('Key not provisioned yet');
+    if (!primaryEntry(rec)) return res.status(404).send('Key not provisioned yet');
 
     const portalSess = await stripe.billingPortal.sessions.create({
       customer: String(customerId),
       return_url: `${MARKETING_ORIGIN}/dashboard`,
     });
 
+    // The full key is shown exactly once; afterwards the dashboard (prefixes, rotation) takes over
+    const key = (await takeReveal(String(sid))) || (await takeReveal(`customer:${customerId}`));
+    if (!key) return res.redirect(303, `${MARKETING_ORIGIN}/dashboard`);
+
     setSuccessCsp(res);
+    res.set('Cache-Control', 'no-store');
     const html = renderSuccessHtml({ key, email, portalUrl: portalSess.url });
     return res.status(200).type('html').send(html);
   } catch (e) {
@@ -279,40 +850,75 @@ app.get('/vat/pricing', (_req, res) => res.type('html').send(renderPricingPage()
 app.get('/faq', (_req, res) => res.type('html').send(renderFAQPage()));
 app.get('/vat/faq', (_req, res) => res.type('html').send(renderFAQPage()));
 
-app.get('/status', (_req, res) => {
-  const started = process.env.FLY_MACHINE_ID ? 'fly' : 'local';
-  res.type('html').send(`<!doctype html><meta charset="utf-8">
-<title>VATFix Plus — Status</title>
-<style>body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px}.ok{color:#16a34a}.muted{color:#6b7280}</style>
-<h1 class="ok">● All systems green</h1>
-<p class="muted">Region: ${AWS_REGION} • Host: ${started}</p>`);
-});
-app.get('/vat/status', (_req, res) => {
-  const started = process.env.FLY_MACHINE_ID ? 'fly' : 'local';
-  res.type('html').send(`<!doctype html><meta charset="utf-8">
+function statusSnapshot() {
+  const vies = breakerState();
+  return {
+    ok: true,
+    region: AWS_REGION,
+    host: process.env.FLY_MACHINE_ID ? 'fly' : 'local',
+    storage: storage.kind,
+    cache: cacheStats(),
+    entitlements: entitlementCacheStats(),
+    vies: {
+      degraded: Object.keys(vies).filter((cc) => vies[cc].state !== 'closed'),
+      breakers: vies,
+    },
+    watch: watchStats(),
+  };
+}
+
+function renderStatusPage() {
+  const st = statusSnapshot();
+  const pct = st.cache.hitRatio === null ? '–' : `${(st.cache.hitRatio * 100).toFixed(1)}%`;
+  const headline = st.vies.degraded.length
+    ? `<h1 class="warn">● VIES degraded: ${st.vies.degraded.join(', ')}</h1>
+<p class="muted">Lookups for these member states are served from cache until a probe succeeds.</p>`
+    : '<h1 class="ok">● All systems green</h1>';
+  return `<!doctype html><meta charset="utf-8">
 <title>VATFix Plus — Status</title>
-<style>body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px}.ok{color:#16a34a}.muted{color:#6b7280}</style>
-<h1 class="ok">● All systems green</h1>
-<p class="muted">Region: ${AWS_REGION} • Host: ${started}</p>`);
-});
+<style>body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px}.ok{color:#16a34a}.warn{color:#d97706}.muted{color:#6b7280}</style>
+${headline}
+<p class="muted">Region: ${st.region} • Host: ${st.host} • Storage: ${st.storage}</p>
+<p class="muted">Cache: ${pct} hits (memory ${st.cache.memoryHits}, store ${st.cache.storeHits}, miss ${st.cache.misses}) • LRU ${st.cache.memory.size}/${st.cache.memory.max}</p>`;
+}
+
+app.get('/status', (_req, res) => res.type('html').send(renderStatusPage()));
+app.get('/vat/status', (_req, res) => res.type('html').send(renderStatusPage()));
+app.get('/status.json', (_req, res) => res.json(statusSnapshot()));
+app.get('/vat/status.json', (_req, res) => res.json(statusSnapshot()));
 
 // ---------- Legal ----------
 const robotsTxt = 'User-agent: *\nAllow: /\n';
 app.get('/robots.txt', (_req, res) => res.type('text/plain').send(robotsTxt));
 app.get('/vat/robots.txt', (_req, res) => res.type('text/plain').send(robotsTxt));
 
-app.get('/legal/privacy', (_req, res) => {
-  res.type('html').send(`<!doctype html><meta charset="utf-8"><title>Privacy</title>
-<style>body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px}</style>
-<h1>Privacy</h1>
-<p>We store minimal logs in S3 for audit and abuse control. No personal data beyond billing email and VAT numbers sent to the API.</p>`);
-});
-app.get('/vat/legal/privacy', (_req, res) => {
-  res.type('html').send(`<!doctype html><meta charset="utf-8"><title>Privacy</title>
+// Retention periods come from lib/privacy.js, so the page always states what the purge job does
+const RETENTION_LABELS = {
+  audit: 'Lookup records and signed receipts (key, VAT number, answer, client IP)',
+  admin_audit: 'Support actions on your account',
+  usage: 'Usage counts per key',
+  recent: 'Recent lookups shown in the dashboard',
+  cache: 'Cached VIES answers (company data, not yours)',
+  ledger: 'Stripe billing events',
+  hook_deliveries: 'Webhook deliveries to your endpoints',
+};
+
+function renderPrivacyPage() {
+  const rows = RETENTION.filter((c) => RETENTION_LABELS[c.name])
+    .map((c) => `<li>${RETENTION_LABELS[c.name]}: ${c.days} days</li>`)
+    .join('');
+  return `<!doctype html><meta charset="utf-8"><title>Privacy</title>
 <style>body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px}</style>
 <h1>Privacy</h1>
-<p>We store minimal logs in S3 for audit and abuse control. No personal data beyond billing email and VAT numbers sent to the API.</p>`);
-});
+<p>We store your billing email, your API keys (as digests only) and a record of each lookup for audit, tax evidence and abuse control.
+Payment details stay with Stripe. Everything is deleted automatically after:</p>
+<ul>${rows}</ul>
+<p>Ask <a href="mailto:support@vatfix.eu">support@vatfix.eu</a> from your billing email for a copy of your data or to have it erased.
+Erasure removes your account, keys and usage; lookup records we must keep as tax evidence lose your email, IP and account link.</p>`;
+}
+
+app.get('/legal/privacy', (_req, res) => res.type('html').send(renderPrivacyPage()));
+app.get('/vat/legal/privacy', (_req, res) => res.type('html').send(renderPrivacyPage()));
 app.get('/legal/terms', (_req, res) => {
   res.type('html').send(`<!doctype html><meta charset="utf-8"><title>Terms</title>
 <style>body{font:16px/1.6 -apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:40px;max-width:820px}</style>
@@ -326,6 +932,13 @@ app.get('/vat/legal/terms', (_req, res) => {
 <p>Service is provided as‑is with best‑effort uptime. Fair use applies. Contact support for custom SLA.</p>`);
 });
 
+// ---------- Support API (VATFIX_ADMIN_TOKEN) ----------
+app.use('/admin', admin);
+
+// ---------- Customer dashboard (billing portal return_url) ----------
+app.use('/dashboard', dashboard);
+app.use('/vat/dashboard', dashboard);
+
 // ---------- Health + misc ----------
 app.get('/', (_req, res) => res.send('📟 VATFix Plus'));
 app.get('/vat', (_req, res) => res.type('html').send(renderPlusPage()));
@@ -337,8 +950,24 @@ app.use((_req, res) => res.status(404).send('Not found'));
 
 // --- Start ---
 const port = process.env.PORT || 3000;
-app.listen(port, '0.0.0.0', () => {
+const server = app.listen(port, '0.0.0.0', () => {
   const stripeOn = STRIPE_SECRET_KEY ? 'on' : 'off';
-  const s3On = S3_BUCKET ? 'on' : 'off';
-  console.log(`🚀 VATFix-Plus listening on 0.0.0.0:${port} (stripe=${stripeOn}, s3=${s3On})`);
+  console.log(`🚀 VATFix-Plus listening on 0.0.0.0:${port} (stripe=${stripeOn}, storage=${storage.kind})`);
+});
+
+// Optional periodic Stripe ↔ storage reconciliation (VATFIX_RECONCILE_EVERY_MIN)
+scheduleReconcile();
+// Retention purge (VATFIX_PURGE_EVERY_HOURS)
+schedulePurge();
+// Watchlist re-checks (VATFIX_WATCH_TICK_MS)
+scheduleWatch();
+// Webhook delivery retries (VATFIX_HOOK_TICK_MS)
+scheduleHooks();
+
+// Flush buffered usage and audit lines before Fly stops the machine
+process.once('SIGTERM', () => {
+  server.close();
+  Promise.all([flushUsage(), flushBilling(), flushAudit()])
+    .catch((e) => console.error('[shutdown]', e?.message || e))
+    .finally(() => process.exit(0));
 });
@@ -0,0 +1,350 @@
+// lib/storage.js — pluggable JSON object store: S3 (AWS SDK v3), local filesystem, or in-memory
+// One interface for every module:
+//   getJSON(key)  -> object | null   (missing → null; any other read failure throws 'storage_unavailable')
+//   putJSON(key, data)               (throws on failure; callers decide if best‑effort)
+//   getText(key)  -> string | null   raw objects, e.g. NDJSON partitions
+//   putText(key, text, contentType?)
+//   list(prefix)  -> [key, …]
+//   remove(key)
+// Conditional writes, for leases and claims that must have one owner:
+//   getVersioned(key)               -> { data, version } | null
+//   createJSON(key, data)           -> true, or false when the key already exists
+//   replaceJSON(key, data, version) -> true, or false when the object changed since `version` was read
+// Select with VATFIX_STORAGE=s3|fs|memory. "fs" keeps objects under VATFIX_STORAGE_DIR.
+
+import os from 'node:os';
+import crypto from 'crypto';
+import { promises as fsp } from 'node:fs';
+import path from 'node:path';
+
+const {
+  VATFIX_STORAGE = 's3',
+  VATFIX_STORAGE_DIR = './data',
+  S3_BUCKET,
+  AWS_REGION = 'eu-north-1',
+  FLY_MACHINE_ID,
+} = process.env;
+
+// S3 answers a failed If-Match / If-None-Match with 412 (409 when a conditional write races another)
+const preconditionFailed = (e) => [412, 409].includes(e?.$metadata?.httpStatusCode) || e?.name === 'PreconditionFailed';
+const s3NotFound = (e) => e?.name === 'NoSuchKey' || e?.$metadata?.httpStatusCode === 404;
+
+// Only a missing object reads as null: a failed or garbled read must not look like "no record" to callers
+const readFailed = (e) => new Error('storage_unavailable', { cause: e });
+
+// ---------- S3 ----------
+function s3Storage({ bucket = S3_BUCKET, region = AWS_REGION } = {}) {
+  if (!bucket) throw new Error('Missing S3_BUCKET');
+
+  // SDK is imported lazily so fs/memory setups never load it
+  let sdk = null;
+  async function client() {
+    if (!sdk) {
+      const mod = await import('@aws-sdk/client-s3');
+      sdk = { mod, s3: new mod.S3Client({ region }) };
+    }
+    return sdk;
+  }
+  async function readBody(body) {
+    if (typeof body?.transformToByteArray === 'function') {
+      return Buffer.from(await body.transformToByteArray());
+    }
+    const chunks = [];
+    for await (const c of body) chunks.push(c);
+    return Buffer.concat(chunks);
+  }
+
+  return {
+    kind: 's3',
+    async getJSON(Key) {
+      try {
+        const { mod, s3 } = await client();
+        const out = await s3.send(new mod.GetObjectCommand({ Bucket: bucket, Key }));
+        return JSON.parse((await readBody(out.Body)).toString('utf8'));
+      } catch (e) {
+        if (s3NotFound(e)) return null;
+        throw readFailed(e);
+      }
+    },
+    async putJSON(Key, data) {
+      const { mod, s3 } = await client();
+      await s3.send(
+        new mod.PutObjectCommand({
+          Bucket: bucket,
+          Key,
+          Body: JSON.stringify(data),
+          ContentType: 'application/json',
+        })
+      );
+    },
+    async getText(Key) {
+      try {
+        const { mod, s3 } = await client();
+        const out = await s3.send(new mod.GetObjectCommand({ Bucket: bucket, Key }));
+        return (await readBody(out.Body)).toString('utf8');
+      } catch (e) {
+        if (s3NotFound(e)) return null;
+        throw readFailed(e);
+      }
+    },
+    async putText(Key, text, contentType = 'text/plain') {
+      const { mod, s3 } = await client();
+      await s3.send(new mod.PutObjectCommand({ Bucket: bucket, Key, Body: String(text), ContentType: contentType }));
+    },
+    async list(Prefix) {
+      const { mod, s3 } = await client();
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const out = await s3.send(new mod.ListObjectsV2Command({ Bucket: bucket, Prefix, ContinuationToken }));
+        for (const o of out.Contents || []) keys.push(o.Key);
+        ContinuationToken = out.IsTruncated ? out.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+    async remove(Key) {
+      const { mod, s3 } = await client();
+      await s3.send(new mod.DeleteObjectCommand({ Bucket: bucket, Key }));
+    },
+    async getVersioned(Key) {
+      try {
+        const { mod, s3 } = await client();
+        const out = await s3.send(new mod.GetObjectCommand({ Bucket: bucket, Key }));
+        return { data: JSON.parse((await readBody(out.Body)).toString('utf8')), version: out.ETag };
+      } catch (e) {
+        if (s3NotFound(e)) return null;
+        throw readFailed(e);
+      }
+    },
+    async createJSON(Key, data) {
+      const { mod, s3 } = await client();
+      try {
+        await s3.send(new mod.PutObjectCommand({
+          Bucket: bucket, Key, Body: JSON.stringify(data), ContentType: 'application/json', IfNoneMatch: '*',
+        }));
+        return true;
+      } catch (e) {
+        if (preconditionFailed(e)) return false;
+        throw e;
+      }
+    },
+    async replaceJSON(Key, data, version) {
+      const { mod, s3 } = await client();
+      try {
+        await s3.send(new mod.PutObjectCommand({
+          Bucket: bucket, Key, Body: JSON.stringify(data), ContentType: 'application/json', IfMatch: version,
+        }));
+        return true;
+      } catch (e) {
+        if (preconditionFailed(e)) return false;
+        throw e;
+      }
+    },
+  };
+}
+
+// ---------- Local filesystem ----------
+function fsStorage({ dir = VATFIX_STORAGE_DIR } = {}) {
+  const root = path.resolve(dir);
+
+  // Keys are '/'-separated; refuse anything that escapes the root
+  function fileFor(key) {
+    const file = path.resolve(root, ...String(key).split('/'));
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+  // Unique per write: two writes of one key in the same millisecond must not share a temp file
+  const tmpFor = (file) => `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  async function walk(dirPath) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dirPath, { withFileTypes: true });
+    } catch (e) {
+      if (e?.code === 'ENOENT') return [];
+      throw e;
+    }
+    const files = [];
+    for (const e of entries) {
+      const full = path.join(dirPath, e.name);
+      if (e.isDirectory()) files.push(...(await walk(full)));
+      else if (!e.name.endsWith('.tmp') && !e.name.endsWith('.lock')) files.push(full);
+    }
+    return files;
+  }
+
+  return {
+    kind: 'fs',
+    async getJSON(key) {
+      const file = fileFor(key);
+      try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+      } catch (e) {
+        if (e?.code === 'ENOENT') return null;
+        throw readFailed(e);
+      }
+    },
+    async putJSON(key, data) {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      // write-then-rename so readers never see a half-written object
+      const tmp = tmpFor(file);
+      await fsp.writeFile(tmp, JSON.stringify(data));
+      await fsp.rename(tmp, file);
+    },
+    async getText(key) {
+      const file = fileFor(key);
+      try {
+        return await fsp.readFile(file, 'utf8');
+      } catch (e) {
+        if (e?.code === 'ENOENT') return null;
+        throw readFailed(e);
+      }
+    },
+    async putText(key, text) {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      const tmp = tmpFor(file);
+      await fsp.writeFile(tmp, String(text));
+      await fsp.rename(tmp, file);
+    },
+    async list(prefix = '') {
+      // Walk only the deepest directory the prefix names, then filter
+      const dirPart = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const base = dirPart ? fileFor(dirPart) : root;
+      const files = await walk(base);
+      return files
+        .map((f) => path.relative(root, f).split(path.sep).join('/'))
+        .filter((k) => k.startsWith(prefix))
+        .sort();
+    },
+    async remove(key) {
+      await fsp.rm(fileFor(key), { force: true });
+    },
+    async getVersioned(key) {
+      const file = fileFor(key);
+      try {
+        const raw = await fsp.readFile(file, 'utf8');
+        return { data: JSON.parse(raw), version: crypto.createHash('sha256').update(raw).digest('hex') };
+      } catch (e) {
+        if (e?.code === 'ENOENT') return null;
+        throw readFailed(e);
+      }
+    },
+    async createJSON(key, data) {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      // link() refuses an existing target, so exactly one writer wins and readers never see a partial file
+      const tmp = tmpFor(file);
+      await fsp.writeFile(tmp, JSON.stringify(data));
+      try {
+        await fsp.link(tmp, file);
+        return true;
+      } catch (e) {
+        if (e?.code === 'EEXIST') return false;
+        throw e;
+      } finally {
+        await fsp.rm(tmp, { force: true });
+      }
+    },
+    async replaceJSON(key, data, version) {
+      // A sidecar lock file (exclusive create) serialises compare-and-swap between processes on this disk
+      const lock = `${fileFor(key)}.lock`;
+      try {
+        await fsp.writeFile(lock, String(process.pid), { flag: 'wx' });
+      } catch (e) {
+        if (e?.code !== 'EEXIST') throw e;
+        // A lock left behind by a crashed process is cleared; the caller retries
+        const stat = await fsp.stat(lock).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > 30000) await fsp.rm(lock, { force: true });
+        return false;
+      }
+      try {
+        const current = await this.getVersioned(key);
+        if (current?.version !== version) return false;
+        await this.putJSON(key, data);
+        return true;
+      } finally {
+        await fsp.rm(lock, { force: true });
+      }
+    },
+  };
+}
+
+// ---------- In-memory (tests, throwaway local runs) ----------
+function memoryStorage() {
+  const objects = new Map(); // key -> string (JSON or raw text; copy semantics like a real store)
+  return {
+    kind: 'memory',
+    async getJSON(key) {
+      const raw = objects.get(key);
+      return raw === undefined ? null : JSON.parse(raw);
+    },
+    async putJSON(key, data) {
+      objects.set(key, JSON.stringify(data));
+    },
+    async getText(key) {
+      return objects.get(key) ?? null;
+    },
+    async putText(key, text) {
+      objects.set(key, String(text));
+    },
+    async list(prefix = '') {
+      return [...objects.keys()].filter((k) => k.startsWith(prefix)).sort();
+    },
+    async remove(key) {
+      objects.delete(key);
+    },
+    async getVersioned(key) {
+      const raw = objects.get(key);
+      return raw === undefined ? null : { data: JSON.parse(raw), version: raw };
+    },
+    async createJSON(key, data) {
+      if (objects.has(key)) return false;
+      objects.set(key, JSON.stringify(data));
+      return true;
+    },
+    async replaceJSON(key, data, version) {
+      if (objects.get(key) !== version) return false;
+      objects.set(key, JSON.stringify(data));
+      return true;
+    },
+  };
+}
+
+// ---------- Public API ----------
+export function createStorage(kind = VATFIX_STORAGE, options = {}) {
+  switch (String(kind).toLowerCase()) {
+    case 's3': return s3Storage(options);
+    case 'fs': return fsStorage(options);
+    case 'memory': return memoryStorage();
+    default: throw new Error(`Unknown VATFIX_STORAGE: ${kind}`);
+  }
+}
+
+// Process-wide store shared by validate, meter, entitlement, webhook and server
+const storage = createStorage();
+
+// ---------- Leases ----------
+// Scheduled jobs (reconcile, audit compaction, purge, watch, hook retries) run on one machine at a time
+const INSTANCE = `${FLY_MACHINE_ID || os.hostname()}-${process.pid}-${Date.now().toString(36)}`;
+
+/**
+ * Take or renew the lease at `key` for `ms`. True when this process holds it now; false when another holder's
+ * lease is still running or another process took it in the same instant (conditional writes, so never both).
+ */
+export async function takeLease(key, ms, { holder = INSTANCE, store = storage } = {}) {
+  const lease = { holder, until: new Date(Date.now() + ms).toISOString() };
+  const current = await store.getVersioned(key);
+  if (!current) return store.createJSON(key, lease);
+  if (current.data?.holder !== holder && Date.parse(current.data?.until) > Date.now()) return false;
+  return store.replaceJSON(key, lease, current.version);
+}
+
+/** Give a lease back early (only when this process still holds it). */
+export async function releaseLease(key, { holder = INSTANCE, store = storage } = {}) {
+  const current = await store.getVersioned(key);
+  if (current?.data?.holder !== holder) return false;
+  return store.replaceJSON(key, { holder, until: new Date().toISOString() }, current.version);
+}
+
+export default storage;
@@ -0,0 +1,21 @@
+// lib/stripe.js — shared Stripe client options (pinned API version, optional local mock)
+// STRIPE_API_BASE points every client elsewhere, e.g. stripe-mock: STRIPE_API_BASE=http://localhost:12111
+
+import Stripe from 'stripe';
+
+const { STRIPE_API_BASE = '' } = process.env;
+
+export const STRIPE_API_VERSION = '2024-06-20';
+
+export function createStripe(secretKey) {
+  const options = { apiVersion: STRIPE_API_VERSION };
+  if (STRIPE_API_BASE) {
+    const u = new URL(STRIPE_API_BASE);
+    options.protocol = u.protocol.replace(':', '');
+    options.host = u.hostname;
+    options.port = Number(u.port) || (options.protocol === 'http' ? 80 : 443);
+  }
+  return new Stripe(secretKey, options);
+}
+
+export default createStripe;
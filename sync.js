@@ -0,0 +1,91 @@
+// lib/sync.js — bring a customer's key record in line with Stripe (webhook, admin refresh, reconciliation)
+// Decisions come from the customer's subscriptions as Stripe has them now, never from an event payload,
+// so stale, retried or reordered inputs all settle on the same state.
+import createStripe from './stripe.js';
+import { emailKey } from './mailer.js';
+import { getCustomer, upsertEntitlement, deactivateEntitlement, patchCustomer, stashReveal, keyRevealed, keyPrefix } from './keys.js';
+import { emitHook } from './hooks.js';
+
+const {
+  STRIPE_SECRET_KEY,
+  GRACE_DAYS_AFTER_END = '7',          // access kept after a subscription ends
+} = process.env;
+
+let stripe = null;
+function client() {
+  if (!stripe) stripe = createStripe(STRIPE_SECRET_KEY);
+  return stripe;
+}
+
+/* ---------------- Stripe helpers ---------------- */
+export async function primaryEmailFromCustomer(customerId) {
+  try {
+    const c = await client().customers.retrieve(customerId);
+    return c?.email || c?.billing_email || null;
+  } catch {
+    return null;
+  }
+}
+export function isSubInactive(sub) {
+  return ['canceled', 'unpaid', 'incomplete_expired'].includes(sub.status);
+}
+export function isoFromEpochSeconds(sec) {
+  if (!sec) return null;
+  const d = new Date(sec * 1000);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+export function addDays(fromIso, days) {
+  const d = fromIso ? new Date(fromIso) : new Date();
+  d.setUTCDate(d.getUTCDate() + Number(days || 0));
+  return d.toISOString();
+}
+
+// A key was just minted: park its secret for the success page (the only place it is shown) and
+// notify by email with the prefix only. Keys minted before checkout.session.completed arrives are
+// parked under the customer so the success page still finds them. If this dies before keyRevealed,
+// a later sync for the customer mints the key again (see upsertEntitlement).
+async function keyMinted(record, secret, checkoutSessionId = null) {
+  if (!secret) return;
+  await stashReveal(checkoutSessionId || `customer:${record.customerId}`, secret);
+  await keyRevealed(record.customerId, secret);
+  await emailKey(record.email, keyPrefix(secret));
+}
+
+/* ---------------- Customer sync ---------------- */
+export async function liveSubscriptions(customerId) {
+  const subs = await client().subscriptions.list({ customer: customerId, status: 'all', limit: 100 });
+  return subs.data.filter((sub) => !isSubInactive(sub));
+}
+
+/**
+ * Apply a customer's live Stripe state to their record.
+ * Returns 'active' | 'deactivated' | 'inactive' (already) | 'none' (no record, nothing live).
+ */
+export async function syncCustomer(customerId, { email = null, checkoutSessionId = null, trialFloor = null } = {}) {
+  const live = await liveSubscriptions(customerId);
+
+  if (!live.length) {
+    const rec = await getCustomer(customerId);
+    if (!rec) return 'none';
+    if (rec.active === false) return 'inactive'; // grace runs from the first deactivation, not from retries
+    const graceUntil = addDays(null, Number(GRACE_DAYS_AFTER_END) || 0);
+    await deactivateEntitlement(customerId, { graceUntil });
+    await emitHook({ keyIds: (rec.keys || []).map((k) => k.id), type: 'subscription.grace_started', data: { customerId, graceUntil } });
+    return 'deactivated';
+  }
+
+  const trialEnds = live.map((sub) => isoFromEpochSeconds(sub.trial_end)).filter(Boolean).sort();
+  const { record, secret } = await upsertEntitlement({
+    customerId,
+    email: email || (await primaryEmailFromCustomer(customerId)),
+    active: true,
+    trialUntil: trialEnds.pop() || trialFloor,
+  });
+  await keyMinted(record, secret, checkoutSessionId);
+
+  // Paid up again (or never past due): dunning is over
+  if (record.dunning && !live.some((sub) => sub.status === 'past_due')) {
+    await patchCustomer(customerId, { dunning: null });
+  }
+  return 'active';
+}
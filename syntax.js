@@ -0,0 +1,271 @@
+// lib/syntax.js — offline VAT number syntax + check-digit rules (EU member states + XI)
+// Pure functions, no network. Used to reject typos before they cost a VIES round trip.
+
+// ---------- tiny helpers ----------
+const digits = (s) => [...s].map(Number);
+// Sum of leading digits times weights (extra trailing digits are ignored)
+const weighted = (s, weights) => weights.reduce((sum, w, i) => sum + w * Number(s[i]), 0);
+
+// Luhn sum over a digit string whose last digit is the check digit
+function luhnSum(s) {
+  return digits(s).reverse().reduce((sum, d, i) => {
+    if (i % 2 === 0) return sum + d;
+    const dd = d * 2;
+    return sum + (dd > 9 ? dd - 9 : dd);
+  }, 0) % 10;
+}
+const luhnValid = (s) => luhnSum(s) === 0;
+const luhnCheckDigit = (s) => (10 - luhnSum(s + '0')) % 10;
+
+// ISO 7064 Mod 11,10 (DE, HR)
+function mod11_10(s) {
+  let p = 10;
+  for (const d of digits(s.slice(0, -1))) {
+    let t = (d + p) % 10;
+    if (t === 0) t = 10;
+    p = (2 * t) % 11;
+  }
+  return (11 - p) % 10 === Number(s.slice(-1));
+}
+
+// Big-number mod 97 over a digit string
+function mod97(s) {
+  let r = 0;
+  for (const ch of s) r = (r * 10 + Number(ch)) % 97;
+  return r;
+}
+
+// ---------- per-country rules ----------
+// Each rule takes the compacted number (no country prefix) and returns true when well-formed.
+const RULES = {
+  AT(n) {
+    if (!/^U\d{8}$/.test(n)) return false;
+    return (16 - luhnSum(n.slice(1, 8))) % 10 === Number(n[8]);
+  },
+
+  BE(n) {
+    if (/^\d{9}$/.test(n)) n = '0' + n;
+    if (!/^[01]\d{9}$/.test(n)) return false;
+    return 97 - (Number(n.slice(0, 8)) % 97) === Number(n.slice(8));
+  },
+
+  BG(n) {
+    if (/^\d{9}$/.test(n)) {
+      let c = weighted(n, [1, 2, 3, 4, 5, 6, 7, 8]) % 11;
+      if (c === 10) c = weighted(n, [3, 4, 5, 6, 7, 8, 9, 10]) % 11;
+      return c % 10 === Number(n[8]);
+    }
+    if (!/^\d{10}$/.test(n)) return false;
+    const last = Number(n[9]);
+    const egn = weighted(n, [2, 4, 8, 5, 10, 9, 7, 3, 6]) % 11 % 10;
+    const pnf = weighted(n, [21, 19, 17, 13, 11, 9, 7, 3, 1]) % 10;
+    const other = (11 - weighted(n, [4, 3, 2, 7, 6, 5, 4, 3, 2]) % 11) % 11 % 10;
+    return egn === last || pnf === last || other === last;
+  },
+
+  CY(n) {
+    if (!/^[0-59]\d{7}[A-Z]$/.test(n) || n.startsWith('12')) return false;
+    const odd = { 0: 1, 1: 0, 2: 5, 3: 7, 4: 9, 5: 13, 6: 15, 7: 17, 8: 19, 9: 21 };
+    let sum = 0;
+    for (let i = 0; i < 8; i++) sum += i % 2 === 0 ? odd[n[i]] : Number(n[i]);
+    return String.fromCharCode(65 + (sum % 26)) === n[8];
+  },
+
+  CZ(n) {
+    if (/^\d{8}$/.test(n)) {
+      if (n[0] === '9') return false;
+      const c = (11 - weighted(n, [8, 7, 6, 5, 4, 3, 2]) % 11) % 11;
+      return (c || 1) % 10 === Number(n[7]);
+    }
+    // 9 digits: special entities / pre-1954 birth numbers (no reliable check digit)
+    if (/^\d{9}$/.test(n)) return true;
+    if (/^\d{10}$/.test(n)) {
+      const head = Number(n.slice(0, 9)) % 11;
+      return Number(n) % 11 === 0 || (head === 10 && n[9] === '0');
+    }
+    return false;
+  },
+
+  DE(n) {
+    return /^[1-9]\d{8}$/.test(n) && mod11_10(n);
+  },
+
+  DK(n) {
+    return /^[1-9]\d{7}$/.test(n) && weighted(n, [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0;
+  },
+
+  EE(n) {
+    return /^10\d{7}$/.test(n) && weighted(n, [3, 7, 1, 3, 7, 1, 3, 7, 1]) % 10 === 0;
+  },
+
+  EL(n) {
+    if (/^\d{8}$/.test(n)) n = '0' + n;
+    if (!/^\d{9}$/.test(n)) return false;
+    return weighted(n, [256, 128, 64, 32, 16, 8, 4, 2]) % 11 % 10 === Number(n[8]);
+  },
+
+  ES(n) {
+    if (!/^[0-9A-Z]\d{7}[0-9A-Z]$/.test(n)) return false;
+    const letters = 'TRWAGMYFPDXBNJZSQVHLCKE';
+    const first = n[0];
+    const last = n[8];
+
+    // DNI: 8 digits + letter
+    if (/^\d$/.test(first)) return letters[Number(n.slice(0, 8)) % 23] === last;
+
+    // NIE: X/Y/Z + 7 digits + letter
+    if ('XYZ'.includes(first)) return letters[Number('XYZ'.indexOf(first) + n.slice(1, 8)) % 23] === last;
+
+    // NIF for individuals without DNI: K/L/M + 7 digits + letter
+    if ('KLM'.includes(first)) return letters[Number(n.slice(1, 8)) % 23] === last;
+
+    // CIF: entity letter + 7 digits + digit or letter control
+    if ('ABCDEFGHJNPQRSUVW'.includes(first)) {
+      const c = luhnCheckDigit(n.slice(1, 8));
+      return last === String(c) || last === 'JABCDEFGHI'[c];
+    }
+    return false;
+  },
+
+  FI(n) {
+    return /^\d{8}$/.test(n) && weighted(n, [7, 9, 10, 5, 8, 4, 2, 1]) % 11 === 0;
+  },
+
+  FR(n) {
+    if (!/^[0-9A-HJ-NP-Z]{2}\d{9}$/.test(n)) return false;
+    const siren = n.slice(2);
+    // Monaco registrations (000…) are not SIREN numbers
+    if (!siren.startsWith('000') && !luhnValid(siren)) return false;
+    const key = n.slice(0, 2);
+    if (/^\d{2}$/.test(key)) return (12 + 3 * (Number(siren) % 97)) % 97 === Number(key);
+    return true; // alphanumeric keys (new scheme) carry no verifiable check
+  },
+
+  HR(n) {
+    return /^\d{11}$/.test(n) && mod11_10(n);
+  },
+
+  HU(n) {
+    return /^\d{8}$/.test(n) && weighted(n, [9, 7, 3, 1, 9, 7, 3, 1]) % 10 === 0;
+  },
+
+  IE(n) {
+    const alphabet = 'WABCDEFGHIJKLMNOPQRSTUV';
+    // Old style: digit, letter/+/*, 5 digits, check letter → rewrite to new style
+    if (/^\d[A-Z+*]\d{5}[A-W]$/.test(n)) n = '0' + n.slice(2, 7) + n[0] + n[7];
+    if (!/^\d{7}[A-W][A-IW]?$/.test(n)) return false;
+    const sum = weighted(n.slice(0, 7), [8, 7, 6, 5, 4, 3, 2]) + 9 * alphabet.indexOf(n[8] || 'W');
+    return alphabet[sum % 23] === n[7];
+  },
+
+  IT(n) {
+    if (!/^\d{11}$/.test(n) || n.startsWith('0000000')) return false;
+    const office = Number(n.slice(7, 10));
+    if (!((office >= 1 && office <= 100) || [120, 121, 888, 999].includes(office))) return false;
+    return luhnValid(n);
+  },
+
+  LT(n) {
+    if (!(/^\d{9}$/.test(n) && n[7] === '1') && !(/^\d{12}$/.test(n) && n[10] === '1')) return false;
+    const body = n.slice(0, -1);
+    let c = [...body].reduce((sum, d, i) => sum + (1 + (i % 9)) * Number(d), 0) % 11;
+    if (c === 10) c = [...body].reduce((sum, d, i) => sum + (1 + ((i + 2) % 9)) * Number(d), 0) % 11;
+    return c % 10 === Number(n.slice(-1));
+  },
+
+  LU(n) {
+    return /^\d{8}$/.test(n) && Number(n.slice(0, 6)) % 89 === Number(n.slice(6));
+  },
+
+  LV(n) {
+    if (!/^\d{11}$/.test(n)) return false;
+    // Legal entities start with a digit above 3
+    if (Number(n[0]) > 3) return weighted(n, [9, 1, 4, 8, 3, 10, 2, 5, 7, 6, 1]) % 11 === 3;
+    // Personal codes issued since 2017 (32…) carry no check digit
+    if (n.startsWith('32')) return true;
+    return (1 + weighted(n, [10, 5, 8, 4, 2, 1, 6, 3, 7, 9])) % 11 % 10 === Number(n[10]);
+  },
+
+  MT(n) {
+    return /^[1-9]\d{7}$/.test(n) && weighted(n, [3, 4, 6, 7, 8, 9, 10, 1]) % 37 === 0;
+  },
+
+  NL(n) {
+    if (!/^\d{9}B\d{2}$/.test(n)) return false;
+    const base = n.slice(0, 9);
+    // Legacy RSIN/BSN-based numbers: eleven-test
+    if (weighted(base, [9, 8, 7, 6, 5, 4, 3, 2]) % 11 === Number(base[8])) return true;
+    // Sole-proprietor numbers since 2020: ISO 7064 mod 97 over "NL" + number
+    const numeric = ('NL' + n).replace(/[A-Z]/g, (ch) => String(ch.charCodeAt(0) - 55));
+    return mod97(numeric) === 1;
+  },
+
+  PL(n) {
+    if (!/^\d{10}$/.test(n)) return false;
+    const c = weighted(n, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11;
+    return c !== 10 && c === Number(n[9]);
+  },
+
+  PT(n) {
+    if (!/^[1-9]\d{8}$/.test(n)) return false;
+    const c = 11 - (weighted(n, [9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+    return (c > 9 ? 0 : c) === Number(n[8]);
+  },
+
+  RO(n) {
+    if (!/^[1-9]\d{1,9}$/.test(n)) return false;
+    const padded = n.padStart(10, '0');
+    return (weighted(padded, [7, 5, 3, 2, 1, 7, 5, 3, 2]) * 10) % 11 % 10 === Number(padded[9]);
+  },
+
+  SE(n) {
+    return /^\d{10}01$/.test(n) && luhnValid(n.slice(0, 10));
+  },
+
+  SI(n) {
+    if (!/^[1-9]\d{7}$/.test(n)) return false;
+    const c = 11 - (weighted(n, [8, 7, 6, 5, 4, 3, 2]) % 11);
+    return c !== 11 && (c === 10 ? 0 : c) === Number(n[7]);
+  },
+
+  SK(n) {
+    return /^[1-9]\d[2-47-9]\d{7}$/.test(n) && Number(n) % 11 === 0;
+  },
+
+  // Northern Ireland: UK VAT numbers (standard, branch, government departments, health authorities)
+  XI(n) {
+    if (/^GD\d{3}$/.test(n)) return Number(n.slice(2)) < 500;
+    if (/^HA\d{3}$/.test(n)) return Number(n.slice(2)) >= 500;
+    if (!/^\d{9}(\d{3})?$/.test(n)) return false;
+    const c = weighted(n.slice(0, 9), [8, 7, 6, 5, 4, 3, 2, 10, 1]) % 97;
+    return c === 0 || c === 42;
+  },
+};
+
+export const SUPPORTED_COUNTRIES = Object.keys(RULES);
+
+// ---------- Public API ----------
+/**
+ * Normalize user input: upper-case, drop separators and a leading country prefix.
+ * "de 123.456.789" → { countryCode: 'DE', vatNumber: '123456789' }
+ */
+export function compactVat(countryCode, vatNumber) {
+  const cc = String(countryCode || '').toUpperCase().trim();
+  let vn = String(vatNumber || '').toUpperCase().replace(/[\s.\-/]+/g, '');
+  if (cc && vn.startsWith(cc)) vn = vn.slice(cc.length);
+  return { countryCode: cc, vatNumber: vn };
+}
+
+/**
+ * checkSyntax(countryCode, vatNumber)
+ * -> { valid: true, countryCode, vatNumber } | { valid: false, countryCode, vatNumber, reason: 'unsupported_country' | 'invalid_format' }
+ */
+export function checkSyntax(countryCode, vatNumber) {
+  const { countryCode: cc, vatNumber: vn } = compactVat(countryCode, vatNumber);
+  const rule = RULES[cc];
+  if (!rule) return { valid: false, countryCode: cc, vatNumber: vn, reason: 'unsupported_country' };
+  if (!rule(vn)) return { valid: false, countryCode: cc, vatNumber: vn, reason: 'invalid_format' };
+  return { valid: true, countryCode: cc, vatNumber: vn };
+}
+
+export default checkSyntax;
@@ -0,0 +1,99 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+
+process.env.VATFIX_ADMIN_TOKEN = 'admin-secret';
+process.env.VATFIX_ADMIN_IPS = '127.0.0.2';
+
+const { default: admin } = await import('../lib/admin.js');
+const { upsertEntitlement, createKey, resolveKey } = await import('../lib/keys.js');
+const { default: storage } = await import('../lib/storage.js');
+
+// A second instance of the module, loaded without a token
+process.env.VATFIX_ADMIN_TOKEN = '';
+const { default: adminOff } = await import('../lib/admin.js?no-token');
+
+const app = express().use(express.json()).use('/admin', admin).use('/off', adminOff);
+const server = app.listen(0, '127.0.0.1');
+await new Promise((r) => server.once('listening', r));
+test.after(() => server.close());
+
+// Loopback covers 127.0.0.0/8, so the caller's address is picked with localAddress
+function call(method, path, { from = '127.0.0.2', token = 'admin-secret', headers = {}, body } = {}) {
+  const payload = body === undefined ? null : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      localAddress: from,
+      method,
+      path,
+      headers: {
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...(payload ? { 'content-type': 'application/json' } : {}),
+        'x-admin-user': 'alice',
+        ...headers,
+      },
+    }, (res) => {
+      let text = '';
+      res.on('data', (c) => { text += c; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+const { record } = await upsertEntitlement({ customerId: 'cus_admin', email: 'admin@example.com' });
+const keyId = record.keys[0].id;
+
+test('without VATFIX_ADMIN_TOKEN every route is a 404', async () => {
+  assert.deepEqual(await call('GET', '/off/customers/cus_admin'), { status: 404, body: { error: 'not_found' } });
+});
+
+test('callers outside VATFIX_ADMIN_IPS are refused, whatever Fly-Client-IP says off Fly', async () => {
+  assert.deepEqual(await call('GET', '/admin/customers/cus_admin', { from: '127.0.0.1' }), { status: 403, body: { error: 'ip_not_allowed' } });
+  const spoofed = await call('GET', '/admin/customers/cus_admin', { from: '127.0.0.1', headers: { 'fly-client-ip': '127.0.0.2' } });
+  assert.equal(spoofed.status, 403);
+});
+
+test('a missing or wrong bearer token is a 401', async () => {
+  assert.deepEqual(await call('GET', '/admin/customers/cus_admin', { token: null }), { status: 401, body: { error: 'invalid_admin_token' } });
+  assert.equal((await call('GET', '/admin/customers/cus_admin', { token: 'admin-secre' })).status, 401);
+});
+
+test('customer views never carry key digests; unknown customers are a 404', async () => {
+  const res = await call('GET', '/admin/customers/cus_admin');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.email, 'admin@example.com');
+  assert.equal(res.body.keys[0].id, keyId);
+  assert.doesNotMatch(JSON.stringify(res.body), /digest/i);
+  assert.deepEqual(await call('GET', '/admin/customers/cus_missing'), { status: 404, body: { error: 'no_customer' } });
+});
+
+test('key actions work and every call is audited with actor and outcome', async () => {
+  assert.deepEqual(await call('POST', `/admin/customers/cus_admin/keys/${keyId}/revoke`), { status: 409, body: { error: 'last_active_key' } });
+
+  const { entry, secret } = await createKey('cus_admin', { name: 'ci' });
+  const rotated = await call('POST', `/admin/customers/cus_admin/keys/${entry.id}/rotate`, { body: { overlapHours: 0 } });
+  assert.equal(rotated.status, 200);
+  assert.equal((await resolveKey(rotated.body.key)).entry.id, entry.id);
+  await assert.rejects(resolveKey(secret), /key_revoked|invalid_key/);
+
+  const revoked = await call('POST', `/admin/customers/cus_admin/keys/${entry.id}/revoke`, { body: { reason: 'leaked' } });
+  assert.equal(revoked.status, 200);
+  assert.ok(revoked.body.revokedAt);
+
+  const day = new Date().toISOString().slice(0, 10);
+  const trail = await Promise.all((await storage.list(`admin/audit/${day}/`)).map((k) => storage.getJSON(k)));
+  const byAction = (action) => trail.filter((e) => e.action === action && e.keyId);
+  assert.deepEqual(byAction('keys.revoke').map((e) => e.outcome).sort(), ['error', 'ok']);
+  const ok = byAction('keys.revoke').find((e) => e.outcome === 'ok');
+  assert.deepEqual([ok.actor, ok.ip, ok.customerId, ok.keyId, ok.reason], ['alice', '127.0.0.2', 'cus_admin', entry.id, 'leaked']);
+  assert.equal(byAction('keys.rotate')[0].overlapHours, 0);
+
+  const shown = await call('GET', `/admin/audit?day=${day}`);
+  assert.equal(shown.body.entries.length, trail.length, 'reading the trail is not itself audited');
+});
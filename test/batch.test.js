@@ -0,0 +1,69 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { vies } from './vies.js';
+import { startServer } from './server.js';
+
+// Dev mode: any key is let in on the default plan, metered by key
+process.env.ENFORCE_STRIPE = '0';
+process.env.VATFIX_BATCH_CONCURRENCY = '2';
+process.env.VATFIX_BATCH_MAX = '10';
+process.env.VATFIX_RPS_LIMIT = '5';
+
+const { request, close } = await startServer();
+test.after(close);
+
+const batch = (apiKey, items) =>
+  request('POST', '/vat/batch', { body: { items }, headers: { 'x-api-key': apiKey, 'x-customer-email': 'b@example.com' } });
+const VATS = ['DE136695976', 'FR40303265045', 'BE0403170701', 'IT00743110157'];
+const item = (vat) => ({ countryCode: vat.slice(0, 2), vatNumber: vat.slice(2) });
+
+test('no more than VATFIX_BATCH_CONCURRENCY lookups are in flight; results keep input order', async () => {
+  vies.reset();
+  vies.delayMs = 30;
+  const res = await batch('key_concurrency', VATS.map(item));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 4);
+  assert.deepEqual(res.body.results.map((r) => r.countryCode + r.vatNumber), VATS);
+  assert.deepEqual(res.body.results.map((r) => r.source), ['vies', 'vies', 'vies', 'vies']);
+  assert.equal(vies.calls.length, 4);
+  assert.equal(vies.maxInFlight, 2);
+});
+
+test('bad items are refused one by one, each with a lookupId', async () => {
+  vies.reset();
+  const res = await batch('key_refusals', [
+    item(VATS[0]),
+    { countryCode: 'DE' },
+    { ...item(VATS[1]), requesterCountryCode: 'DE' },
+    item('DE136695977'),
+  ]);
+  assert.equal(res.status, 200);
+  const [ok, missing, requester, syntax] = res.body.results;
+  assert.equal(ok.source, 'vies');
+  assert.deepEqual([missing.source, missing.error], ['error', 'missing_vat_data']);
+  assert.deepEqual([requester.source, requester.error], ['error', 'missing_requester_data']);
+  assert.deepEqual([syntax.source, syntax.error, syntax.valid], ['syntax', 'invalid_format', false]);
+  for (const r of res.body.results) assert.match(r.lookupId, /\S/);
+  assert.equal(new Set(res.body.results.map((r) => r.lookupId)).size, 4);
+  assert.equal(vies.calls.length, 1, 'only the good item reaches VIES');
+});
+
+test('items over the rate limit fail individually; the batch still answers 200', async () => {
+  vies.reset();
+  const res = await batch('key_limited', [...VATS, ...VATS].map(item));
+  assert.equal(res.status, 200);
+  const errors = res.body.results.filter((r) => r.error === 'rate_limit_exceeded');
+  assert.equal(errors.length, 3);
+  assert.equal(vies.calls.length, 5);
+  assert.equal(res.headers.get('retry-after'), null);
+  assert.equal(res.headers.get('x-rate-remaining'), '0');
+});
+
+test('an empty or oversized batch is rejected up front', async () => {
+  assert.equal((await batch('key_shape', [])).status, 400);
+  const tooMany = await batch('key_shape', Array.from({ length: 11 }, () => item(VATS[0])));
+  assert.deepEqual([tooMany.status, tooMany.body], [413, { error: 'batch_too_large', max: 10 }]);
+  const anonymous = await request('POST', '/vat/batch', { body: { items: [item(VATS[0])] } });
+  assert.deepEqual([anonymous.status, anonymous.body.error], [401, 'missing_api_key']);
+});
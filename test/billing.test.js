@@ -0,0 +1,152 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Fake Stripe: usage records honour Idempotency-Key; summaries answer whatever `summaryLag` leaves of the total;
+// `refuse` maps an item id to the [status, error type] its usage records are answered with
+const stripe = { totals: new Map(), byKey: new Map(), posts: [], summaryLag: 0, refuse: new Map() };
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => { body += c; });
+  req.on('end', () => {
+    const m = /^\/v1\/subscription_items\/([^/]+)\/(usage_records|usage_record_summaries)/.exec(req.url);
+    const send = (obj) => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(obj));
+    if (!m) return res.writeHead(404).end('{}');
+    const itemId = m[1];
+
+    if (m[2] === 'usage_records' && req.method === 'POST') {
+      const key = req.headers['idempotency-key'];
+      const form = new URLSearchParams(body);
+      stripe.posts.push({ itemId, key, timestamp: Number(form.get('timestamp')) });
+      if (stripe.refuse.has(itemId)) {
+        const [status, type] = stripe.refuse.get(itemId);
+        return res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: { type, message: `refused ${itemId}` } }));
+      }
+      if (stripe.byKey.has(key)) return send(stripe.byKey.get(key));
+      const quantity = Number(form.get('quantity'));
+      stripe.totals.set(itemId, (stripe.totals.get(itemId) || 0) + quantity);
+      const record = { id: `mbur_${stripe.byKey.size}`, object: 'usage_record', quantity, subscription_item: itemId };
+      stripe.byKey.set(key, record);
+      return send(record);
+    }
+    const total = Math.max(0, (stripe.totals.get(itemId) || 0) - stripe.summaryLag);
+    send({ object: 'list', has_more: false, url: req.url, data: [{ object: 'usage_record_summary', period: period(), subscription_item: itemId, total_usage: total }] });
+  });
+});
+await new Promise((r) => server.listen(0, '127.0.0.1', r));
+test.after(() => server.close());
+
+process.env.STRIPE_API_BASE = `http://127.0.0.1:${server.address().port}`;
+process.env.STRIPE_METERED_PRICE_ID = 'price_metered';
+
+const { recordBillable, flushBilling, reconcileInvoice } = await import('../lib/billing.js');
+const { default: storage, takeLease, releaseLease } = await import('../lib/storage.js');
+
+const now = Math.floor(Date.now() / 1000);
+function period() {
+  return { start: now - 3600, end: now + 3600 };
+}
+const invoiceFor = (itemId) => ({
+  id: `in_${itemId}`,
+  subscription: 'sub_1',
+  lines: { data: [{ price: { id: 'price_metered' }, subscription_item: itemId, period: period() }] },
+});
+const postsFor = (itemId) => stripe.posts.filter((p) => p.itemId === itemId);
+
+test('a flush reports each batch once and moves it to reported', async () => {
+  recordBillable({ meteredItem: { id: 'si_flush' } }, 3);
+  recordBillable({ meteredItem: { id: 'si_flush' } }, 2);
+  await flushBilling();
+  await flushBilling();
+
+  assert.equal(stripe.totals.get('si_flush'), 5);
+  assert.equal(postsFor('si_flush').length, 1);
+  assert.deepEqual(await storage.list('billing/pending/'), []);
+  assert.equal((await storage.list('billing/reported/si_flush/')).length, 1);
+});
+
+test('a batch reported before a crash is re-sent with its key and not counted twice', async () => {
+  const batch = { id: 'crashed-0', subscriptionItemId: 'si_crash', quantity: 4, timestamp: now, createdAt: new Date().toISOString() };
+  await storage.putJSON(`billing/pending/${batch.id}.json`, batch);
+  // The report reached Stripe, but the machine stopped before moving the batch
+  stripe.totals.set('si_crash', 4);
+  stripe.byKey.set('vatfix-usage-crashed-0', { id: 'mbur_crashed', quantity: 4 });
+
+  await flushBilling();
+
+  assert.deepEqual(postsFor('si_crash').map((p) => p.key), ['vatfix-usage-crashed-0']);
+  assert.equal(stripe.totals.get('si_crash'), 4);
+  assert.equal(await storage.getJSON('billing/pending/crashed-0.json'), null);
+});
+
+test('a batch claimed by another reporter is left to it, and reconcile waits for it', async () => {
+  const batch = { id: 'claimed-0', subscriptionItemId: 'si_claimed', quantity: 7, timestamp: now, createdAt: new Date().toISOString() };
+  await storage.putJSON(`billing/pending/${batch.id}.json`, batch);
+  assert.equal(await takeLease('billing/claims/claimed-0.json', 60000, { holder: 'other-machine' }), true);
+
+  await flushBilling();
+  assert.equal(postsFor('si_claimed').length, 0);
+  await assert.rejects(reconcileInvoice(invoiceFor('si_claimed')), /billing_batches_in_flight/);
+  assert.equal(await storage.getJSON('billing/periods/si_claimed/' + period().start + '.json'), null);
+
+  await releaseLease('billing/claims/claimed-0.json', { holder: 'other-machine' });
+  const summary = await reconcileInvoice(invoiceFor('si_claimed'));
+  assert.equal(summary.reported, 7);
+  assert.equal(summary.status, 'ok');
+  assert.equal(stripe.totals.get('si_claimed'), 7);
+});
+
+test('reconcile never reports a difference as a delta, and runs once per period', async () => {
+  recordBillable({ meteredItem: { id: 'si_lag' } }, 6);
+  await flushBilling();
+  stripe.summaryLag = 6; // Stripe's summary has not caught up yet
+
+  const summary = await reconcileInvoice(invoiceFor('si_lag'));
+  stripe.summaryLag = 0;
+  assert.deepEqual([summary.local, summary.stripe, summary.reported, summary.status], [6, 0, 0, 'stripe_behind']);
+  assert.equal(postsFor('si_lag').length, 1, 'only the batch itself was sent');
+  assert.equal(stripe.totals.get('si_lag'), 6);
+  assert.deepEqual(await storage.list('billing/reported/si_lag/'), []);
+
+  assert.deepEqual(await reconcileInvoice(invoiceFor('si_lag')), summary);
+  assert.equal(postsFor('si_lag').length, 1);
+});
+
+test('invoices without the metered price are ignored', async () => {
+  assert.equal(await reconcileInvoice({ id: 'in_x', lines: { data: [{ price: { id: 'price_flat' }, period: period() }] } }), null);
+});
+
+test('a batch is stamped with its lookups\' time, one batch per billing period', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: now * 1000 });
+  const meteredItem = { id: 'si_period', periodStart: now - 3600, periodEnd: now + 60 };
+  recordBillable({ meteredItem }, 2);
+  t.mock.timers.tick(120000); // the period ends; the cached entitlement still names it
+  recordBillable({ meteredItem }, 3);
+  t.mock.timers.tick(300000); // flushed five minutes later
+  await flushBilling();
+
+  const stamps = postsFor('si_period').map((p) => p.timestamp).sort();
+  assert.deepEqual(stamps, [now, now + 120]);
+  assert.equal(stripe.totals.get('si_period'), 5);
+});
+
+test('a batch Stripe rejects is parked, not re-sent; rate limits are retried', async () => {
+  stripe.refuse.set('si_gone', [400, 'invalid_request_error']);
+  stripe.refuse.set('si_busy', [429, 'rate_limit_error']);
+  recordBillable({ meteredItem: { id: 'si_gone' } }, 4);
+  recordBillable({ meteredItem: { id: 'si_busy' } }, 1);
+  await flushBilling();
+  await flushBilling();
+
+  assert.equal(postsFor('si_gone').length, 1);
+  const [parked] = await storage.list('billing/failed/');
+  const doc = await storage.getJSON(parked);
+  assert.deepEqual([doc.subscriptionItemId, doc.quantity, doc.error.statusCode], ['si_gone', 4, 400]);
+  assert.ok(postsFor('si_busy').length >= 2, 'a rate-limited batch stays pending');
+  const pending = await Promise.all((await storage.list('billing/pending/')).map((k) => storage.getJSON(k)));
+  assert.deepEqual(pending.map((b) => b.subscriptionItemId), ['si_busy']);
+  stripe.refuse.clear();
+  await flushBilling();
+  assert.deepEqual(await storage.list('billing/pending/'), []);
+});
@@ -0,0 +1,50 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createBreakers } from '../lib/breaker.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test('opens after threshold consecutive failures, for that key only', () => {
+  const b = createBreakers({ threshold: 3, cooldownMs: 60000 });
+  b.failure('DE', new Error('MS_UNAVAILABLE'));
+  b.failure('DE', new Error('MS_UNAVAILABLE'));
+  assert.equal(b.allow('DE'), true);
+  b.failure('DE', new Error('MS_UNAVAILABLE'));
+  assert.equal(b.isOpen('DE'), true);
+  assert.equal(b.allow('DE'), false);
+  assert.equal(b.allow('FR'), true);
+  assert.equal(b.snapshot().DE.state, 'open');
+  assert.equal(b.snapshot().DE.lastError, 'MS_UNAVAILABLE');
+  assert.equal(b.snapshot().FR, undefined);
+});
+
+test('a success resets the failure count', () => {
+  const b = createBreakers({ threshold: 2, cooldownMs: 60000 });
+  b.failure('DE');
+  b.success('DE');
+  b.failure('DE');
+  assert.equal(b.isOpen('DE'), false);
+});
+
+test('after the cooldown one probe goes out; its success closes the breaker', async () => {
+  const b = createBreakers({ threshold: 1, cooldownMs: 30 });
+  b.failure('DE');
+  assert.equal(b.allow('DE'), false);
+  await sleep(40);
+  assert.equal(b.allow('DE'), true, 'the probe');
+  assert.equal(b.allow('DE'), false, 'only one probe at a time');
+  b.success('DE');
+  assert.equal(b.allow('DE'), true);
+  assert.deepEqual(b.snapshot(), {});
+});
+
+test('a failed probe opens the breaker for another cooldown', async () => {
+  const b = createBreakers({ threshold: 1, cooldownMs: 30 });
+  b.failure('DE');
+  await sleep(40);
+  assert.equal(b.allow('DE'), true);
+  b.failure('DE');
+  assert.equal(b.isOpen('DE'), true);
+  assert.equal(b.allow('DE'), false);
+});
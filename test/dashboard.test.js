@@ -0,0 +1,86 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import express from 'express';
+import { sent } from './mail.js';
+import { startStripe, list } from './stripe.js';
+
+await startStripe({ 'GET /v1/customers': () => list([]) }); // addresses without an email index fall back to Stripe
+
+process.env.ENFORCE_STRIPE = '0';
+
+const { default: dashboard } = await import('../lib/dashboard.js');
+const { upsertEntitlement } = await import('../lib/keys.js');
+const { default: storage } = await import('../lib/storage.js');
+
+const app = express().use('/dashboard', dashboard);
+const server = app.listen(0, '127.0.0.1');
+await new Promise((r) => server.once('listening', r));
+test.after(() => server.close());
+const base = `http://127.0.0.1:${server.address().port}/dashboard`;
+
+const post = (path, form, headers = {}) =>
+  fetch(base + path, { method: 'POST', body: new URLSearchParams(form), headers, redirect: 'manual' });
+const get = (path, headers = {}) => fetch(base + path, { headers, redirect: 'manual' });
+const tokenOf = (mail) => /token=([\w-]+)/.exec(mail.text)[1];
+
+await upsertEntitlement({ customerId: 'cus_dash', email: 'dash@example.com' });
+
+test('a magic link signs in once and sets an HttpOnly session cookie', async () => {
+  const before = sent.length;
+  assert.equal((await post('/login', { email: ' Dash@Example.com ' })).status, 200);
+  assert.equal(sent.length, before + 1);
+  assert.equal(sent.at(-1).to, 'dash@example.com');
+  const token = tokenOf(sent.at(-1));
+
+  const confirm = await get(`/login?token=${token}`);
+  assert.equal(confirm.status, 200);
+  assert.equal(confirm.headers.get('set-cookie'), null, 'a prefetched GET does not sign in');
+  assert.match(await confirm.text(), new RegExp(`value="${token}"`));
+
+  const session = await post('/session', { token });
+  assert.equal(session.status, 303);
+  assert.equal(session.headers.get('location'), '/dashboard/');
+  const cookie = session.headers.get('set-cookie');
+  assert.match(cookie, /^vatfix_session=[\w%-]+; Path=\/; HttpOnly; Secure; SameSite=Lax; Max-Age=604800$/);
+  const sid = cookie.split(';')[0];
+
+  const page = await get('/', { cookie: sid });
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /dash@example\.com/);
+
+  assert.equal((await post('/session', { token })).status, 400, 'the link works once');
+
+  const out = await post('/logout', {}, { cookie: sid });
+  assert.match(out.headers.get('set-cookie'), /Max-Age=0/);
+  assert.doesNotMatch(await (await get('/', { cookie: sid })).text(), /dash@example\.com/);
+});
+
+test('an expired link is refused', async () => {
+  const token = 'expired-token';
+  const digest = crypto.createHash('sha256').update(token).digest('hex');
+  await storage.putJSON(`auth/magic/${digest}.json`, { customerId: 'cus_dash', email: 'dash@example.com', expiresAt: new Date(Date.now() - 1000).toISOString() });
+  const res = await post('/session', { token });
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get('set-cookie'), null);
+});
+
+test('unknown addresses get the same answer and no mail; repeats within a minute are throttled', async () => {
+  const before = sent.length;
+  const unknown = await post('/login', { email: 'nobody@example.com' });
+  assert.equal(unknown.status, 200);
+  assert.match(await unknown.text(), /If that address belongs to a VATFix account/);
+  assert.equal(sent.length, before);
+
+  await upsertEntitlement({ customerId: 'cus_throttle', email: 'throttle@example.com' });
+  await post('/login', { email: 'throttle@example.com' });
+  await post('/login', { email: 'throttle@example.com' });
+  assert.equal(sent.length, before + 1);
+});
+
+test('a malformed session cookie shows the sign-in form', async () => {
+  const res = await get('/', { cookie: 'vatfix_session=%E0' });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /Email me a link/);
+});
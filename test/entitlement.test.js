@@ -0,0 +1,105 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startStripe, list } from './stripe.js';
+
+process.env.ENFORCE_STRIPE = '1';
+process.env.VATFIX_ENTITLEMENT_TTL_MS = '100';
+process.env.VATFIX_ENTITLEMENT_STALE_MS = '5000';
+
+// customerId -> subscriptions as Stripe has them; `down` makes every call a 500
+const subscriptions = new Map();
+let down = false;
+const stripe = await startStripe({
+  'GET /v1/subscriptions': ({ query }) => {
+    if (down) return [500, { error: { type: 'api_error', message: 'down' } }];
+    const subs = subscriptions.get(query.get('customer')) || [];
+    return list(query.get('status') === 'all' ? subs : subs.filter((s) => s.status !== 'canceled'));
+  },
+});
+
+const { assertActivePlus, invalidateEntitlement } = await import('../lib/entitlement.js');
+const { upsertEntitlement, patchCustomer } = await import('../lib/keys.js');
+const { default: storage } = await import('../lib/storage.js');
+
+const iso = (msFromNow) => new Date(Date.now() + msFromNow).toISOString();
+const sub = (status) => ({ id: `sub_${status}`, object: 'subscription', status, created: 1, items: { object: 'list', data: [] } });
+const stripeCalls = () => stripe.calls.filter((c) => c.path === '/v1/subscriptions').length;
+
+async function customer(customerId, { subs = [sub('active')], ...fields } = {}) {
+  const { secret } = await upsertEntitlement({ customerId, email: `${customerId}@example.com`, ...fields });
+  subscriptions.set(customerId, subs);
+  return (extra = {}) => assertActivePlus({ apiKey: secret, email: `${customerId}@example.com`, ...extra });
+}
+
+test('a trial recorded as over is refused while Stripe still says trialing; a paid subscription is not', async () => {
+  await assert.rejects((await customer('cus_trial_over', { trialUntil: iso(-1000), subs: [sub('trialing')] }))(), /trial_expired/);
+  assert.equal((await (await customer('cus_trial_on', { trialUntil: iso(86400000), subs: [sub('trialing')] }))()).active, true);
+  assert.equal((await (await customer('cus_trial_paid', { trialUntil: iso(-1000), subs: [sub('active')] }))()).source, 'stripe');
+  await assert.rejects((await customer('cus_trial_gone', { trialUntil: iso(-1000), subs: [] }))(), /trial_expired/);
+});
+
+test('a deactivated customer keeps access until graceUntil, then the subscription has ended', async () => {
+  const inGrace = await (await customer('cus_grace', { active: false, graceUntil: iso(86400000), subs: [sub('canceled')] }))();
+  assert.deepEqual([inGrace.active, inGrace.source, inGrace.meteredItem], [false, 'grace', null]);
+  assert.ok(inGrace.graceUntil);
+
+  await assert.rejects((await customer('cus_grace_over', { active: false, graceUntil: iso(-1000), subs: [sub('canceled')] }))(), /subscription_ended/);
+});
+
+test('past due is served while dunning lasts, then refused as payment_overdue', async () => {
+  const inDunning = await customer('cus_dunning', { subs: [sub('past_due')] });
+  await patchCustomer('cus_dunning', { dunning: { since: iso(-1000), accessUntil: iso(86400000) } });
+  assert.ok((await inDunning()).dunningUntil);
+
+  const overdue = await customer('cus_overdue', { subs: [sub('past_due')] });
+  await patchCustomer('cus_overdue', { dunning: { since: iso(-8 * 86400000), accessUntil: iso(-1000) } });
+  await assert.rejects(overdue(), /payment_overdue/);
+
+  await assert.rejects((await customer('cus_none', { subs: [] }))(), /no_active_subscription/);
+});
+
+test('a decision is reused until the TTL; invalidation asks Stripe again at once', async () => {
+  const check = await customer('cus_cached');
+  await check();
+  const calls = stripeCalls();
+  await check();
+  assert.equal(stripeCalls(), calls, 'served from the cache');
+
+  invalidateEntitlement('cus_cached');
+  await check();
+  assert.equal(stripeCalls(), calls + 1);
+
+  subscriptions.set('cus_cached', []);
+  await check();
+  assert.equal(stripeCalls(), calls + 1, 'a cancellation is seen only after the TTL or an invalidation');
+  await new Promise((r) => setTimeout(r, 120));
+  await assert.rejects(check(), /no_active_subscription/);
+});
+
+test('while Stripe is down the last decision is served as stale; with none the answer is unavailable', async () => {
+  const check = await customer('cus_outage');
+  await check();
+  const unknown = await customer('cus_outage_new');
+  await new Promise((r) => setTimeout(r, 120));
+
+  down = true;
+  try {
+    assert.equal((await check()).source, 'stale');
+    await assert.rejects(unknown(), /entitlement_unavailable/);
+  } finally {
+    down = false;
+  }
+  assert.equal((await check()).source, 'stripe');
+});
+
+test('a key store that cannot be read is an outage, not an unknown key', async (t) => {
+  const check = await customer('cus_store_down');
+  await check();
+  const unknown = await customer('cus_store_down_new');
+  await new Promise((r) => setTimeout(r, 120));
+
+  t.mock.method(storage, 'getJSON', async () => { throw new Error('storage_unavailable'); });
+  assert.equal((await check()).source, 'stale');
+  await assert.rejects(unknown(), /entitlement_unavailable/);
+});
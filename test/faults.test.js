@@ -0,0 +1,27 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyViesError, faultStatus } from '../lib/faults.js';
+import { soapFault } from './vies.js';
+
+test('SOAP faults map to stable codes, statuses and retry hints', () => {
+  assert.deepEqual(classifyViesError(soapFault('INVALID_INPUT')), { code: 'invalid_input', status: 400, retryable: false, callerFault: true });
+  assert.deepEqual(classifyViesError(soapFault('MS_UNAVAILABLE')), { code: 'ms_unavailable', status: 503, retryable: true, callerFault: false });
+  assert.equal(classifyViesError(soapFault('MS_MAX_CONCURRENT_REQ')).code, 'ms_max_concurrent_req', 'not mistaken for its suffix');
+  assert.equal(classifyViesError(soapFault('VAT_BLOCKED')).status, 422);
+  assert.equal(classifyViesError(soapFault('TIMEOUT')).status, 504);
+});
+
+test('transport errors are timeouts or vies_unavailable', () => {
+  assert.equal(classifyViesError(Object.assign(new Error('connect'), { code: 'ETIMEDOUT' })).code, 'timeout');
+  assert.equal(classifyViesError(new Error('timeout of 2500ms exceeded')).code, 'timeout');
+  assert.equal(classifyViesError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })).code, 'vies_unavailable');
+  assert.equal(classifyViesError(new Error('circuit_open')).code, 'circuit_open');
+  assert.equal(classifyViesError(undefined).code, 'vies_unavailable');
+});
+
+test('faultStatus answers 503 for codes it does not know', () => {
+  assert.equal(faultStatus('invalid_input'), 400);
+  assert.equal(faultStatus('timeout'), 504);
+  assert.equal(faultStatus('something_new'), 503);
+});
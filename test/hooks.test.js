@@ -0,0 +1,122 @@
+import { waitFor } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A local receiver over plain http: answers `receiver.status`, keeps what it was sent
+const receiver = { status: 500, requests: [] };
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => { body += c; });
+  req.on('end', () => {
+    receiver.requests.push({ headers: req.headers, body });
+    res.writeHead(receiver.status).end();
+  });
+});
+await new Promise((r) => server.listen(0, '127.0.0.1', r));
+test.after(() => server.close());
+
+process.env.VATFIX_HOOK_ALLOW_INSECURE = '1';
+process.env.VATFIX_HOOK_RETRY_BASE_MS = '1000';
+process.env.VATFIX_HOOK_MAX_ATTEMPTS = '3';
+
+const { signPayload, verifySignature, createEndpoint, rollEndpointSecret, deleteEndpoint, listEndpoints, sendTestEvent, getDelivery, runHookRetries } =
+  await import('../lib/hooks.js');
+const { default: storage } = await import('../lib/storage.js');
+
+const url = `http://127.0.0.1:${server.address().port}/hook`;
+// The next attempt is due `ms` after the last one ended
+const assertGap = (attempt, d, ms) => {
+  const gap = Date.parse(d.nextAttemptAt) - Date.parse(attempt.at) - attempt.durationMs;
+  assert.ok(gap >= ms && gap < ms + 250, `next attempt ${gap} ms after the last, expected ${ms}`);
+};
+
+test('signatures verify against the raw body and the secret', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'webhook.test' });
+  const header = signPayload(body, 'whsec_a');
+
+  assert.equal(verifySignature(body, header, 'whsec_a'), true);
+  assert.throws(() => verifySignature(body.replace('evt_1', 'evt_2'), header, 'whsec_a'), /invalid_signature/);
+  assert.throws(() => verifySignature(body, header, 'whsec_b'), /invalid_signature/);
+  assert.throws(() => verifySignature(body, '', 'whsec_a'), /missing_signature/);
+});
+
+test('old timestamps are refused unless the tolerance is off', () => {
+  const body = '{}';
+  const header = signPayload(body, 'whsec_a', Math.floor(Date.now() / 1000) - 600);
+  assert.throws(() => verifySignature(body, header, 'whsec_a'), /signature_expired/);
+  assert.equal(verifySignature(body, header, 'whsec_a', { toleranceSec: 0 }), true);
+});
+
+test('any of several v1 signatures may match', () => {
+  const body = '{}';
+  const header = signPayload(body, 'whsec_new');
+  const v1Old = signPayload(body, 'whsec_old').split('v1=')[1];
+  assert.equal(verifySignature(body, `${header},v1=${v1Old}`, 'whsec_old'), true);
+});
+
+test('a failing delivery is retried with doubling delays, then given up', async () => {
+  receiver.status = 500;
+  const endpoint = await createEndpoint({ keyId: 'key_retry', customerId: 'cus_retry' }, { url });
+  const queued = await sendTestEvent('key_retry', endpoint.id);
+
+  // First attempt: straight away, signed with the endpoint's secret
+  let d = await waitFor(async () => {
+    const x = await getDelivery('key_retry', queued.id);
+    return x?.attempts.length === 1 && x;
+  });
+  const sent = receiver.requests.at(-1);
+  assert.equal(verifySignature(sent.body, sent.headers['vatfix-signature'], endpoint.secret), true);
+  assert.equal(sent.headers['vatfix-delivery'], queued.id);
+  assert.deepEqual([d.status, d.error], ['pending', 'http_500']);
+  assertGap(d.attempts[0], d, 1000);
+  const pointer = await storage.getJSON(`hooks/pending/${d.id}.json`);
+  assert.equal(pointer.nextAttemptAt, d.nextAttemptAt);
+
+  assert.equal(await runHookRetries(), 0, 'nothing is due yet');
+
+  // Make the retry due now instead of waiting for it
+  const dueNow = async () => storage.putJSON(`hooks/pending/${d.id}.json`, { ...pointer, nextAttemptAt: new Date().toISOString() });
+  await dueNow();
+  assert.equal(await runHookRetries(), 1);
+  d = await getDelivery('key_retry', d.id);
+  assert.equal(d.attempts.length, 2);
+  assertGap(d.attempts[1], d, 2000);
+
+  await dueNow();
+  assert.equal(await runHookRetries(), 1);
+  d = await getDelivery('key_retry', d.id);
+  assert.deepEqual([d.status, d.attempts.length, d.nextAttemptAt], ['failed', 3, null]);
+  assert.equal(await storage.getJSON(`hooks/pending/${d.id}.json`), null);
+});
+
+test('a delivery that succeeds first time leaves no pending pointer', async () => {
+  receiver.status = 204;
+  const endpoint = await createEndpoint({ keyId: 'key_ok', customerId: 'cus_ok' }, { url });
+  const queued = await sendTestEvent('key_ok', endpoint.id);
+
+  const d = await waitFor(async () => {
+    const x = await getDelivery('key_ok', queued.id);
+    return x?.status !== 'pending' && x;
+  });
+  assert.equal(d.status, 'delivered');
+  assert.equal(d.attempts[0].status, 204);
+  assert.equal(await storage.getJSON(`hooks/pending/${d.id}.json`), null);
+});
+
+test('concurrent endpoint changes on one key all land', async () => {
+  const [a, b, c] = await Promise.all([1, 2, 3].map((n) => createEndpoint({ keyId: 'key_many' }, { url, description: `n${n}` })));
+  assert.deepEqual((await listEndpoints('key_many')).map((e) => e.id).sort(), [a.id, b.id, c.id].sort());
+
+  const [rolled, removed] = await Promise.all([rollEndpointSecret('key_many', a.id), deleteEndpoint('key_many', b.id)]);
+  assert.equal(removed, true);
+  const endpoints = await listEndpoints('key_many');
+  assert.deepEqual(endpoints.map((e) => e.id).sort(), [a.id, c.id].sort());
+  assert.equal(endpoints.find((e) => e.id === a.id).secret, rolled.secret);
+  assert.notEqual(rolled.secret, a.secret);
+});
+
+test('an endpoint doc that keeps changing under a writer gives up with webhooks_busy', async (t) => {
+  t.mock.method(storage, 'createJSON', async () => false);
+  await assert.rejects(createEndpoint({ keyId: 'key_busy' }, { url }), /webhooks_busy/);
+});
@@ -0,0 +1,135 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { upsertEntitlement, rotateKey, resolveKey, revokeKey, createKey, getCustomer, keyDigest, stashReveal, takeReveal, keyRevealed } from '../lib/keys.js';
+import storage from '../lib/storage.js';
+
+test('a new customer gets one key that resolves by its secret', async () => {
+  const { record, secret } = await upsertEntitlement({ customerId: 'cus_new', email: 'new@example.com' });
+  assert.equal(record.keys.length, 1);
+  const { customer, entry } = await resolveKey(secret);
+  assert.equal(customer.customerId, 'cus_new');
+  assert.equal(entry.id, record.keys[0].id);
+  assert.equal(JSON.stringify(customer).includes(secret), false, 'the plaintext secret is never stored');
+
+  const again = await upsertEntitlement({ customerId: 'cus_new', email: 'new@example.com' });
+  assert.equal(again.secret, null);
+  await assert.rejects(resolveKey('sk_live_unknown'), /invalid_key/);
+});
+
+test('after a rotation the old secret works until the overlap ends', async () => {
+  const { record, secret: oldSecret } = await upsertEntitlement({ customerId: 'cus_rotate', email: 'r@example.com' });
+  const keyId = record.keys[0].id;
+
+  const { entry, secret: newSecret } = await rotateKey('cus_rotate', keyId, { overlapMs: 200 });
+  assert.equal(entry.id, keyId, 'the key id survives the rotation');
+  assert.ok(entry.previousKeyExpiresAt);
+  assert.equal((await resolveKey(newSecret)).entry.id, keyId);
+  assert.equal((await resolveKey(oldSecret)).entry.id, keyId);
+
+  await new Promise((r) => setTimeout(r, 250));
+  await assert.rejects(resolveKey(oldSecret), /key_revoked/);
+  assert.equal((await resolveKey(newSecret)).entry.id, keyId);
+});
+
+test('a rotation without overlap retires the old secret at once', async () => {
+  const { record, secret: oldSecret } = await upsertEntitlement({ customerId: 'cus_hard', email: 'h@example.com' });
+  const { secret } = await rotateKey('cus_hard', record.keys[0].id, { overlapMs: 0 });
+  await assert.rejects(resolveKey(oldSecret), /invalid_key/);
+  assert.equal((await resolveKey(secret)).customer.customerId, 'cus_hard');
+});
+
+test('a second rotation ends the first overlap', async () => {
+  const { record, secret: first } = await upsertEntitlement({ customerId: 'cus_twice', email: 't@example.com' });
+  const keyId = record.keys[0].id;
+  const { secret: second } = await rotateKey('cus_twice', keyId, { overlapMs: 60000 });
+  const { secret: third } = await rotateKey('cus_twice', keyId, { overlapMs: 60000 });
+
+  await assert.rejects(resolveKey(first), /invalid_key/);
+  assert.equal((await resolveKey(second)).entry.id, keyId);
+  assert.equal((await resolveKey(third)).entry.id, keyId);
+});
+
+test('revoking a key stops its current and overlapping secrets', async () => {
+  const { record } = await upsertEntitlement({ customerId: 'cus_revoke', email: 'v@example.com' });
+  const extra = await createKey('cus_revoke', { name: 'ci' });
+  const { secret: rotated } = await rotateKey('cus_revoke', extra.entry.id, { overlapMs: 60000 });
+
+  await revokeKey('cus_revoke', extra.entry.id);
+  await assert.rejects(resolveKey(rotated), /key_revoked/);
+  await assert.rejects(resolveKey(extra.secret), /key_revoked/);
+  await assert.rejects(revokeKey('cus_revoke', record.keys[0].id), /last_active_key/);
+});
+
+test('a stashed key is shown once', async () => {
+  await stashReveal('cs_test_1', 'sk_live_shown_once');
+  assert.equal(await takeReveal('cs_test_other'), null);
+  assert.equal(await takeReveal('cs_test_1'), 'sk_live_shown_once');
+  assert.equal(await takeReveal('cs_test_1'), null);
+});
+
+test('a rotation racing a webhook refresh keeps the new secret', async () => {
+  const { record, secret: oldSecret } = await upsertEntitlement({ customerId: 'cus_race', email: 'race@example.com' });
+  const keyId = record.keys[0].id;
+
+  const [{ secret }] = await Promise.all([
+    rotateKey('cus_race', keyId, { overlapMs: 0 }),
+    upsertEntitlement({ customerId: 'cus_race', email: 'race@example.com', trialUntil: '2030-01-01T00:00:00.000Z' }),
+  ]);
+  const stored = await getCustomer('cus_race');
+  assert.equal(stored.keys[0].digest, keyDigest(secret));
+  assert.equal(stored.trialUntil, '2030-01-01T00:00:00.000Z');
+  assert.equal((await resolveKey(secret)).entry.id, keyId);
+  await assert.rejects(resolveKey(oldSecret), /invalid_key/);
+});
+
+test('a rotation or a new key whose record write fails leaves the old state working', async (t) => {
+  const { record, secret: oldSecret } = await upsertEntitlement({ customerId: 'cus_fail', email: 'fail@example.com' });
+  const keyId = record.keys[0].id;
+  const before = await getCustomer('cus_fail');
+  const pointers = await storage.list('keys/by-key/');
+
+  t.mock.method(storage, 'replaceJSON', async () => { throw new Error('storage down'); });
+  await assert.rejects(rotateKey('cus_fail', keyId, { overlapMs: 0 }), /storage down/);
+  await assert.rejects(createKey('cus_fail', { name: 'ci' }), /storage down/);
+  t.mock.restoreAll();
+
+  assert.deepEqual(await getCustomer('cus_fail'), before);
+  assert.equal((await resolveKey(oldSecret)).entry.id, keyId);
+  assert.deepEqual(await storage.list('keys/by-key/'), pointers, 'the new secrets\' pointers are gone again');
+});
+
+test('a record holding a plaintext key is hashed when first read', async () => {
+  const legacy = `sk_live_${'ab'.repeat(24)}`;
+  await storage.putJSON('keys/cus_legacy.json', { customerId: 'cus_legacy', email: 'legacy@example.com', active: true, key: legacy });
+  await storage.putJSON(`keys/by-key/${legacy}.json`, { customerId: 'cus_legacy', key: legacy });
+
+  const { customer, entry } = await resolveKey(legacy);
+  assert.equal(entry.digest, keyDigest(legacy));
+  assert.equal(JSON.stringify(customer).includes(legacy), false);
+  assert.equal(JSON.stringify(await storage.getJSON('keys/cus_legacy.json')).includes(legacy), false);
+  assert.equal(await storage.getJSON(`keys/by-key/${legacy}.json`), null);
+});
+
+test('a subscription key whose secret was never stashed is minted again by a later sync', async () => {
+  const age = async () => {
+    const rec = await storage.getJSON('keys/cus_unshown.json');
+    rec.keys[0].createdAt = new Date(Date.now() - 600000).toISOString();
+    await storage.putJSON('keys/cus_unshown.json', rec);
+  };
+  const { record, secret: lost } = await upsertEntitlement({ customerId: 'cus_unshown', email: 'u@example.com' });
+  const keyId = record.keys[0].id;
+  assert.equal(record.keys[0].revealPending, true);
+  assert.equal((await upsertEntitlement({ customerId: 'cus_unshown' })).secret, null, 'a sync still stashing it keeps its key');
+
+  await age();
+  const { record: again, secret } = await upsertEntitlement({ customerId: 'cus_unshown' });
+  assert.deepEqual(again.keys.map((k) => k.id), [keyId]);
+  assert.equal((await resolveKey(secret)).entry.id, keyId);
+  await assert.rejects(resolveKey(lost), /invalid_key/);
+
+  await keyRevealed('cus_unshown', secret);
+  await age();
+  assert.equal((await upsertEntitlement({ customerId: 'cus_unshown' })).secret, null, 'a shown key is kept');
+  assert.equal((await resolveKey(secret)).entry.id, keyId);
+});
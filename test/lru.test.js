@@ -0,0 +1,38 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLru } from '../lib/lru.js';
+
+test('evicts the least recently used entry once full', () => {
+  const lru = createLru({ max: 2 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  assert.equal(lru.get('a'), 1, 'a hit makes a the most recent');
+  lru.set('c', 3);
+  assert.equal(lru.get('b'), undefined);
+  assert.equal(lru.get('a'), 1);
+  assert.equal(lru.get('c'), 3);
+  assert.deepEqual(lru.stats(), { size: 2, max: 2, evictions: 1 });
+});
+
+test('entries expire after their TTL; a per-entry TTL wins over the default', async () => {
+  const lru = createLru({ max: 10, ttlMs: 30 });
+  lru.set('short', 1);
+  lru.set('long', 2, 1000);
+  lru.set('forever', 3, 0);
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(lru.get('short'), undefined);
+  assert.equal(lru.get('long'), 2);
+  assert.equal(lru.get('forever'), 3);
+  assert.equal(lru.stats().size, 2, 'an expired entry is dropped when read');
+});
+
+test('delete and clear drop entries without counting evictions', () => {
+  const lru = createLru({ max: 5 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  lru.delete('a');
+  assert.equal(lru.get('a'), undefined);
+  lru.clear();
+  assert.deepEqual(lru.stats(), { size: 0, max: 5, evictions: 0 });
+});
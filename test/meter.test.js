@@ -0,0 +1,71 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import storage from '../lib/storage.js';
+import { meterAndCheck, quotaStatus, flushUsage } from '../lib/meter.js';
+
+const WINDOW_MS = 60000;
+
+test('the bucket allows `limit` requests per window, then reports when to retry', async () => {
+  const results = [];
+  for (let i = 0; i < 4; i++) results.push(await meterAndCheck({ apiKey: 'key_bucket', limit: 3 }));
+
+  assert.deepEqual(results.map((r) => r.allowed), [true, true, true, false]);
+  assert.deepEqual(results.slice(0, 3).map((r) => r.remaining), [2, 1, 0]);
+  const limited = results[3];
+  assert.equal(limited.reason, 'rate_limit_exceeded');
+  assert.equal(limited.limit, 3);
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= WINDOW_MS / 3, `retryAfterMs ${limited.retryAfterMs}`);
+});
+
+test('buckets are per key', async () => {
+  assert.equal((await meterAndCheck({ apiKey: 'key_a', limit: 1 })).allowed, true);
+  assert.equal((await meterAndCheck({ apiKey: 'key_a', limit: 1 })).allowed, false);
+  assert.equal((await meterAndCheck({ apiKey: 'key_b', limit: 1 })).allowed, true);
+});
+
+test('a flush writes running totals, one doc per key, day and instance', async () => {
+  const day = new Date().toISOString().slice(0, 10);
+  const hour = new Date().toISOString().slice(11, 13);
+  await meterAndCheck({ apiKey: 'key_flush' });
+  await meterAndCheck({ apiKey: 'key_flush' });
+  await flushUsage();
+  await meterAndCheck({ apiKey: 'key_flush' });
+  await flushUsage();
+
+  const docs = await storage.list(`usage/${day}/key_flush/`);
+  assert.equal(docs.length, 1);
+  assert.equal((await storage.getJSON(docs[0])).hours[hour].requests, 3);
+});
+
+test('the monthly quota counts other instances and every key of the customer', async () => {
+  const day = new Date().toISOString().slice(0, 10);
+  const hour = new Date().toISOString().slice(11, 13);
+  await storage.putJSON(`usage/${day}/key_q1/other-instance.json`, { apiKey: 'key_q1', day, hours: { [hour]: { requests: 5 } } });
+  await storage.putJSON(`usage/${day}/key_q2/other-instance.json`, { apiKey: 'key_q2', day, hours: { [hour]: { requests: 3 } } });
+  const quotaKeys = ['key_q1', 'key_q2'];
+
+  assert.equal((await quotaStatus(quotaKeys, 10)).used, 8);
+
+  const first = await meterAndCheck({ apiKey: 'key_q1', monthlyQuota: 10, quotaKeys });
+  assert.equal(first.allowed, true);
+  assert.equal(first.quotaRemaining, 1);
+  assert.equal((await meterAndCheck({ apiKey: 'key_q2', monthlyQuota: 10, quotaKeys })).allowed, true);
+
+  const over = await meterAndCheck({ apiKey: 'key_q1', monthlyQuota: 10, quotaKeys });
+  assert.equal(over.allowed, false);
+  assert.equal(over.reason, 'quota_exceeded');
+  assert.equal(over.quotaRemaining, 0);
+  assert.ok(over.retryAfterMs > 0);
+
+  const status = await quotaStatus(quotaKeys, 10);
+  assert.deepEqual([status.quota, status.used, status.remaining], [10, 10, 0]);
+  assert.equal((await meterAndCheck({ apiKey: 'key_q1', quotaKeys })).allowed, true, 'no quota, no limit');
+});
+
+test('flushed usage is not counted twice', async () => {
+  await meterAndCheck({ apiKey: 'key_once' });
+  await meterAndCheck({ apiKey: 'key_once' });
+  await flushUsage();
+  assert.equal((await quotaStatus('key_once', 100)).used, 2);
+});
@@ -0,0 +1,43 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.VATFIX_RPS_LIMIT = '90';
+process.env.VATFIX_PLANS = JSON.stringify([
+  { id: 'pro', priceIds: ['price_pro_m', 'price_pro_y'], rpm: 600, features: ['batch', 'approx'] },
+  { id: 'plus', name: "Plus <EU> 'lite'", priceIds: ['price_plus'], monthlyQuota: 20000, features: ['approx'] },
+]);
+
+const { listPlans, defaultPlan, allowedPriceIds, planForPriceIds, hasFeature } = await import('../lib/plans.js');
+
+test('the first catalog plan covering a price wins; the last plan is the default', () => {
+  assert.equal(planForPriceIds(['price_plus', 'price_pro_y']).id, 'pro');
+  assert.equal(planForPriceIds(['price_plus']).id, 'plus');
+  assert.equal(planForPriceIds(['price_other']), null);
+  assert.equal(defaultPlan().id, 'plus');
+  assert.deepEqual([...allowedPriceIds()].sort(), ['price_plus', 'price_pro_m', 'price_pro_y']);
+});
+
+test('plans are normalized: missing limits fall back, quotas are null when unlimited', () => {
+  const [pro, plus] = listPlans();
+  assert.deepEqual([pro.name, pro.rpm, pro.monthlyQuota], ['pro', 600, null]);
+  assert.deepEqual([plus.rpm, plus.monthlyQuota], [90, 20000]);
+  assert.equal(hasFeature(pro, 'batch'), true);
+  assert.equal(hasFeature(plus, 'batch'), false);
+  assert.equal(hasFeature(null, 'batch'), false);
+});
+
+test('the pricing page shows every catalog plan with its limits, names escaped', async (t) => {
+  process.env.VATFIX_MAX_KEYS = '5';
+  const { startServer } = await import('./server.js');
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const { status, body } = await request('GET', '/pricing');
+  assert.equal(status, 200);
+  assert.match(body, /<h2>pro<\/h2>/);
+  assert.match(body, /<h2>Plus &lt;EU&gt; &#39;lite&#39;<\/h2>/);
+  assert.match(body, /Up to 5 named API keys, <b>600 req\/min<\/b> each, no monthly cap/);
+  assert.match(body, /<b>90 req\/min<\/b> each, 20,000 lookups\/month shared by your keys/);
+  assert.doesNotMatch(body, /One key/);
+});
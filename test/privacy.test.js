@@ -0,0 +1,74 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { upsertEntitlement, deactivateEntitlement, getCustomer, resolveKey } from '../lib/keys.js';
+import { auditLookup, flushAudit, getAuditEntry, newLookupId } from '../lib/audit.js';
+import { storeReceipt, getReceipt } from '../lib/receipts.js';
+import { eraseCustomer, pseudonym } from '../lib/privacy.js';
+
+const request = { countryCode: 'DE', vatNumber: '136695976' };
+const answer = () => ({ lookupId: newLookupId('DE', '136695976'), ...request, valid: true, source: 'vies' });
+
+function lookup({ keyId, customerId, email, receipt = null }) {
+  const result = answer();
+  // The parts of an Express request the audit line reads
+  const req = { originalUrl: '/vat/check', headers: {}, header: () => 'test-agent', socket: { remoteAddress: '203.0.113.9' } };
+  auditLookup({ req, keyId, customerId, email, request, result, receipt });
+  return result.lookupId;
+}
+
+test('erasure removes access but keeps lookups and receipts under a pseudonym', async () => {
+  const { record, secret } = await upsertEntitlement({ customerId: 'cus_erase', email: 'Erase@example.com' });
+  const keyId = record.keys[0].id;
+  const lookupId = lookup({ keyId, customerId: 'cus_erase', email: 'erase@example.com', receipt: 'header.payload.signature' });
+  assert.equal(await storeReceipt({ lookupId, keyId, customerId: 'cus_erase', receipt: 'header.payload.signature' }), true);
+  await flushAudit();
+
+  await assert.rejects(eraseCustomer({ customerId: 'cus_erase' }), /customer_active/);
+  await deactivateEntitlement('cus_erase');
+  const report = await eraseCustomer({ customerId: 'cus_erase' });
+
+  assert.equal(report.pseudonym, pseudonym('cus_erase'));
+  assert.deepEqual([report.counts.record, report.counts.auditLines, report.counts.receipts], [1, 1, 1]);
+  assert.equal(await getCustomer('cus_erase'), null);
+  await assert.rejects(resolveKey(secret), /invalid_key/);
+
+  const line = await getAuditEntry(lookupId);
+  assert.equal(line.receipt, 'header.payload.signature');
+  assert.equal(line.vatNumber, '136695976');
+  assert.deepEqual([line.customerId, line.email, line.ip, line.userAgent], [report.pseudonym, null, null, null]);
+
+  const stored = await getReceipt(lookupId);
+  assert.equal(stored.receipt, 'header.payload.signature');
+  assert.equal(stored.customerId, report.pseudonym);
+});
+
+test('lines of an erased customer flushed after the erasure are pseudonymised too', async () => {
+  const { record } = await upsertEntitlement({ customerId: 'cus_late', email: 'late@example.com' });
+  const keyId = record.keys[0].id;
+  await deactivateEntitlement('cus_late');
+  const { pseudonym: alias } = await eraseCustomer({ customerId: 'cus_late' });
+
+  // Buffered on another machine before the erasure, written after it
+  const lookupId = lookup({ keyId, customerId: 'cus_late', email: 'late@example.com' });
+  await flushAudit();
+
+  const line = await getAuditEntry(lookupId);
+  assert.deepEqual([line.customerId, line.email, line.ip], [alias, null, null]);
+
+  const other = lookup({ keyId: 'key_other', customerId: 'cus_other', email: 'other@example.com' });
+  await flushAudit();
+  assert.equal((await getAuditEntry(other)).customerId, 'cus_other');
+});
+
+test('a dry run counts without changing anything', async () => {
+  const { record } = await upsertEntitlement({ customerId: 'cus_dry', email: 'dry@example.com' });
+  const lookupId = lookup({ keyId: record.keys[0].id, customerId: 'cus_dry', email: 'dry@example.com' });
+  await flushAudit();
+  await deactivateEntitlement('cus_dry');
+
+  const report = await eraseCustomer({ customerId: 'cus_dry', dryRun: true });
+  assert.equal(report.counts.auditLines, 1);
+  assert.ok(await getCustomer('cus_dry'));
+  assert.equal((await getAuditEntry(lookupId)).customerId, 'cus_dry');
+});
@@ -0,0 +1,102 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.VATFIX_RECEIPT_PRIVATE_KEY = Buffer.from(privateKey.export({ type: 'pkcs8', format: 'pem' })).toString('base64');
+
+const { signReceipt, verifyReceipt, decodeReceipt, storeReceipt, getReceipt, publicKeyPem, renderReceiptHtml } = await import('../lib/receipts.js');
+const { newLookupId, auditLookup, flushAudit } = await import('../lib/audit.js');
+
+const answer = (fields = {}) => ({
+  lookupId: newLookupId('DE', '136695976'),
+  countryCode: 'DE',
+  vatNumber: '136695976',
+  valid: true,
+  name: 'Example GmbH',
+  source: 'vies',
+  ...fields,
+});
+
+test('a signed receipt verifies against the published key and carries the answer', () => {
+  const result = answer();
+  const jws = signReceipt(result, { requester: { countryCode: 'FR', vatNumber: '40303265045' } });
+  const { header, payload } = verifyReceipt(jws);
+
+  assert.equal(header.alg, 'EdDSA');
+  assert.equal(payload.lookupId, result.lookupId);
+  assert.equal(payload.valid, true);
+  assert.deepEqual(payload.requester, { countryCode: 'FR', vatNumber: '40303265045' });
+  assert.equal('address' in payload, false, 'empty fields are left out');
+  assert.doesNotThrow(() => verifyReceipt(jws, [publicKeyPem()]));
+});
+
+test('a changed payload or an unknown key is rejected', () => {
+  const jws = signReceipt(answer());
+  const [h, p, sig] = jws.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...decodeReceipt(jws).payload, valid: false })).toString('base64url');
+
+  assert.throws(() => verifyReceipt(`${h}.${forged}.${sig}`), /invalid_signature/);
+  const other = crypto.generateKeyPairSync('ed25519').publicKey;
+  assert.throws(() => verifyReceipt(jws, [other]), /unknown_key/);
+  assert.throws(() => verifyReceipt(`${h}.${p}`), /malformed_receipt/);
+});
+
+test('lookups without an answer get no receipt', () => {
+  assert.equal(signReceipt(answer({ source: 'error', valid: null, error: 'vies_unavailable' })), null);
+  assert.equal(signReceipt({ ...answer(), lookupId: undefined }), null);
+});
+
+test('a stored receipt is served by its lookup id', async () => {
+  const result = answer();
+  const receipt = signReceipt(result);
+  assert.equal(await storeReceipt({ lookupId: result.lookupId, keyId: 'key_1', customerId: 'cus_1', receipt }), true);
+
+  const doc = await getReceipt(result.lookupId);
+  assert.equal(doc.receipt, receipt);
+  assert.equal(doc.customerId, 'cus_1');
+});
+
+test('receipts only on the audit line are still served', async () => {
+  const result = answer();
+  const receipt = signReceipt(result);
+  auditLookup({ keyId: 'key_2', customerId: 'cus_2', request: { countryCode: 'DE', vatNumber: '136695976' }, result, receipt });
+  await flushAudit();
+
+  assert.equal((await getReceipt(result.lookupId)).receipt, receipt);
+});
+
+test('ids that are not lookup ids are neither stored nor read', async () => {
+  const receipt = signReceipt(answer());
+  assert.equal(await storeReceipt({ lookupId: '../keys/cus_1', keyId: 'k', receipt }), false);
+  assert.equal(await getReceipt('../keys/cus_1'), null);
+  assert.equal(await getReceipt('DE-136695976-zzzzzzzzz-000000'), null);
+});
+
+test('only a live answer signs VIES\'s request date; cache and syntax answers sign when they were answered', () => {
+  const requestDate = '2024-01-02T00:00:00.000Z';
+  const live = decodeReceipt(signReceipt(answer({ requestDate }))).payload;
+  assert.deepEqual([live.requestDate, live.answeredAt], [requestDate, undefined]);
+
+  for (const source of ['cache', 'syntax']) {
+    const { payload } = decodeReceipt(signReceipt(answer({ source, requestDate })));
+    assert.equal(payload.requestDate, undefined, source);
+    assert.equal(payload.answeredAt, payload.issuedAt, source);
+  }
+});
+
+test('the certificate names the verdict and how the answer was reached', () => {
+  const page = (fields) => renderReceiptHtml(signReceipt(answer({ requestDate: '2024-01-02T00:00:00.000Z', ...fields })));
+
+  assert.match(page({}), /class="verdict ok">DE136695976: VALID</);
+  assert.match(page({}), /Checked at \(VIES request date\)<\/th><td>2024-01-02T00:00:00.000Z/);
+  assert.match(page({ valid: false }), /class="verdict bad">DE136695976: NOT VALID</);
+  assert.match(page({ valid: null }), /class="verdict unknown">DE136695976: VALIDITY UNKNOWN</);
+
+  const offline = page({ source: 'syntax', valid: false, error: 'invalid_format' });
+  assert.match(offline, /class="verdict bad">DE136695976: REJECTED OFFLINE</);
+  assert.match(offline, /<th>Answered at<\/th>/);
+  assert.doesNotMatch(offline, /VIES request date|2024-01-02/);
+  assert.match(page({ source: 'cache', cachedAt: '2024-01-02T00:00:01.000Z' }), /<th>Answered at<\/th>/);
+});
@@ -0,0 +1,75 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { sent } from './mail.js';
+import { startStripe, list } from './stripe.js';
+
+const customers = {
+  cus_missing: { id: 'cus_missing', object: 'customer', email: 'missing@example.com' },
+  cus_inactive: { id: 'cus_inactive', object: 'customer', email: 'inactive@example.com' },
+  cus_orphan: { id: 'cus_orphan', object: 'customer', email: 'orphan@example.com' },
+  cus_email: { id: 'cus_email', object: 'customer', email: 'new@example.com' },
+  cus_ok: { id: 'cus_ok', object: 'customer', email: 'ok@example.com' },
+};
+const subscriptions = ['cus_missing', 'cus_inactive', 'cus_email', 'cus_ok']
+  .map((customer) => ({ id: `sub_${customer}`, object: 'subscription', customer, status: 'active', items: { object: 'list', data: [] } }));
+
+await startStripe({
+  'GET /v1/subscriptions': ({ query }) => {
+    if (query.get('customer')) return list(subscriptions.filter((s) => s.customer === query.get('customer')));
+    return list(subscriptions.map((s) => ({ ...s, customer: customers[s.customer] })));
+  },
+  'GET /v1/customers/:id': ({ params }) => customers[params.id] || [404, { error: { type: 'invalid_request_error' } }],
+});
+
+const { reconcile } = await import('../lib/reconcile.js');
+const { upsertEntitlement, getCustomer } = await import('../lib/keys.js');
+const { default: storage } = await import('../lib/storage.js');
+
+await upsertEntitlement({ customerId: 'cus_inactive', email: 'inactive@example.com', active: false });
+await upsertEntitlement({ customerId: 'cus_orphan', email: 'orphan@example.com' });
+await upsertEntitlement({ customerId: 'cus_email', email: 'old@example.com' });
+await upsertEntitlement({ customerId: 'cus_ok', email: 'ok@example.com' });
+
+const issues = (report) => report.mismatches.map((m) => `${m.customerId}:${m.issue}:${m.action}`).sort();
+async function snapshot() {
+  const paths = (await storage.list('')).sort();
+  return Promise.all(paths.map(async (p) => [p, await storage.getJSON(p)]));
+}
+
+test('a dry run reports every mismatch and writes nothing', async () => {
+  const before = await snapshot();
+  const mailsBefore = sent.length;
+  const report = await reconcile({ dryRun: true });
+
+  assert.deepEqual(issues(report), [
+    'cus_email:stale_email:would_update_email',
+    'cus_inactive:inactive_with_subscription:would_sync',
+    'cus_missing:missing_key:would_sync',
+    'cus_orphan:active_without_subscription:would_sync',
+  ]);
+  assert.deepEqual([report.dryRun, report.stripeCustomers, report.records, report.fixed], [true, 4, 4, 0]);
+  assert.deepEqual(await snapshot(), before);
+  assert.equal(sent.length, mailsBefore);
+});
+
+test('a fixing run applies the webhook path, stores its report and leaves nothing to fix', async () => {
+  const report = await reconcile();
+  assert.deepEqual(report.mismatches.map((m) => [m.customerId, m.result]).sort(), [
+    ['cus_email', 'email_updated'],
+    ['cus_inactive', 'active'],
+    ['cus_missing', 'active'],
+    ['cus_orphan', 'deactivated'],
+  ]);
+  assert.deepEqual([report.fixed, report.failed], [4, 0]);
+
+  assert.equal((await getCustomer('cus_missing')).keys.length, 1);
+  assert.equal(sent.filter((m) => m.to === 'missing@example.com').length, 1, 'the new key is announced');
+  assert.equal((await getCustomer('cus_inactive')).active, true);
+  const orphan = await getCustomer('cus_orphan');
+  assert.deepEqual([orphan.active, !!orphan.graceUntil], [false, true]);
+  assert.equal((await getCustomer('cus_email')).email, 'new@example.com');
+  assert.equal((await storage.list('reconcile/reports/')).length, 1);
+
+  assert.deepEqual((await reconcile({ dryRun: true })).mismatches, []);
+});
@@ -0,0 +1,40 @@
+// test/server.js — boot server.mjs in-process on an ephemeral port; set env and install fakes before calling it
+// server.mjs keeps its http.Server to itself, so the first listen() during the import is captured.
+
+import http from 'node:http';
+
+export async function startServer() {
+  process.env.PORT = '0';
+  const { listen } = http.Server.prototype;
+  let server;
+  http.Server.prototype.listen = function (...args) {
+    server ||= this;
+    return listen.apply(this, args);
+  };
+  try {
+    await import('../server.mjs');
+  } finally {
+    http.Server.prototype.listen = listen;
+  }
+  if (!server.listening) await new Promise((r) => server.once('listening', r));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON in, { status, headers, body } out; body is parsed when the answer is JSON
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(url + path, {
+      method,
+      headers: { ...(body !== undefined ? { 'content-type': 'application/json' } : {}), ...headers },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      redirect: 'manual',
+    });
+    const text = await res.text();
+    const json = /json/.test(res.headers.get('content-type') || '') ? JSON.parse(text) : text;
+    return { status: res.status, headers: res.headers, body: json };
+  }
+
+  const close = () => new Promise((r) => {
+    server.close(r);
+    server.closeAllConnections();
+  });
+  return { url, request, close };
+}
@@ -0,0 +1,18 @@
+// test/setup.js — environment shared by every test file; import it first (lib modules read process.env on load)
+// Each file runs in its own process (node --test), so per-file settings go before that file's own imports.
+
+process.env.VATFIX_STORAGE = 'memory';
+process.env.VATFIX_KEY_PEPPER ||= 'test-pepper';
+process.env.STRIPE_SECRET_KEY ||= 'sk_test_dummy';
+process.env.STRIPE_WEBHOOK_SECRET ||= 'whsec_test_dummy';
+
+/** Resolve once check() returns a truthy value (polled), or fail after timeoutMs. */
+export async function waitFor(check, { timeoutMs = 3000, everyMs = 20 } = {}) {
+  const giveUpAt = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > giveUpAt) throw new Error('waitFor: timed out');
+    await new Promise((r) => setTimeout(r, everyMs));
+  }
+}
@@ -0,0 +1,108 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fsp } from 'node:fs';
+import { S3Client } from '@aws-sdk/client-s3';
+import { createStorage, takeLease, releaseLease } from '../lib/storage.js';
+
+const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'vatfix-storage-'));
+test.after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+for (const kind of ['memory', 'fs']) {
+  const store = () => createStorage(kind, { dir: path.join(dir, String(Math.random()).slice(2)) });
+
+  test(`${kind}: objects round-trip as copies; missing keys read as null`, async () => {
+    const s = store();
+    const doc = { n: 1, nested: { ok: true } };
+    await s.putJSON('a/b.json', doc);
+    doc.n = 2;
+    assert.deepEqual(await s.getJSON('a/b.json'), { n: 1, nested: { ok: true } });
+    assert.equal(await s.getJSON('a/missing.json'), null);
+  });
+
+  test(`${kind}: list filters by prefix in key order; remove forgets a key`, async () => {
+    const s = store();
+    for (const key of ['usage/2024-01-02/k.json', 'usage/2024-01-01/k.json', 'keys/c.json']) await s.putJSON(key, {});
+    assert.deepEqual(await s.list('usage/'), ['usage/2024-01-01/k.json', 'usage/2024-01-02/k.json']);
+    assert.deepEqual(await s.list('usage/2024-01-01'), ['usage/2024-01-01/k.json']);
+    await s.remove('keys/c.json');
+    await s.remove('keys/never.json');
+    assert.deepEqual(await s.list('keys/'), []);
+  });
+
+  test(`${kind}: createJSON lets exactly one writer create a key`, async () => {
+    const s = store();
+    const results = await Promise.all([s.createJSON('a/b.json', { n: 1 }), s.createJSON('a/b.json', { n: 2 })]);
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal(await s.createJSON('a/b.json', { n: 3 }), false);
+  });
+
+  test(`${kind}: replaceJSON refuses a version that is no longer current`, async () => {
+    const s = store();
+    await s.putJSON('doc.json', { n: 1 });
+    const first = await s.getVersioned('doc.json');
+    assert.equal(await s.replaceJSON('doc.json', { n: 2 }, first.version), true);
+    assert.equal(await s.replaceJSON('doc.json', { n: 3 }, first.version), false);
+    assert.deepEqual(await s.getJSON('doc.json'), { n: 2 });
+    assert.deepEqual(await s.list(''), ['doc.json']);
+  });
+
+  test(`${kind}: a lease has one holder until it runs out or is released`, async () => {
+    const s = store();
+    const [a, b] = await Promise.all([
+      takeLease('jobs/lock.json', 60000, { holder: 'a', store: s }),
+      takeLease('jobs/lock.json', 60000, { holder: 'b', store: s }),
+    ]);
+    assert.equal(a !== b, true);
+    const [winner, loser] = a ? ['a', 'b'] : ['b', 'a'];
+    assert.equal(await takeLease('jobs/lock.json', 60000, { holder: winner, store: s }), true, 'holder renews');
+    assert.equal(await takeLease('jobs/lock.json', 60000, { holder: loser, store: s }), false);
+    assert.equal(await releaseLease('jobs/lock.json', { holder: loser, store: s }), false, 'only the holder releases');
+    assert.equal(await releaseLease('jobs/lock.json', { holder: winner, store: s }), true);
+    assert.equal(await takeLease('jobs/lock.json', 60000, { holder: loser, store: s }), true);
+  });
+
+  test(`${kind}: an expired lease is taken over`, async () => {
+    const s = store();
+    assert.equal(await takeLease('l.json', 1, { holder: 'a', store: s }), true);
+    await new Promise((r) => setTimeout(r, 5));
+    assert.equal(await takeLease('l.json', 60000, { holder: 'b', store: s }), true);
+  });
+}
+
+test('fs: keys cannot escape the storage directory', async () => {
+  const s = createStorage('fs', { dir: path.join(dir, 'jail') });
+  await assert.rejects(s.putJSON('../outside.json', {}), /Invalid storage key/);
+});
+
+test('fs: only a missing file reads as null; unreadable objects throw', async () => {
+  const root = path.join(dir, 'unreadable');
+  const s = createStorage('fs', { dir: root });
+  await fsp.mkdir(path.join(root, 'keys', 'dir.json'), { recursive: true });
+  await fsp.writeFile(path.join(root, 'keys', 'torn.json'), '{"customerId":');
+
+  assert.equal(await s.getVersioned('keys/missing.json'), null);
+  await assert.rejects(s.getJSON('keys/dir.json'), (e) => e.message === 'storage_unavailable' && e.cause.code === 'EISDIR');
+  await assert.rejects(s.getText('keys/dir.json'), /storage_unavailable/);
+  await assert.rejects(s.getJSON('keys/torn.json'), /storage_unavailable/);
+  await assert.rejects(s.getVersioned('keys/torn.json'), /storage_unavailable/);
+});
+
+test('s3: only NoSuchKey reads as null; other failures throw', async (t) => {
+  const s = createStorage('s3', { bucket: 'test-bucket' });
+  const fail = (name, httpStatusCode) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode } });
+  let error = fail('NoSuchKey', 404);
+  t.mock.method(S3Client.prototype, 'send', async () => { throw error; });
+
+  assert.equal(await s.getJSON('keys/cus_1.json'), null);
+  assert.equal(await s.getText('audit/day.ndjson'), null);
+  assert.equal(await s.getVersioned('keys/cus_1.json'), null);
+
+  for (error of [fail('AccessDenied', 403), fail('InternalError', 500), fail('TimeoutError')]) {
+    await assert.rejects(s.getJSON('keys/cus_1.json'), (e) => e.message === 'storage_unavailable' && e.cause === error);
+    await assert.rejects(s.getText('audit/day.ndjson'), /storage_unavailable/);
+    await assert.rejects(s.getVersioned('keys/cus_1.json'), /storage_unavailable/);
+  }
+});
@@ -0,0 +1,46 @@
+// test/stripe.js — fake Stripe API on an ephemeral port; call it before importing modules that create Stripe clients
+// routes: { 'GET /v1/subscriptions/:id': (call) => object | [status, object] }; call = { method, path, params, query, form, headers }.
+// Unmatched routes answer 404; every request lands in `calls`.
+
+import http from 'node:http';
+import test from 'node:test';
+
+export const list = (data) => ({ object: 'list', data, has_more: false, url: '/v1/list' });
+
+export async function startStripe(routes = {}) {
+  const calls = [];
+  const table = Object.entries(routes).map(([route, handler]) => {
+    const [method, pattern] = route.split(' ');
+    const names = [];
+    const re = new RegExp(`^${pattern.replace(/:(\w+)/g, (_m, name) => (names.push(name), '([^/]+)'))}$`);
+    return { method, re, names, handler };
+  });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://stripe.test');
+      const call = { method: req.method, path: url.pathname, params: {}, query: url.searchParams, form: new URLSearchParams(body), headers: req.headers };
+      calls.push(call);
+      const send = (status, obj) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(obj));
+      const route = table.find((r) => r.method === req.method && r.re.test(url.pathname));
+      if (!route) return send(404, { error: { type: 'invalid_request_error', message: `No route ${req.method} ${url.pathname}` } });
+      route.names.forEach((name, i) => { call.params[name] = decodeURIComponent(route.re.exec(url.pathname)[i + 1]); });
+      try {
+        const out = await route.handler(call);
+        return Array.isArray(out) ? send(out[0], out[1]) : send(200, out);
+      } catch (e) {
+        return send(500, { error: { type: 'api_error', message: e.message } });
+      }
+    });
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  test.after(() => {
+    server.close();
+    server.closeAllConnections();
+  });
+
+  process.env.STRIPE_API_BASE = `http://127.0.0.1:${server.address().port}`;
+  return { calls, server };
+}
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSyntax, compactVat } from '../lib/syntax.js';
+
+test('accepts numbers whose check digits are right', () => {
+  for (const vat of ['DE136695976', 'FR40303265045', 'BE0403170701', 'ATU13585627', 'IT00743110157', 'ESB58378431', 'PL5260001246', 'NL004495445B01']) {
+    assert.equal(checkSyntax(vat.slice(0, 2), vat.slice(2)).valid, true, vat);
+  }
+});
+
+test('rejects a wrong check digit as invalid_format', () => {
+  for (const vat of ['DE136695977', 'FR41303265045', 'BE0403170702', 'ATU13585626', 'IT00743110158']) {
+    const r = checkSyntax(vat.slice(0, 2), vat.slice(2));
+    assert.equal(r.valid, false, vat);
+    assert.equal(r.reason, 'invalid_format', vat);
+  }
+});
+
+test('rejects countries without rules', () => {
+  assert.deepEqual(checkSyntax('GB', '123456789'), { valid: false, countryCode: 'GB', vatNumber: '123456789', reason: 'unsupported_country' });
+});
+
+test('normalizes case, separators and a repeated country prefix', () => {
+  assert.deepEqual(compactVat('de', 'DE 136.695-976'), { countryCode: 'DE', vatNumber: '136695976' });
+  assert.equal(checkSyntax('de', 'de 136 695 976').valid, true);
+});
@@ -0,0 +1,42 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './vies.js';
+import { startServer } from './server.js';
+
+process.env.ENFORCE_STRIPE = '0';
+process.env.VATFIX_RPS_LIMIT = '2';
+
+const { request, close } = await startServer();
+test.after(close);
+
+const headers = { 'x-api-key': 'key_usage', 'x-customer-email': 'u@example.com' };
+const today = new Date().toISOString().slice(0, 10);
+
+test('GET /vat/usage counts how each request was answered, by day or hour', async () => {
+  const vat = { countryCode: 'DE', vatNumber: '136695976' };
+  assert.equal((await request('POST', '/vat/lookup', { body: vat, headers })).status, 200);
+  assert.equal((await request('POST', '/vat/syntax', { body: vat, headers })).status, 200);
+  assert.equal((await request('POST', '/vat/lookup', { body: vat, headers })).status, 429);
+
+  const res = await request('GET', '/vat/usage', { headers });
+  assert.equal(res.status, 200);
+  const counts = { lookups: 2, vies: 1, cache: 0, syntax: 1, errors: 0, rateLimited: 1, quotaExceeded: 0 };
+  assert.deepEqual(res.body.totals, counts);
+  assert.deepEqual(res.body.buckets, [{ period: today, ...counts }]);
+  assert.deepEqual([res.body.from, res.body.to, res.body.granularity, res.body.plan], [`${today.slice(0, 7)}-01`, today, 'day', 'plus']);
+  assert.deepEqual([res.body.quota.quota, res.body.quota.used, res.body.quota.remaining], [null, 2, null]);
+
+  const hourly = await request('GET', `/vat/usage?from=${today}&to=${today}&granularity=hour`, { headers });
+  assert.equal(hourly.body.buckets.length, 1);
+  assert.match(hourly.body.buckets[0].period, new RegExp(`^${today}T\\d{2}$`));
+});
+
+test('GET /vat/usage rejects bad ranges and granularities', async () => {
+  const get = async (qs) => (await request('GET', `/vat/usage?${qs}`, { headers })).body;
+  assert.deepEqual(await get('granularity=week'), { error: 'invalid_granularity' });
+  assert.deepEqual(await get('from=2024-02-01&to=2024-01-01'), { error: 'invalid_date_range' });
+  assert.deepEqual(await get('from=2024-13-01&to=2024-13-02'), { error: 'invalid_date_range' });
+  assert.deepEqual(await get('from=2024-01-01&to=2024-06-01'), { error: 'range_too_large', maxDays: 93 });
+  assert.equal((await request('GET', '/vat/usage')).status, 401);
+});
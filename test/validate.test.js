@@ -0,0 +1,138 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import soap from 'soap';
+import { vies, soapFault } from './vies.js';
+
+process.env.VATFIX_VIES_RETRIES = '1';
+process.env.VATFIX_VIES_RETRY_BASE_MS = '1';
+process.env.VATFIX_BREAKER_THRESHOLD = '2';
+process.env.VATFIX_BREAKER_COOLDOWN_MS = '50';
+
+const { checkVAT, cacheStats, breakerState } = await import('../lib/validate.js');
+const { default: storage } = await import('../lib/storage.js');
+
+const ok = ({ args }) => ({ ...args, requestDate: new Date('2024-01-02T00:00:00Z'), valid: true, name: 'ACME GMBH', address: 'MAIN ST 1' });
+const failWith = (faultstring) => () => { throw soapFault(faultstring); };
+
+test('cache-first answers from memory when the caller accepts the age; otherwise VIES is asked', async () => {
+  vies.reset();
+  vies.answer = ok;
+  const live = await checkVAT({ countryCode: 'DE', vatNumber: '136695976' });
+  assert.equal(live.source, 'vies');
+  assert.equal(live.requestDate, '2024-01-02T00:00:00.000Z');
+
+  const hit = await checkVAT({ countryCode: 'DE', vatNumber: '136695976', maxAgeMs: 60000 });
+  assert.deepEqual([hit.source, hit.cached, hit.cacheTier, hit.name], ['cache', true, 'memory', 'ACME GMBH']);
+  assert.equal(hit.requestDate, live.requestDate, 'the date VIES gave, not the time of the cache hit');
+  assert.notEqual(hit.lookupId, live.lookupId);
+  assert.equal(vies.calls.length, 1);
+
+  await checkVAT({ countryCode: 'DE', vatNumber: '136695976' });
+  assert.equal(vies.calls.length, 2, 'no maxAgeMs means a live call');
+  assert.equal(cacheStats().memoryHits >= 1, true);
+});
+
+test('approx lookups call checkVatApprox, map match codes and never answer from cache', async () => {
+  vies.reset();
+  vies.answer = ({ args }) => ({
+    countryCode: args.countryCode, vatNumber: args.vatNumber, requestDate: '2024-01-02', valid: true,
+    traderName: 'ACME GMBH', traderAddress: 'MAIN ST 1', traderNameMatch: 1, traderCityMatch: '2', requestIdentifier: 'WAPIAAAAZ',
+  });
+  const r = await checkVAT({
+    countryCode: 'FR', vatNumber: '40303265045', maxAgeMs: 60000,
+    requester: { countryCode: 'de', vatNumber: '136695976' },
+    trader: { traderName: ' Acme ', traderCity: 'Paris', traderStreet: '' },
+  });
+  assert.deepEqual(vies.calls.map((c) => c.op), ['checkVatApprox']);
+  assert.deepEqual(vies.calls[0].args, {
+    countryCode: 'FR', vatNumber: '40303265045', traderName: 'Acme', traderCity: 'Paris', requesterCountryCode: 'DE', requesterVatNumber: '136695976',
+  });
+  assert.equal(r.requestIdentifier, 'WAPIAAAAZ');
+  assert.deepEqual(r.match, { name: 'valid', companyType: null, street: null, postcode: null, city: 'invalid' });
+  assert.equal(r.name, 'ACME GMBH');
+
+  await checkVAT({ countryCode: 'FR', vatNumber: '40303265045', maxAgeMs: 60000, trader: { traderName: 'Acme' } });
+  assert.equal(vies.calls.length, 2, 'a consultation only comes from a live call');
+});
+
+test('a stored answer is served and kept in memory; one older than maxAgeMs is not used', async () => {
+  vies.reset();
+  vies.answer = ok;
+  const payload = { countryCode: 'IT', vatNumber: '00743110157', valid: true, name: 'STORED SPA', address: null };
+  await storage.putJSON('cache/IT_00743110157.json', { cachedAt: new Date(Date.now() - 30000).toISOString(), payload });
+
+  const stored = await checkVAT({ countryCode: 'IT', vatNumber: '00743110157', maxAgeMs: 60000 });
+  assert.deepEqual([stored.source, stored.cacheTier, stored.name], ['cache', 'store', 'STORED SPA']);
+  assert.equal((await checkVAT({ countryCode: 'IT', vatNumber: '00743110157', maxAgeMs: 60000 })).cacheTier, 'memory');
+  assert.equal(vies.calls.length, 0);
+
+  assert.equal((await checkVAT({ countryCode: 'IT', vatNumber: '00743110157', maxAgeMs: 10000 })).source, 'vies', 'too old');
+});
+
+test('a cache store that cannot be read is a miss, not a failed lookup', async (t) => {
+  vies.reset();
+  vies.answer = ok;
+  t.mock.method(storage, 'getJSON', async () => { throw new Error('storage_unavailable'); });
+  t.mock.method(console, 'error', () => {});
+  const live = await checkVAT({ countryCode: 'ES', vatNumber: 'B58378431', maxAgeMs: 60000 });
+  assert.deepEqual([live.source, live.valid], ['vies', true]);
+  assert.equal(vies.calls.length, 1);
+});
+
+test('an outage falls back to the cache; a rejected input does not', async () => {
+  vies.reset();
+  vies.answer = ok;
+  await checkVAT({ countryCode: 'BE', vatNumber: '0403170701' });
+
+  vies.answer = failWith('SERVICE_UNAVAILABLE');
+  const fallback = await checkVAT({ countryCode: 'BE', vatNumber: '0403170701' });
+  assert.deepEqual([fallback.source, fallback.valid, fallback.viesError], ['cache', true, 'service_unavailable']);
+
+  vies.answer = failWith('INVALID_INPUT');
+  const rejected = await checkVAT({ countryCode: 'BE', vatNumber: '0403170701' });
+  assert.deepEqual([rejected.source, rejected.valid, rejected.error, rejected.retryable], ['error', null, 'invalid_input', false]);
+});
+
+test('an unknown outcome is valid: null with a stable code, never invalid', async () => {
+  vies.reset();
+  vies.answer = failWith('TIMEOUT');
+  const r = await checkVAT({ countryCode: 'NL', vatNumber: '004495445B01' });
+  assert.deepEqual([r.source, r.valid, r.error, r.retryable], ['error', null, 'timeout', true]);
+});
+
+test('malformed numbers are rejected offline', async () => {
+  vies.reset();
+  const r = await checkVAT({ countryCode: 'DE', vatNumber: '136695977' });
+  assert.deepEqual([r.source, r.valid, r.error, r.retryable], ['syntax', false, 'invalid_format', false]);
+  assert.equal(vies.calls.length, 0);
+});
+
+test('the SOAP client is built once; a transient fault is retried', async () => {
+  vies.reset();
+  vies.answer = (call) => (vies.calls.length === 1 ? failWith('MS_UNAVAILABLE')() : ok(call));
+  const r = await checkVAT({ countryCode: 'PL', vatNumber: '5260001246' });
+  assert.equal(r.source, 'vies');
+  assert.equal(vies.calls.length, 2);
+  assert.equal(soap.createClientAsync.mock.callCount(), 1);
+});
+
+test('a failing member state opens its breaker; after the cooldown a probe closes it', async () => {
+  vies.reset();
+  vies.answer = failWith('MS_UNAVAILABLE');
+  await checkVAT({ countryCode: 'AT', vatNumber: 'U13585627' });
+  await checkVAT({ countryCode: 'AT', vatNumber: 'U13585627' });
+  assert.equal(breakerState().AT.state, 'open');
+  assert.equal(vies.calls.length, 4, 'each lookup retried once');
+
+  const fast = await checkVAT({ countryCode: 'AT', vatNumber: 'U13585627' });
+  assert.deepEqual([fast.source, fast.error, fast.retryable], ['error', 'circuit_open', true]);
+  assert.equal(vies.calls.length, 4, 'an open circuit does not call VIES');
+
+  vies.answer = ok;
+  assert.equal((await checkVAT({ countryCode: 'ES', vatNumber: 'B58378431' })).source, 'vies', 'other member states are unaffected');
+
+  await new Promise((r) => setTimeout(r, 60));
+  assert.equal((await checkVAT({ countryCode: 'AT', vatNumber: 'U13585627' })).source, 'vies');
+  assert.equal(breakerState().AT, undefined);
+});
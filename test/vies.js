@@ -0,0 +1,45 @@
+// test/vies.js — fake VIES behind soap.createClientAsync; import it before the modules that call VIES
+// Set vies.answer to a function ({ op, args }) => raw result (or throw to fail the call); every call lands in vies.calls.
+
+import { mock } from 'node:test';
+import soap from 'soap';
+
+export const vies = {
+  calls: [],
+  inFlight: 0,
+  maxInFlight: 0,
+  delayMs: 0,
+  answer: ({ args }) => ({ ...args, requestDate: new Date('2024-01-02T00:00:00Z'), valid: true, name: 'ACME GMBH', address: 'MAIN ST 1' }),
+  reset() {
+    this.calls = [];
+    this.inFlight = 0;
+    this.maxInFlight = 0;
+    this.delayMs = 0;
+  },
+};
+
+async function call(op, args) {
+  vies.calls.push({ op, args });
+  vies.inFlight++;
+  vies.maxInFlight = Math.max(vies.maxInFlight, vies.inFlight);
+  try {
+    if (vies.delayMs) await new Promise((r) => setTimeout(r, vies.delayMs));
+    return [await vies.answer({ op, args })];
+  } finally {
+    vies.inFlight--;
+  }
+}
+
+const client = {
+  checkVatAsync: (args) => call('checkVat', args),
+  checkVatApproxAsync: (args) => call('checkVatApprox', args),
+};
+
+mock.method(soap, 'createClientAsync', async () => client);
+
+/** A SOAP fault the way the soap package reports one (faults.js reads root.Envelope.Body.Fault.faultstring). */
+export function soapFault(faultstring) {
+  const err = new Error(faultstring);
+  err.root = { Envelope: { Body: { Fault: { faultcode: 'soap:Server', faultstring } } } };
+  return err;
+}
@@ -0,0 +1,137 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { vies } from './vies.js';
+
+// Dev-mode lists (no customer id) on the default plan; intervals short enough to come due within a test
+process.env.ENFORCE_STRIPE = '0';
+process.env.VATFIX_WATCH_RETRY_MIN = '0.001';     // 60ms
+process.env.VATFIX_WATCH_EVERY_HOURS = '0.00005'; // 180ms ± 10%
+
+const { addWatch, removeWatch, getWatchlist, getWatchItem, runWatch } = await import('../lib/watch.js');
+const { default: storage } = await import('../lib/storage.js');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const registry = { valid: true, name: 'ACME GMBH', address: 'MAIN ST 1\nBERLIN' };
+vies.answer = ({ args }) => ({ ...args, requestDate: new Date(), ...registry });
+const dueEntries = async (keyId) => (await storage.list('watch/due/')).filter((k) => k.endsWith(`/${keyId}.json`));
+
+test('adding numbers indexes the list under the hour of its first due check', async () => {
+  const out = await addWatch({ keyId: 'key_index' }, [
+    { countryCode: 'DE', vatNumber: '136695976', label: 'Acme' },
+    { countryCode: 'DE', vatNumber: '136695977' },
+  ], { max: 10 });
+  assert.deepEqual(out.added.map((i) => i.vat), ['DE136695976']);
+  assert.deepEqual(out.rejected, [{ countryCode: 'DE', vatNumber: '136695977', error: 'invalid_format' }]);
+
+  const list = await getWatchlist('key_index');
+  assert.equal(list.dueSlot, list.items[0].nextCheckAt.slice(0, 13));
+  assert.deepEqual(await dueEntries('key_index'), [`watch/due/${list.dueSlot}/key_index.json`]);
+
+  await assert.rejects(addWatch({ keyId: 'key_index' }, [{ countryCode: 'FR', vatNumber: '40303265045' }], { max: 1 }), /watchlist_full/);
+  assert.equal(await removeWatch('key_index', 'DE', '136695976'), true);
+  assert.equal((await getWatchlist('key_index')).dueSlot, null);
+  assert.deepEqual(await dueEntries('key_index'), [], 'an empty list is not due');
+});
+
+test('a due number is checked, and only real registry changes go to its history', async () => {
+  await addWatch({ keyId: 'key_changes' }, [{ countryCode: 'FR', vatNumber: '40303265045' }], { max: 10 });
+  await sleep(80);
+  vies.reset();
+  assert.equal((await runWatch()).checked, 1);
+  assert.equal(vies.calls.length, 1);
+
+  let { item, history } = await getWatchItem('key_changes', 'FR', '40303265045');
+  assert.deepEqual([item.valid, item.name, item.lastError], [true, 'ACME GMBH', null]);
+  assert.deepEqual(history.map((h) => h.changed), [null], 'the first answer is the baseline');
+  assert.ok(Date.parse(item.nextCheckAt) > Date.now());
+
+  // Same registry data, formatted differently: no change
+  registry.address = ' main st 1  berlin ';
+  await sleep(220);
+  await runWatch();
+  ({ history } = await getWatchItem('key_changes', 'FR', '40303265045'));
+  assert.equal(history.length, 1);
+
+  registry.name = 'ACME SE';
+  registry.valid = false;
+  await sleep(220);
+  await runWatch();
+  ({ item, history } = await getWatchItem('key_changes', 'FR', '40303265045'));
+  assert.deepEqual(history[0].changed, ['valid', 'name']);
+  assert.deepEqual([item.valid, item.name], [false, 'ACME SE']);
+  assert.ok(item.lastChangeAt);
+
+  const list = await getWatchlist('key_changes');
+  assert.deepEqual(await dueEntries('key_changes'), [`watch/due/${list.dueSlot}/key_changes.json`]);
+});
+
+test('an unanswered check is retried soon and leaves the history alone', async () => {
+  await addWatch({ keyId: 'key_retry' }, [{ countryCode: 'BE', vatNumber: '0403170701' }], { max: 10 });
+  await sleep(80);
+  vies.answer = () => { throw Object.assign(new Error('reset'), { code: 'ECONNRESET' }); };
+  try {
+    await runWatch();
+  } finally {
+    vies.answer = ({ args }) => ({ ...args, requestDate: new Date(), ...registry });
+  }
+  const { item, history } = await getWatchItem('key_retry', 'BE', '0403170701');
+  assert.deepEqual([item.lastError, item.lastCheckedAt, history.length], ['vies_unavailable', null, 0]);
+  assert.ok(Date.parse(item.nextCheckAt) - Date.now() <= 60000);
+});
+
+test('index entries no list points at are cleared once they are old', async () => {
+  await storage.putJSON('watch/due/2000-01-01T00/ghost.json', { keyId: 'ghost', at: '2000-01-01T00:00:00.000Z' });
+  await storage.putJSON('watch/due/2000-01-01T00/fresh.json', { keyId: 'fresh', at: new Date().toISOString() });
+  await runWatch();
+  assert.equal(await storage.getJSON('watch/due/2000-01-01T00/ghost.json'), null);
+  assert.ok(await storage.getJSON('watch/due/2000-01-01T00/fresh.json'), 'a writer may be about to point a list at it');
+});
+
+// A list due since 2001, written straight to storage
+async function pastDueList(keyId, slot) {
+  const item = {
+    countryCode: 'DE', vatNumber: '136695976', label: null, addedAt: `${slot}:00:00.000Z`, nextCheckAt: `${slot}:00:00.000Z`,
+    lastCheckedAt: null, valid: null, name: null, address: null, lastLookupId: null, lastChangeAt: null, lastError: null,
+  };
+  const list = { keyId, customerId: null, email: null, updatedAt: null, dueSlot: slot, items: [item] };
+  await storage.putJSON(`watch/lists/${keyId}.json`, list);
+  return list;
+}
+
+test('a writer leaves the due entry of a slot another writer pointed the list back at', async (t) => {
+  const slot = '2001-01-01T00';
+  const list = await pastDueList('key_race', slot);
+  await storage.putJSON(`watch/due/${slot}/key_race.json`, { keyId: 'key_race', at: new Date().toISOString() });
+
+  // The number is added back (same slot) between this removal's write and its index cleanup
+  const { replaceJSON } = storage;
+  t.mock.method(storage, 'replaceJSON', async (...args) => {
+    const written = await replaceJSON.apply(storage, args);
+    t.mock.restoreAll();
+    await storage.putJSON(`watch/due/${slot}/key_race.json`, { keyId: 'key_race', at: new Date().toISOString() });
+    await storage.putJSON('watch/lists/key_race.json', list);
+    return written;
+  });
+  assert.equal(await removeWatch('key_race', 'DE', '136695976'), true);
+
+  assert.deepEqual(await dueEntries('key_race'), [`watch/due/${slot}/key_race.json`]);
+  await runWatch({ limit: 100 });
+  assert.ok((await getWatchItem('key_race', 'DE', '136695976')).item.lastCheckedAt);
+});
+
+test('a list whose due entry went missing is indexed again', async (t) => {
+  // An entry left in the slot the list moved off leads to the slot it points at now
+  await pastDueList('key_moved', '2001-01-01T01');
+  await storage.putJSON('watch/due/2001-01-01T00/key_moved.json', { keyId: 'key_moved', at: '2001-01-01T00:00:00.000Z' });
+  await runWatch({ limit: 0 });
+  assert.deepEqual(await dueEntries('key_moved'), ['watch/due/2001-01-01T01/key_moved.json']);
+
+  // A list with no entry at all is found by the periodic sweep
+  await pastDueList('key_orphan', '2001-01-01T02');
+  await runWatch({ limit: 0 });
+  assert.deepEqual(await dueEntries('key_orphan'), [], 'the sweep is not due yet');
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 3600000 });
+  await runWatch({ limit: 0 });
+  assert.deepEqual(await dueEntries('key_orphan'), ['watch/due/2001-01-01T02/key_orphan.json']);
+});
@@ -0,0 +1,93 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { sent } from './mail.js';
+import { startStripe, list } from './stripe.js';
+
+process.env.VATFIX_DUNNING_DAYS = '7';
+
+// Stripe's current view of each object, edited by the tests
+const invoices = new Map();
+const subscriptions = new Map();
+const customers = new Map();
+await startStripe({
+  'GET /v1/invoices/:id': ({ params }) => invoices.get(params.id),
+  'GET /v1/subscriptions/:id': ({ params }) => subscriptions.get(params.id),
+  'GET /v1/subscriptions': ({ query }) => list([...subscriptions.values()].filter((s) => s.customer === query.get('customer'))),
+  'GET /v1/customers/:id': ({ params }) => customers.get(params.id),
+});
+
+const { processEvent } = await import('../webhook.js');
+const { upsertEntitlement, getCustomer, emailIndexKey } = await import('../lib/keys.js');
+const { default: storage } = await import('../lib/storage.js');
+
+let n = 0;
+const eventOf = (type, object) => ({ id: `evt_life_${++n}`, type, created: Math.floor(Date.now() / 1000), data: { object } });
+const mailsTo = (to) => sent.filter((m) => m.to === to);
+const inDays = (days) => Math.floor(Date.now() / 1000) + days * 86400;
+
+test('a failed payment starts dunning once and emails each new attempt', async () => {
+  await upsertEntitlement({ customerId: 'cus_dun', email: 'dun@example.com' });
+  invoices.set('in_dun', { id: 'in_dun', object: 'invoice', customer: 'cus_dun', status: 'open', attempt_count: 1, next_payment_attempt: inDays(3) });
+
+  assert.equal(await processEvent(eventOf('invoice.payment_failed', { id: 'in_dun', customer: 'cus_dun' })), 'dunning');
+  const first = (await getCustomer('cus_dun')).dunning;
+  assert.equal(first.attempt, 1);
+  assert.equal(first.notifiedAttempt, 1);
+  assert.equal(Date.parse(first.accessUntil) - Date.parse(first.since), 7 * 86400000);
+  assert.equal(mailsTo('dun@example.com').length, 1);
+  assert.match(mailsTo('dun@example.com')[0].subject, /Payment failed/);
+
+  // Stripe re-sends the same attempt: no second notice
+  await processEvent(eventOf('invoice.payment_failed', { id: 'in_dun', customer: 'cus_dun' }));
+  assert.equal(mailsTo('dun@example.com').length, 1);
+
+  invoices.get('in_dun').attempt_count = 2;
+  await processEvent(eventOf('invoice.payment_failed', { id: 'in_dun', customer: 'cus_dun' }));
+  const second = (await getCustomer('cus_dun')).dunning;
+  assert.deepEqual([second.attempt, second.notifiedAttempt, second.since, second.accessUntil], [2, 2, first.since, first.accessUntil]);
+  assert.equal(mailsTo('dun@example.com').length, 2);
+});
+
+test('a failure event for an invoice paid since is ignored; a paid-up sync ends dunning', async () => {
+  await upsertEntitlement({ customerId: 'cus_paid', email: 'paid@example.com' });
+  invoices.set('in_paid', { id: 'in_paid', object: 'invoice', customer: 'cus_paid', status: 'open', attempt_count: 1 });
+  await processEvent(eventOf('invoice.payment_failed', { id: 'in_paid', customer: 'cus_paid' }));
+  assert.ok((await getCustomer('cus_paid')).dunning);
+
+  invoices.get('in_paid').status = 'paid';
+  assert.equal(await processEvent(eventOf('invoice.payment_failed', { id: 'in_paid', customer: 'cus_paid' })), 'already_settled');
+
+  subscriptions.set('sub_paid', { id: 'sub_paid', object: 'subscription', customer: 'cus_paid', status: 'active', items: { data: [] } });
+  assert.equal(await processEvent(eventOf('invoice.payment_succeeded', { id: 'in_paid', customer: 'cus_paid' })), 'active');
+  assert.equal((await getCustomer('cus_paid')).dunning, null);
+});
+
+test('a trial ending is announced once per trial end', async () => {
+  await upsertEntitlement({ customerId: 'cus_trial', email: 'trial@example.com' });
+  subscriptions.set('sub_trial', { id: 'sub_trial', object: 'subscription', customer: 'cus_trial', status: 'trialing', trial_end: inDays(3), items: { data: [] } });
+  const event = () => eventOf('customer.subscription.trial_will_end', { id: 'sub_trial', customer: 'cus_trial' });
+
+  assert.equal(await processEvent(event()), 'notified');
+  assert.equal(await processEvent(event()), 'already_notified');
+  assert.equal(mailsTo('trial@example.com').length, 1);
+  assert.match(mailsTo('trial@example.com')[0].subject, /Trial ending/);
+  assert.equal((await getCustomer('cus_trial')).trialUntil, new Date(subscriptions.get('sub_trial').trial_end * 1000).toISOString());
+
+  subscriptions.get('sub_trial').status = 'active';
+  assert.equal(await processEvent(event()), 'not_trialing');
+});
+
+test('an email change in Stripe moves the stored email and its index', async () => {
+  await upsertEntitlement({ customerId: 'cus_mail', email: 'old@example.com' });
+  customers.set('cus_mail', { id: 'cus_mail', object: 'customer', email: 'new@example.com' });
+
+  assert.equal(await processEvent(eventOf('customer.updated', { id: 'cus_mail' })), 'email_updated');
+  assert.equal((await getCustomer('cus_mail')).email, 'new@example.com');
+  assert.deepEqual(await storage.getJSON(emailIndexKey('new@example.com')), { customerId: 'cus_mail' });
+  assert.equal(await storage.getJSON(emailIndexKey('old@example.com')), null);
+
+  assert.equal(await processEvent(eventOf('customer.updated', { id: 'cus_mail' })), 'unchanged');
+  customers.set('cus_mail', { id: 'cus_mail', object: 'customer', deleted: true });
+  assert.equal(await processEvent(eventOf('customer.updated', { id: 'cus_mail' })), 'deleted');
+});
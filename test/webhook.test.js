@@ -0,0 +1,61 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Nothing listens here: events that re-read Stripe fail at once
+process.env.STRIPE_API_BASE = 'http://127.0.0.1:9';
+
+const { processEvent, getStoredEvent } = await import('../webhook.js');
+const { default: storage } = await import('../lib/storage.js');
+
+let n = 0;
+const eventOf = (type, object = {}) => ({ id: `evt_test_${++n}`, type, created: Math.floor(Date.now() / 1000), data: { object } });
+
+test('a processed event is answered from the ledger', async () => {
+  const event = eventOf('charge.refunded', { object: 'charge', customer: 'cus_1' });
+  assert.equal(await processEvent(event), 'ignored');
+  assert.equal(await processEvent(event), 'duplicate');
+
+  const stored = await getStoredEvent(event.id);
+  assert.deepEqual([stored.status, stored.outcome, stored.attempts, stored.customerId], ['processed', 'ignored', 1, 'cus_1']);
+});
+
+test('of two concurrent deliveries exactly one runs the event', async () => {
+  const event = eventOf('charge.refunded');
+  const outcomes = await Promise.all([processEvent(event), processEvent(event)]);
+  assert.deepEqual(outcomes.sort(), ['ignored', 'in_progress']);
+  assert.equal((await getStoredEvent(event.id)).attempts, 1);
+});
+
+test('a replay re-runs a processed event and counts the attempt', async () => {
+  const event = eventOf('charge.refunded');
+  await processEvent(event);
+  assert.equal(await processEvent(event, { replay: true }), 'ignored');
+
+  const stored = await getStoredEvent(event.id);
+  assert.equal(stored.attempts, 2);
+  assert.ok(stored.replayedAt);
+  assert.equal(stored.status, 'processed');
+});
+
+test('a failed event is recorded and run again on the next delivery', async () => {
+  const event = eventOf('customer.subscription.updated', { object: 'subscription', customer: 'cus_failing' });
+  await assert.rejects(processEvent(event));
+  const failed = await getStoredEvent(event.id);
+  assert.deepEqual([failed.status, failed.attempts], ['failed', 1]);
+  assert.ok(failed.error);
+
+  await assert.rejects(processEvent(event));
+  assert.equal((await getStoredEvent(event.id)).attempts, 2);
+});
+
+test('a delivery stuck in processing is taken over once its lease has run out', async () => {
+  const fresh = eventOf('charge.refunded');
+  await storage.putJSON(`webhooks/events/${fresh.id}.json`, { id: fresh.id, status: 'processing', startedAt: new Date().toISOString(), attempts: 1 });
+  assert.equal(await processEvent(fresh), 'in_progress');
+
+  const stale = eventOf('charge.refunded');
+  await storage.putJSON(`webhooks/events/${stale.id}.json`, { id: stale.id, status: 'processing', startedAt: new Date(Date.now() - 120000).toISOString(), attempts: 1 });
+  assert.equal(await processEvent(stale), 'ignored');
+  assert.deepEqual([(await getStoredEvent(stale.id)).status, (await getStoredEvent(stale.id)).attempts], ['processed', 2]);
+});
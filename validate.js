@@ -1,89 +1,185 @@
-// lib/validate.js — VIES validator with S3 (AWS SDK v3) cache + resilient fallback
-// Stable payload: { countryCode, vatNumber, valid, name, address, requestDate, lookupId, source, cacheTtlMs, [cached], [error] }
+// lib/validate.js — VIES validator with two-tier cache (in-process LRU → storage) + resilient fallback
+// Stable payload: { countryCode, vatNumber, valid, name, address, requestDate, lookupId, source, cacheTtlMs,
+//                  [cached], [cachedAt], [cacheTier], [viesError], [error], [retryable] }
+// checkVatApprox lookups (requester and/or trader details given) add { requestIdentifier, match }
+// source: 'vies' | 'cache' | 'error' | 'syntax' (rejected offline, never sent to VIES)
+// source 'error': valid is null (unknown, NOT invalid), error is a stable code from faults.js, retryable says if trying later may help
 
 import https from 'https';
 import soap from 'soap';
-import { S3Client, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { checkSyntax } from './syntax.js';
+import storage from './storage.js';
+import { createLru } from './lru.js';
+import { createBreakers } from './breaker.js';
+import { classifyViesError } from './faults.js';
+import { newLookupId } from './audit.js';
 
 const {
-  S3_BUCKET,
-  AWS_REGION = 'eu-north-1',
   VATFIX_CACHE_TTL_MS = String(12 * 3600 * 1000), // 12h
+  VATFIX_MEMORY_CACHE_MAX = '10000',               // entries kept in the in-process tier
+  VATFIX_VIES_TIMEOUT_MS = '2500',
+  VATFIX_VIES_RETRIES = '2',                       // extra attempts on transient faults
+  VATFIX_VIES_RETRY_BASE_MS = '200',
+  VATFIX_BREAKER_THRESHOLD = '5',                  // consecutive failures before a member state opens
+  VATFIX_BREAKER_COOLDOWN_MS = '30000',            // open time before a probe is let through
 } = process.env;
 
-const s3 = new S3Client({ region: AWS_REGION });
 const WSDL = 'https://ec.europa.eu/taxation_customs/vies/checkVatService.wsdl';
 const CACHE_TTL_MS = Number(VATFIX_CACHE_TTL_MS) || 12 * 3600 * 1000;
 
+const VIES_TIMEOUT_MS = Number(VATFIX_VIES_TIMEOUT_MS) || 2500;
+const VIES_RETRIES = Math.max(0, Number(VATFIX_VIES_RETRIES) || 0);
+const RETRY_BASE_MS = Number(VATFIX_VIES_RETRY_BASE_MS) || 200;
+
 // Keep‑alive TLS; short socket + handshake timeouts
-const httpsAgent = new https.Agent({ keepAlive: true, timeout: 2500 });
+const httpsAgent = new https.Agent({ keepAlive: true, timeout: VIES_TIMEOUT_MS });
+
+// One breaker per member state: a flaky MS never slows lookups for the others
+const breakers = createBreakers({
+  threshold: Number(VATFIX_BREAKER_THRESHOLD) || 5,
+  cooldownMs: Number(VATFIX_BREAKER_COOLDOWN_MS) || 30000,
+});
 
 const cacheKey = (countryCode, vatNumber) =>
   `cache/${String(countryCode || '').toUpperCase()}_${String(vatNumber || '').replace(/\s+/g, '')}.json`;
 
-// ---------- S3 helpers (v3) ----------
-async function getJSON(Key) {
-  if (!S3_BUCKET) return null;
-  try {
-    const out = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key }));
-    const buf =
-      typeof out.Body?.transformToByteArray === 'function'
-        ? Buffer.from(await out.Body.transformToByteArray())
-        : Buffer.from(await streamToBuffer(out.Body));
-    return JSON.parse(buf.toString('utf8'));
-  } catch {
+// ---------- Cache ----------
+// Memory tier holds the same { cachedAt, payload } records as storage, keyed by cacheKey
+const memory = createLru({ max: Number(VATFIX_MEMORY_CACHE_MAX) || 10000, ttlMs: CACHE_TTL_MS });
+const counters = { memoryHits: 0, storeHits: 0, misses: 0 };
+
+const ageOf = (rec) => Date.now() - new Date(rec?.cachedAt).getTime();
+
+// Newest record younger than maxAgeMs, memory first; null when neither tier has one
+async function getCached(countryCode, vatNumber, maxAgeMs = CACHE_TTL_MS) {
+  const key = cacheKey(countryCode, vatNumber);
+
+  const mem = memory.get(key);
+  if (mem && ageOf(mem) < maxAgeMs) {
+    counters.memoryHits++;
+    return { ...mem, tier: 'memory' };
+  }
+
+  // A store that cannot be read is a miss: the lookup goes on to VIES
+  const rec = await storage.getJSON(key).catch((e) => {
+    console.error('[cache] store read failed:', e?.cause?.message || e?.message || e);
     return null;
+  });
+  if (rec && ageOf(rec) < maxAgeMs) {
+    counters.storeHits++;
+    memory.set(key, rec, CACHE_TTL_MS - ageOf(rec));
+    return { ...rec, tier: 'store' };
   }
+
+  counters.misses++;
+  return null;
 }
-async function putJSON(Key, data) {
-  if (!S3_BUCKET) return;
-  try {
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: S3_BUCKET,
-        Key,
-        Body: JSON.stringify(data),
-        ContentType: 'application/json',
-      }),
-    );
-  } catch {
-    // best‑effort
+async function setCached(countryCode, vatNumber, payload) {
+  const rec = { cachedAt: new Date().toISOString(), payload };
+  memory.set(cacheKey(countryCode, vatNumber), rec);
+  await storage.putJSON(cacheKey(countryCode, vatNumber), rec);
+}
+
+// requestDate stays the one VIES gave for the cached answer
+function fromCache(rec, lookupId) {
+  return {
+    ...rec.payload,
+    lookupId,
+    source: 'cache',
+    cacheTtlMs: CACHE_TTL_MS,
+    cached: true,
+    cachedAt: rec.cachedAt,
+    cacheTier: rec.tier,
+  };
+}
+
+// ---------- VIES ----------
+// WSDL is fetched and parsed once; a failed build is forgotten so the next call retries it
+let clientPromise = null;
+function getClient() {
+  if (!clientPromise) {
+    clientPromise = soap
+      .createClientAsync(WSDL, {
+        wsdl_headers: { 'User-Agent': 'VATFix-Plus/1.0' },
+        wsdl_options: { httpsAgent, timeout: VIES_TIMEOUT_MS },
+        // endpoint left default; WSDL provides it
+      })
+      .catch((err) => {
+        clientPromise = null;
+        throw err;
+      });
   }
+  return clientPromise;
 }
-function streamToBuffer(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (c) => chunks.push(c));
-    stream.on('end', () => resolve(Buffer.concat(chunks)));
-    stream.on('error', reject);
-  });
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// approx: null for plain checkVat, else extra checkVatApprox fields (trader*, requester*)
+async function viesCall(countryCode, vatNumber, approx = null) {
+  let lastErr;
+  for (let attempt = 0; attempt <= VIES_RETRIES; attempt++) {
+    try {
+      const client = await getClient();
+      const opts = { timeout: VIES_TIMEOUT_MS, httpsAgent };
+      const [raw] = approx
+        ? await client.checkVatApproxAsync({ countryCode, vatNumber, ...approx }, opts)
+        : await client.checkVatAsync({ countryCode, vatNumber }, opts);
+      // raw: { countryCode, vatNumber, requestDate, valid, name, address }
+      //   or { …, traderName, traderAddress, trader*Match, requestIdentifier } for approx
+      return raw;
+    } catch (err) {
+      lastErr = err;
+      if (attempt === VIES_RETRIES || !classifyViesError(err).retryable) break;
+      // exponential backoff with full jitter
+      await sleep(Math.random() * RETRY_BASE_MS * 2 ** attempt);
+    }
+  }
+  throw lastErr;
 }
 
-// ---------- Cache ----------
-async function getCached(countryCode, vatNumber) {
-  const rec = await getJSON(cacheKey(countryCode, vatNumber));
-  if (!rec) return null;
-  const fresh = Date.now() - new Date(rec.cachedAt).getTime() < CACHE_TTL_MS;
-  return fresh ? rec.payload : null;
+// viesCall behind the member state's breaker; open circuits fail fast into the cache fallback
+async function guardedViesCall(countryCode, vatNumber, approx) {
+  if (!breakers.allow(countryCode)) throw new Error('circuit_open');
+  try {
+    const raw = await viesCall(countryCode, vatNumber, approx);
+    breakers.success(countryCode);
+    return raw;
+  } catch (err) {
+    // caller faults mean VIES answered, so they count as a healthy member state
+    if (classifyViesError(err).callerFault) breakers.success(countryCode);
+    else breakers.failure(countryCode, err);
+    throw err;
+  }
 }
-async function setCached(countryCode, vatNumber, payload) {
-  await putJSON(cacheKey(countryCode, vatNumber), {
-    cachedAt: new Date().toISOString(),
-    payload,
-  });
+
+// ---------- checkVatApprox ----------
+const TRADER_FIELDS = ['traderName', 'traderCompanyType', 'traderStreet', 'traderPostcode', 'traderCity'];
+const MATCH_CODES = { 1: 'valid', 2: 'invalid', 3: 'not_processed' };
+
+// SOAP args in WSDL sequence order; null when nothing calls for checkVatApprox
+function approxArgs(requester, trader) {
+  const args = {};
+  for (const f of TRADER_FIELDS) {
+    const v = String(trader?.[f] || '').trim();
+    if (v) args[f] = v;
+  }
+  if (requester?.countryCode && requester?.vatNumber) {
+    args.requesterCountryCode = String(requester.countryCode).toUpperCase();
+    args.requesterVatNumber = String(requester.vatNumber);
+  }
+  return Object.keys(args).length ? args : null;
 }
 
-// ---------- VIES ----------
-async function viesCall(countryCode, vatNumber) {
-  // soap allows passing wsdl_options to control agent/timeouts
-  const client = await soap.createClientAsync(WSDL, {
-    wsdl_headers: { 'User-Agent': 'VATFix-Plus/1.0' },
-    wsdl_options: { agent: httpsAgent, timeout: 2500 },
-    // endpoint left default; WSDL provides it
-  });
-  const [raw] = await client.checkVatAsync({ countryCode, vatNumber });
-  // raw: { countryCode, vatNumber, requestDate, valid, name, address }
-  return raw;
+// Per-field match codes (1/2/3) → 'valid' | 'invalid' | 'not_processed'; null when not requested
+function matchCodes(raw) {
+  const code = (v) => (v === undefined || v === null ? null : MATCH_CODES[String(v)] || String(v));
+  return {
+    name: code(raw.traderNameMatch),
+    companyType: code(raw.traderCompanyTypeMatch),
+    street: code(raw.traderStreetMatch),
+    postcode: code(raw.traderPostcodeMatch),
+    city: code(raw.traderCityMatch),
+  };
 }
 
 // Normalize VIES requestDate to valid ISO 8601
@@ -102,67 +198,116 @@ function normalizeRequestDate(rd) {
 
 // ---------- Public API ----------
 /**
- * checkVAT({ countryCode, vatNumber, email? })
- * -> { countryCode, vatNumber, valid, name, address, requestDate, lookupId, source, cacheTtlMs, cached?, error? }
+ * checkVAT({ countryCode, vatNumber, maxAgeMs?, requester?, trader? })
+ * -> { countryCode, vatNumber, valid, name, address, requestDate, lookupId, source, cacheTtlMs, cached?, cachedAt?, cacheTier?, error?,
+ *      requestIdentifier?, match? }
+ *
+ * maxAgeMs > 0 switches to cache-first: a cached answer at most that old is returned without calling VIES.
+ * requester { countryCode, vatNumber } and/or trader { traderName, traderCompanyType, traderStreet, traderPostcode, traderCity }
+ * switch to checkVatApprox; with a requester VIES issues a consultation number (requestIdentifier).
  */
-export async function checkVAT({ countryCode, vatNumber, email }) {
-  const cc = String(countryCode || '').toUpperCase().trim();
-  const vn = String(vatNumber || '').replace(/\s+/g, '');
-  const lookupId = `${cc}-${vn}-${Date.now().toString(36)}`;
+export async function checkVAT({ countryCode, vatNumber, maxAgeMs, requester, trader }) {
+  const syntax = checkSyntax(countryCode, vatNumber);
+  const cc = syntax.countryCode;
+  const vn = syntax.vatNumber;
+  const lookupId = newLookupId(cc, vn);
 
-  // write‑only audit (best‑effort)
-  try {
-    const t = new Date().toISOString().replace(/[:]/g, '-');
-    await putJSON(`logs/${t}_${vn || 'unknown'}.json`, { t, countryCode: cc, vatNumber: vn, email });
-  } catch {
-    // ignore
+  // offline format/check-digit gate: malformed numbers never reach VIES
+  if (!syntax.valid) {
+    return {
+      countryCode: cc,
+      vatNumber: vn,
+      valid: false,
+      name: null,
+      address: null,
+      requestDate: new Date().toISOString(),
+      lookupId,
+      source: 'syntax',
+      cacheTtlMs: CACHE_TTL_MS,
+      error: syntax.reason, // 'invalid_format' | 'unsupported_country'
+      retryable: false,
+    };
+  }
+
+  const approx = approxArgs(requester, trader);
+
+  // cache-first when the caller accepts an answer of bounded age
+  // (never for approx lookups: a consultation number only comes from a live call)
+  const maxAge = Math.min(Number(maxAgeMs) || 0, CACHE_TTL_MS);
+  if (maxAge > 0 && !approx) {
+    const hit = await getCached(cc, vn, maxAge);
+    if (hit) return fromCache(hit, lookupId);
   }
 
   try {
     // live VIES
-    const res = await viesCall(cc, vn);
+    const res = await guardedViesCall(cc, vn, approx);
     const payload = {
       countryCode: res.countryCode || cc,
       vatNumber: res.vatNumber || vn,
       valid: !!res.valid,
-      name: res.name || null,
-      address: res.address || null,
+      name: res.name || res.traderName || null,
+      address: res.address || res.traderAddress || null,
       requestDate: normalizeRequestDate(res.requestDate),
       lookupId,
       source: 'vies',
       cacheTtlMs: CACHE_TTL_MS,
     };
+    // the cache keeps only the plain checkVat view; consultation numbers are per request
     try { await setCached(cc, vn, payload); } catch {}
+    if (approx) {
+      return { ...payload, requestIdentifier: res.requestIdentifier || null, match: matchCodes(res) };
+    }
     return payload;
   } catch (err) {
-    // cache fallback
-    const cached = await getCached(cc, vn);
+    const fault = classifyViesError(err);
+
+    // cache fallback, unless VIES rejected the input itself
+    // (an approx caller learns there is no consultation number)
+    const cached = fault.callerFault ? null : await getCached(cc, vn);
     if (cached) {
-      return {
-        ...cached,
-        requestDate: new Date().toISOString(),
-        lookupId,
-        source: 'cache',
-        cacheTtlMs: CACHE_TTL_MS,
-        cached: true,
-      };
+      const out = { ...fromCache(cached, lookupId), viesError: fault.code };
+      return approx ? { ...out, requestIdentifier: null, match: null } : out;
     }
-    // soft error
+
+    // unknown outcome: valid is null so callers never mistake an outage for an invalid number
     return {
       countryCode: cc,
       vatNumber: vn,
-      valid: false,
+      valid: null,
       name: null,
       address: null,
       requestDate: new Date().toISOString(),
       lookupId,
       source: 'error',
       cacheTtlMs: CACHE_TTL_MS,
-      error: `fallback:${err?.message || 'unavailable'}`,
+      error: fault.code,
+      retryable: fault.retryable,
+      ...(approx ? { requestIdentifier: null, match: null } : {}),
     };
   }
 }
 
+// Cache counters for the status page (hits per tier, misses, LRU occupancy)
+export function cacheStats() {
+  const lookups = counters.memoryHits + counters.storeHits + counters.misses;
+  return {
+    ...counters,
+    hitRatio: lookups ? (counters.memoryHits + counters.storeHits) / lookups : null,
+    memory: memory.stats(),
+  };
+}
+
+// Per member state breaker state (only states that have failed recently)
+export function breakerState() {
+  return breakers.snapshot();
+}
+
+// True while lookups for this member state skip VIES
+export function isCircuitOpen(countryCode) {
+  return breakers.isOpen(String(countryCode || '').toUpperCase());
+}
+
 // legacy alias
 export async function validateVAT(args) {
   return checkVAT(args);
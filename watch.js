@@ -0,0 +1,448 @@
+// lib/watch.js — per-key VAT number watchlist, re-checked on a schedule through checkVAT
+//   watch/lists/{keyId}.json                 { keyId, customerId, email, updatedAt, dueSlot, items: [item] }
+//   watch/history/{keyId}/{CC}{number}.json  { countryCode, vatNumber, entries: [{ at, lookupId, valid, name, address, changed }] }
+//   watch/due/{slot}/{keyId}.json            due index: the UTC hour (YYYY-MM-DDTHH) of the list's earliest nextCheckAt
+// Lists are changed with conditional writes (retried on conflict), and the due index follows every change, so a tick
+// reads only the lists that have something due.
+// One machine at a time (storage lease) checks at most VATFIX_WATCH_PER_TICK due numbers per tick, one after the other.
+// Each number is re-checked every VATFIX_WATCH_EVERY_HOURS ± 10% so a list added at once does not come due at once;
+// member states whose VIES circuit is open are skipped until it closes. Re-checks are metered, audited, signed and
+// billed like API lookups of the owning key; a check that gets no fresh VIES answer is retried after VATFIX_WATCH_RETRY_MIN.
+// Changes are sent to the key's webhooks as vat.status_changed, unanswered checks as vat.lookup_failed (lib/hooks.js).
+
+import storage, { takeLease } from './storage.js';
+import checkVAT, { isCircuitOpen } from './validate.js';
+import { checkSyntax } from './syntax.js';
+import { meterAndCheck, recordOutcome, recordLookup } from './meter.js';
+import { assertActivePlus } from './entitlement.js';
+import { getCustomer } from './keys.js';
+import { defaultPlan, hasFeature } from './plans.js';
+import { recordBillable } from './billing.js';
+import { auditLookup } from './audit.js';
+import { signReceipt, storeReceipt } from './receipts.js';
+import { faultStatus } from './faults.js';
+import { emitHook } from './hooks.js';
+
+const {
+  VATFIX_WATCH_EVERY_HOURS = '24',   // how often each watched number is re-checked
+  VATFIX_WATCH_RETRY_MIN = '60',     // retry after a check without a fresh VIES answer
+  VATFIX_WATCH_TICK_MS = '60000',    // scheduler interval; 0 = off
+  VATFIX_WATCH_PER_TICK = '10',      // VIES calls per tick (across all lists)
+  VATFIX_WATCH_HISTORY_MAX = '100',  // change entries kept per number
+} = process.env;
+
+const EVERY_MS = (Number(VATFIX_WATCH_EVERY_HOURS) || 24) * 3600000;
+const RETRY_MS = (Number(VATFIX_WATCH_RETRY_MIN) || 60) * 60000;
+const TICK_MS = Number(VATFIX_WATCH_TICK_MS) || 0;
+const PER_TICK = Number(VATFIX_WATCH_PER_TICK) || 10;
+const HISTORY_MAX = Number(VATFIX_WATCH_HISTORY_MAX) || 100;
+const LOCK_PATH = 'watch/lock.json';
+const WRITE_ATTEMPTS = 5;
+const STALE_INDEX_MS = 5 * 60000; // an index entry that no list points to, older than this, is left over
+const REINDEX_MS = 3600000; // how often lists without any index entry are looked for
+
+const listKey = (keyId) => `watch/lists/${keyId}.json`;
+const dueKey = (slot, keyId) => `watch/due/${slot}/${keyId}.json`;
+const historyKey = (keyId, cc, vn) => `watch/history/${keyId}/${cc}${vn}.json`;
+const iso = (ms) => new Date(ms).toISOString();
+const same = (item, cc, vn) => item.countryCode === cc && item.vatNumber === vn;
+
+// Regular re-check time: every EVERY_MS, ±10% so numbers added together drift apart
+const nextRegular = (now) => iso(now + EVERY_MS * (0.9 + Math.random() * 0.2));
+
+// Hour slot of the earliest nextCheckAt, or null for an empty list
+function dueSlot(items) {
+  const first = items.reduce((min, i) => (!min || i.nextCheckAt < min ? i.nextCheckAt : min), null);
+  return first ? first.slice(0, 13) : null;
+}
+
+/* ---------------- Lists ---------------- */
+const emptyList = (keyId) => ({ keyId, customerId: null, email: null, updatedAt: null, dueSlot: null, items: [] });
+
+/** The key's watchlist ({ keyId, items: [] } when it has none). */
+export async function getWatchlist(keyId) {
+  return (await storage.getJSON(listKey(keyId))) || emptyList(keyId);
+}
+
+/**
+ * Read-modify-write one list: fn(list) returns the new list, or null to leave it alone (fn may run more than once).
+ * The write is conditional and retried when another writer got in first. The new due slot is indexed before the
+ * list points at it, so a list is never due without an index entry. Throws 'watchlist_busy'.
+ */
+async function updateList(keyId, fn) {
+  for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt++) {
+    const current = await storage.getVersioned(listKey(keyId));
+    const list = current?.data || emptyList(keyId);
+    const next = fn(list.items ? list : emptyList(keyId));
+    if (!next) return;
+    const slot = dueSlot(next.items);
+    if (slot) await storage.putJSON(dueKey(slot, keyId), { keyId, at: new Date().toISOString() });
+    const doc = { ...next, dueSlot: slot };
+    const written = current
+      ? await storage.replaceJSON(listKey(keyId), doc, current.version)
+      : await storage.createJSON(listKey(keyId), doc);
+    if (!written) {
+      await new Promise((r) => setTimeout(r, 25 * (attempt + 1) * (1 + Math.random()))); // spread the retries
+      continue;
+    }
+    if (current?.data?.dueSlot && current.data.dueSlot !== slot) await dropDueEntry(keyId, current.data.dueSlot);
+    return;
+  }
+  throw new Error('watchlist_busy');
+}
+
+// A slot the list has moved off, unless another writer has since pointed the list back at it (and indexed it)
+async function dropDueEntry(keyId, slot) {
+  const list = await storage.getJSON(listKey(keyId)).catch(() => null);
+  if (!list || list.dueSlot !== slot) await storage.remove(dueKey(slot, keyId)).catch(() => {});
+}
+
+/** "DE 123456788" / "de123456788" → { countryCode, vatNumber } (syntax-normalized; see checkSyntax). */
+export function parseVat(value) {
+  const s = String(value || '').trim();
+  return checkSyntax(s.slice(0, 2), s.slice(2));
+}
+
+const publicItem = (item) => ({ vat: `${item.countryCode}${item.vatNumber}`, ...item });
+
+/**
+ * Add numbers to a key's watchlist. `owner` = { keyId, customerId, email } of the caller, `max` = the plan's
+ * watchlistMax. Numbers already watched are returned as `existing`, malformed ones as `rejected` (with the
+ * checkSyntax reason). All or nothing on size: throws 'watchlist_full' when the new numbers do not fit.
+ */
+export async function addWatch(owner, entries, { max }) {
+  let outcome;
+  await updateList(owner.keyId, (list) => {
+    const { added, existing, rejected } = newItems(list, entries);
+    if (list.items.length + added.length > max) throw new Error('watchlist_full');
+    outcome = { added: added.map(publicItem), existing: existing.map(publicItem), rejected, count: list.items.length + added.length };
+    if (!added.length) return null;
+    return {
+      ...list,
+      keyId: owner.keyId,
+      customerId: owner.customerId || null,
+      email: owner.email || null,
+      updatedAt: new Date().toISOString(),
+      items: [...list.items, ...added],
+    };
+  });
+  return outcome;
+}
+
+// Split requested entries into new items, ones the list already has and malformed ones
+function newItems(list, entries) {
+  const now = Date.now();
+  const added = [];
+  const existing = [];
+  const rejected = [];
+
+  for (const e of entries) {
+    const r = checkSyntax(e?.countryCode, e?.vatNumber);
+    if (!r.valid) {
+      rejected.push({ countryCode: r.countryCode || null, vatNumber: r.vatNumber || null, error: r.reason });
+      continue;
+    }
+    const found = list.items.find((i) => same(i, r.countryCode, r.vatNumber)) || added.find((i) => same(i, r.countryCode, r.vatNumber));
+    if (found) {
+      if (!added.includes(found)) existing.push(found);
+      continue;
+    }
+    added.push({
+      countryCode: r.countryCode,
+      vatNumber: r.vatNumber,
+      label: e.label ? String(e.label).slice(0, 200) : null,
+      addedAt: iso(now),
+      // First check within the retry window, spread so a bulk add does not come due in one tick
+      nextCheckAt: iso(now + Math.random() * RETRY_MS),
+      lastCheckedAt: null,
+      valid: null,
+      name: null,
+      address: null,
+      lastLookupId: null,
+      lastChangeAt: null,
+      lastError: null,
+    });
+  }
+
+  return { added, existing, rejected };
+}
+
+/** Stop watching one number (its history goes too). Returns false when it was not watched. */
+export async function removeWatch(keyId, countryCode, vatNumber) {
+  let removed = false;
+  await updateList(keyId, (list) => {
+    const items = list.items.filter((i) => !same(i, countryCode, vatNumber));
+    removed = items.length !== list.items.length;
+    return removed ? { ...list, updatedAt: new Date().toISOString(), items } : null;
+  });
+  if (!removed) return false;
+  await storage.remove(historyKey(keyId, countryCode, vatNumber)).catch(() => {});
+  return true;
+}
+
+/** { item, history } for one watched number (history newest first), or null. */
+export async function getWatchItem(keyId, countryCode, vatNumber) {
+  const list = await getWatchlist(keyId);
+  const item = list.items.find((i) => same(i, countryCode, vatNumber));
+  if (!item) return null;
+  const history = (await storage.getJSON(historyKey(keyId, countryCode, vatNumber)))?.entries || [];
+  return { item: publicItem(item), history: [...history].reverse() };
+}
+
+/** Items as returned by the API. */
+export const watchItems = (list) => list.items.map(publicItem);
+
+/* ---------------- Checks ---------------- */
+const counters = { ticks: 0, checked: 0, changed: 0, failed: 0, postponed: 0, skippedOpenCircuit: 0, lastTickAt: null };
+
+// Registry text compared loosely: VIES formats the same address differently from one day to the next
+const norm = (v) => String(v ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
+
+function changedFields(item, result) {
+  const changed = [];
+  if (item.valid !== result.valid) changed.push('valid');
+  if (norm(item.name) !== norm(result.name)) changed.push('name');
+  if (norm(item.address) !== norm(result.address)) changed.push('address');
+  return changed;
+}
+
+// Patch one item of the current list, so an add or delete made during the check is kept
+async function patchItem(keyId, countryCode, vatNumber, patch) {
+  await updateList(keyId, (list) => {
+    const item = list.items.find((i) => same(i, countryCode, vatNumber));
+    if (!item) return null;
+    Object.assign(item, patch);
+    return list;
+  });
+}
+
+async function appendHistory(keyId, item, entry) {
+  const key = historyKey(keyId, item.countryCode, item.vatNumber);
+  const doc = (await storage.getJSON(key)) || { countryCode: item.countryCode, vatNumber: item.vatNumber, entries: [] };
+  doc.entries = [...doc.entries, entry].slice(-HISTORY_MAX);
+  await storage.putJSON(key, doc);
+}
+
+// Entitlement of a list's owner, as authenticate() would see it for the watching key.
+// No customer id means the list was made in dev mode (ENFORCE_STRIPE off): default plan, no billing.
+async function ownerEntitlement(list) {
+  if (!list.customerId) {
+    const plan = defaultPlan();
+    return { customerId: null, email: list.email, keyId: list.keyId, keyIds: [list.keyId], plan, rpm: plan.rpm, meteredItem: null };
+  }
+  const record = await getCustomer(list.customerId);
+  const entry = record?.keys?.find((k) => k.id === list.keyId);
+  if (!entry) throw new Error('invalid_key');
+  if (entry.revokedAt) throw new Error('key_revoked');
+  const entitlement = await assertActivePlus({ customerId: list.customerId, email: list.email });
+  if (!hasFeature(entitlement.plan, 'monitoring')) throw new Error('feature_not_in_plan');
+  const rpm = Number(entry.rpm ?? record.rpm) > 0 ? Number(entry.rpm ?? record.rpm) : entitlement.rpm;
+  return { ...entitlement, keyId: entry.id, keyIds: record.keys.map((k) => k.id), rpm };
+}
+
+// One scheduled check of one item: refused owners and budgets postpone it, unanswered checks retry it
+async function checkItem(list, item, entitlement) {
+  const now = Date.now();
+  const { countryCode, vatNumber } = item;
+
+  const meterRes = await meterAndCheck({
+    apiKey: entitlement.keyId,
+    limit: entitlement.rpm,
+    monthlyQuota: entitlement.plan?.monthlyQuota,
+    quotaKeys: entitlement.keyIds,
+  });
+  if (!meterRes.allowed) {
+    counters.postponed++;
+    const wait = meterRes.reason === 'quota_exceeded' ? meterRes.retryAfterMs : RETRY_MS;
+    return patchItem(list.keyId, countryCode, vatNumber, { lastError: meterRes.reason || 'rate_limit_exceeded', nextCheckAt: iso(now + wait) });
+  }
+
+  const result = await checkVAT({ countryCode, vatNumber });
+  // Same bookkeeping as an API lookup (server.mjs countLookup)
+  recordOutcome(entitlement.keyId, result.source);
+  recordLookup(entitlement.keyId, result);
+  const receipt = signReceipt(result);
+  if (receipt) {
+    await storeReceipt({ lookupId: result.lookupId, keyId: entitlement.keyId, customerId: entitlement.customerId, receipt })
+      .catch((e) => console.error('[watch] receipt store failed:', result.lookupId, e?.message || e));
+  }
+  auditLookup({
+    endpoint: 'watch',
+    keyId: entitlement.keyId,
+    customerId: entitlement.customerId,
+    email: list.email,
+    request: { countryCode, vatNumber },
+    result,
+    status: result.source === 'error' ? faultStatus(result.error) : 200,
+    receipt,
+  });
+  if (result.source !== 'error') recordBillable(entitlement);
+  else {
+    emitHook({
+      keyIds: [entitlement.keyId],
+      type: 'vat.lookup_failed',
+      data: { lookupId: result.lookupId, countryCode, vatNumber, error: result.error, retryable: result.retryable, endpoint: 'watch' },
+      plan: entitlement.plan,
+    });
+  }
+
+  // Only a live VIES answer says anything about today: cache fallbacks and errors are retried
+  // (errors VIES says will not go away wait for the next regular check)
+  if (result.source !== 'vies') {
+    counters.failed++;
+    return patchItem(list.keyId, countryCode, vatNumber, {
+      lastError: result.error || result.viesError || 'vies_unavailable',
+      lastLookupId: result.lookupId,
+      nextCheckAt: result.retryable === false ? nextRegular(now) : iso(now + RETRY_MS),
+    });
+  }
+
+  counters.checked++;
+  const first = !item.lastCheckedAt;
+  const changed = first ? [] : changedFields(item, result);
+  const state = { valid: result.valid, name: result.name || null, address: result.address || null };
+  if (first || changed.length) {
+    await appendHistory(list.keyId, item, { at: iso(now), lookupId: result.lookupId, ...state, changed: first ? null : changed });
+  }
+  if (changed.length) {
+    counters.changed++;
+    emitHook({
+      keyIds: [entitlement.keyId],
+      type: 'vat.status_changed',
+      data: {
+        countryCode,
+        vatNumber,
+        label: item.label,
+        changed,
+        previous: { valid: item.valid, name: item.name, address: item.address },
+        current: state,
+        lookupId: result.lookupId,
+        checkedAt: iso(now),
+      },
+      plan: entitlement.plan,
+    });
+  }
+  return patchItem(list.keyId, countryCode, vatNumber, {
+    ...state,
+    lastCheckedAt: iso(now),
+    lastLookupId: result.lookupId,
+    lastError: null,
+    nextCheckAt: nextRegular(now),
+    ...(changed.length ? { lastChangeAt: iso(now) } : {}),
+  });
+}
+
+// Lists with no index entry at all (written before the due index existed, or whose entry a racing writer removed)
+// are rewritten, which indexes them again; run every REINDEX_MS
+let indexedAt = 0;
+async function reindexLists() {
+  const inIndex = new Set((await storage.list('watch/due/')).map((k) => k.split('/').pop()));
+  for (const key of await storage.list('watch/lists/')) {
+    const keyId = key.split('/').pop().replace(/\.json$/, '');
+    if (inIndex.has(`${keyId}.json`)) continue;
+    await updateList(keyId, (list) => (list.items.length ? list : null));
+  }
+}
+
+// Lists whose due slot has come (current hour included); index entries no list points at are cleared
+async function dueLists(now) {
+  const nowSlot = iso(now).slice(0, 13);
+  const lists = [];
+  for (const key of await storage.list('watch/due/')) {
+    const [, , slot, file] = key.split('/');
+    if (slot > nowSlot) continue;
+    const keyId = file.replace(/\.json$/, '');
+    const list = await storage.getJSON(listKey(keyId));
+    if (list?.items?.length && list.dueSlot === slot) {
+      lists.push(list);
+      continue;
+    }
+    // The list moved to another slot: make sure that one is indexed before this entry can go
+    if (list?.items?.length && list.dueSlot) await storage.putJSON(dueKey(list.dueSlot, keyId), { keyId, at: new Date().toISOString() });
+    // A writer indexes its new slot just before the list points at it: only clear entries past that window
+    const entry = await storage.getJSON(key);
+    if (!entry || Date.now() - Date.parse(entry.at) > STALE_INDEX_MS) await storage.remove(key).catch(() => {});
+  }
+  return lists;
+}
+
+/**
+ * Check up to `limit` due numbers, oldest due first. Returns { due, checked, skippedOpenCircuit }.
+ * Only lists the due index names are read. Owners are resolved once per run; an owner without access (or whose key
+ * is gone) has their numbers postponed by a full interval, or RETRY_MS when the entitlement check itself failed.
+ */
+export async function runWatch({ limit = PER_TICK } = {}) {
+  if (Date.now() - indexedAt > REINDEX_MS) {
+    await reindexLists();
+    indexedAt = Date.now();
+  }
+  const now = Date.now();
+  const due = [];
+  for (const list of await dueLists(now)) {
+    for (const item of list.items) if (Date.parse(item.nextCheckAt) <= now) due.push({ list, item });
+  }
+  due.sort((a, b) => a.item.nextCheckAt.localeCompare(b.item.nextCheckAt));
+
+  const owners = new Map(); // keyId -> Promise<entitlement>
+  let checked = 0;
+  let skippedOpenCircuit = 0;
+  for (const { list, item } of due) {
+    if (checked >= limit) break;
+    if (isCircuitOpen(item.countryCode)) {
+      skippedOpenCircuit++;
+      continue;
+    }
+    if (!owners.has(list.keyId)) owners.set(list.keyId, ownerEntitlement(list));
+    let entitlement;
+    try {
+      entitlement = await owners.get(list.keyId);
+    } catch (e) {
+      const code = String(e?.message || 'access_denied');
+      counters.postponed++;
+      await patchItem(list.keyId, item.countryCode, item.vatNumber, {
+        lastError: code,
+        nextCheckAt: iso(Date.now() + (code === 'entitlement_unavailable' ? RETRY_MS : EVERY_MS)),
+      });
+      continue;
+    }
+    checked++;
+    try {
+      await checkItem(list, item, entitlement);
+    } catch (e) {
+      counters.failed++;
+      console.error('[watch] check failed:', `${item.countryCode}${item.vatNumber}`, e?.message || e);
+    }
+  }
+  counters.skippedOpenCircuit += skippedOpenCircuit;
+  return { due: due.length, checked, skippedOpenCircuit };
+}
+
+/* ---------------- Scheduler ---------------- */
+/** Start the scheduler if VATFIX_WATCH_TICK_MS > 0 (server only). */
+export function scheduleWatch() {
+  if (!TICK_MS) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      // The holder renews every tick; another machine takes over three ticks after it stops
+      if (!(await takeLease(LOCK_PATH, TICK_MS * 3))) return;
+      counters.ticks++;
+      counters.lastTickAt = new Date().toISOString();
+      await runWatch();
+    } catch (e) {
+      console.error('[watch]', e?.message || e);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+  timer.unref();
+  return timer;
+}
+
+/** Scheduler counters of this process (for /status.json). */
+export function watchStats() {
+  return { ...counters, everyHours: EVERY_MS / 3600000, perTick: PER_TICK, tickMs: TICK_MS };
+}